@@ -0,0 +1,108 @@
+// File: middleware/activityLog.js
+
+const { loadEmployee } = require('./authorizeRoles');
+
+const mutating = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const secret = /password|token|secret/i;
+
+const redact = (body) => (body && typeof body === 'object' && !Array.isArray(body)
+  ? Object.fromEntries(Object.entries(body).map(([key, value]) => [key, secret.test(key) ? '[redacted]' : value]))
+  : body);
+
+// Entity types are the names of the tables they live in, so rows load without per-route code.
+const loadRow = async (db, entityType, id) => {
+  if (id == null) return null;
+  const result = await db.query(`SELECT * FROM ${entityType} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// When both sides exist only the columns that changed are kept.
+const changedValues = (before, after) => {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return [before, after];
+  const keys = Object.keys({ ...before, ...after })
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  return [
+    Object.fromEntries(keys.map(key => [key, before[key] === undefined ? null : before[key]])),
+    Object.fromEntries(keys.map(key => [key, after[key] === undefined ? null : after[key]])),
+  ];
+};
+
+const recordActivity = async (db, req, res) => {
+  const employee = await loadEmployee(req);
+  if (!employee) return;
+  const tracked = req.activity || {};
+  const body = res.locals.activityBody;
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+  const entityType = tracked.entityType || req.baseUrl.split('/').pop() || null;
+  const entityId = tracked.id ? tracked.id(req, body) : req.params.id;
+  const after = tracked.load ? await tracked.load(db, entityId, req) : null;
+  const [beforeValues, afterValues] = changedValues(tracked.before || null, after);
+  const row = after || tracked.before || {};
+  const restaurantId = row.restaurant_id
+    || (req.restaurantIds && req.restaurantIds.length === 1 ? req.restaurantIds[0] : null);
+
+  await db.query(
+    `INSERT INTO employee_activity (employee_id, action, restaurant_id, entity_type, entity_id, before, after, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      employee.id,
+      tracked.action ? tracked.action(req, res) : `${req.method} ${route}`,
+      restaurantId,
+      entityType,
+      entityId == null ? null : String(entityId),
+      beforeValues == null ? null : JSON.stringify(beforeValues),
+      afterValues == null ? null : JSON.stringify(afterValues),
+      {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip,
+        user_agent: req.get('user-agent') || null,
+        body: redact(req.body),
+        duration_ms: Date.now() - req.activityStartedAt,
+      },
+    ]
+  );
+};
+
+// Mounted once in front of the API routers: every successful POST / PUT / PATCH / DELETE made by a staff
+// member is written to employee_activity once the response has gone out, so logging never slows down or
+// fails a request. Routes wrapped in trackActivity name the action and record the entity before and after;
+// any other change is logged by method and route with the request body.
+const activityLog = (req, res, next) => {
+  if (!mutating.includes(req.method)) return next();
+  req.activityStartedAt = Date.now();
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.activityBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || !req.user) return;
+    recordActivity(req.app.get('pool'), req, res)
+      .catch(err => console.error('Failed to record employee activity:', err.message));
+  });
+  next();
+};
+
+// Names the action a route performs (a string, or a function of the request and the finished response)
+// and the entity it changes, loading the entity before the handler runs; activityLog loads it again
+// afterwards. entityType is the entity's table unless `load(db, id, req)` is given. `id(req, body)` finds
+// the entity (default the :id param); for creates it reads the new id from the response body. Must run
+// after the role guards.
+const trackActivity = (action, entityType, options = {}) => {
+  const id = options.id || ((req) => req.params.id);
+  const load = options.load || ((db, entityId) => loadRow(db, entityType, entityId));
+  return async (req, res, next) => {
+    try {
+      req.activity = { action: typeof action === 'function' ? action : () => action, entityType, id, load };
+      req.activity.before = await load(req.app.get('pool'), id(req), req);
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+};
+
+module.exports = activityLog;
+module.exports.trackActivity = trackActivity;
@@ -0,0 +1,65 @@
+// File: middleware/authorizeRoles.js
+
+// Resolve the signed-in Firebase user to an active employee row.
+// Cached on req so several guards on one route only hit the database once.
+const loadEmployee = async (req) => {
+  if (req.employee !== undefined) return req.employee;
+  const pool = req.app.get('pool');
+  const result = await pool.query(
+    `SELECT e.id, e.name, e.role, e.permissions,
+            ARRAY(SELECT er.restaurant_id FROM employee_restaurants er WHERE er.employee_id = e.id) AS restaurant_ids
+     FROM employees e WHERE e.user_id = $1 AND e.status IS NOT FALSE`,
+    [req.user.uid]
+  );
+  req.employee = result.rows[0] || null;
+  return req.employee;
+};
+
+const hasAccess = (employee, allowed) => {
+  if (!employee) return false;
+  const permissions = Array.isArray(employee.permissions) ? employee.permissions : [];
+  return allowed.includes(employee.role) || permissions.some(p => allowed.includes(p));
+};
+
+// Each allowed entry matches either the employee's role or one of their permissions,
+// e.g. authorizeRoles('Manager', 'inventory:write'). Must run after verifyToken.
+const authorizeRoles = (...allowed) => async (req, res, next) => {
+  try {
+    const employee = await loadEmployee(req);
+    if (!employee) return res.status(403).json({ error: 'Forbidden - Staff access required' });
+    if (!hasAccess(employee, allowed)) {
+      return res.status(403).json({ error: 'Forbidden - Insufficient role' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Attach req.employee (or null for diners) without rejecting the request,
+// for routes that serve both guests and staff.
+const identifyEmployee = async (req, res, next) => {
+  try {
+    await loadEmployee(req);
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Any staff member, whatever their role.
+const requireStaff = async (req, res, next) => {
+  try {
+    const employee = await loadEmployee(req);
+    if (!employee) return res.status(403).json({ error: 'Forbidden - Staff access required' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = authorizeRoles;
+module.exports.identifyEmployee = identifyEmployee;
+module.exports.requireStaff = requireStaff;
+module.exports.hasAccess = hasAccess;
+module.exports.loadEmployee = loadEmployee;
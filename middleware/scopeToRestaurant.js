@@ -0,0 +1,29 @@
+// File: middleware/scopeToRestaurant.js
+
+// Sets req.restaurantIds to the restaurants the staff member works at, narrowed to the one the
+// request names (route param, ?restaurant_id= or body.restaurant_id). Naming a restaurant the
+// caller doesn't work at is answered with 404 so other tenants' ids aren't confirmed.
+// Must run after authorizeRoles (or identifyEmployee).
+const scopeToRestaurant = (paramName) => (req, res, next) => {
+  const memberOf = (req.employee && req.employee.restaurant_ids) || [];
+  const requested = paramName
+    ? req.params[paramName]
+    : req.query.restaurant_id != null ? req.query.restaurant_id : req.body && req.body.restaurant_id;
+
+  if (requested == null || requested === '') {
+    req.restaurantIds = memberOf;
+    return next();
+  }
+  if (!memberOf.includes(Number(requested))) {
+    return res.status(404).json({ error: 'Restaurant not found' });
+  }
+  req.restaurantIds = [Number(requested)];
+  next();
+};
+
+// For routes that serve guests too: true when the caller is staff at the given restaurant.
+const worksAt = (req, restaurantId) =>
+  Boolean(req.employee && (req.employee.restaurant_ids || []).includes(Number(restaurantId)));
+
+module.exports = scopeToRestaurant;
+module.exports.worksAt = worksAt;
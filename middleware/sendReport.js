@@ -0,0 +1,61 @@
+// File: middleware/sendReport.js
+
+const { reportRange } = require('../services/reportRange');
+const { reports, runReport } = require('../services/reports');
+const { formats, describeExport, exportTables, writeExport } = require('../services/reportExport');
+
+const acceptable = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  [formats.xlsx.type]: 'xlsx',
+  'application/pdf': 'pdf',
+};
+
+// A format parameter (in the report parameters or the query string) wins; otherwise the Accept header,
+// where anything unspecific means JSON.
+const formatOf = (req, params) => params.format || req.query.format
+  || acceptable[req.accepts(Object.keys(acceptable))] || 'json';
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+// Route handler answering with a report from services/reports: JSON by default, or a CSV / XLSX / PDF
+// download streamed to the client. paramsOf picks the report parameters off the request.
+// Must run after scopeToRestaurant.
+const sendReport = (name, paramsOf = (req) => req.query) => async (req, res) => {
+  const report = reports[name];
+  const params = paramsOf(req);
+  const format = formatOf(req, params);
+  if (format !== 'json' && !formats[format]) {
+    return res.status(400).json({ error: `format must be one of json, ${Object.keys(formats).join(', ')}` });
+  }
+  const pool = req.app.get('pool');
+  try {
+    const range = await reportRange(pool, req.restaurantIds, params, report);
+    if (format === 'json') {
+      const data = await runReport(pool, report, req.restaurantIds, range);
+      return res.json({
+        [report.key]: data,
+        ...(report.snapshot ? {} : { range: { from: range.from, to: range.to, tz: range.zone, granularity: range.granularity } }),
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      const tables = await exportTables(client, report, req.restaurantIds, range);
+      const { filename, ...meta } = describeExport(name, report, range, format);
+      res.setHeader('Content-Type', formats[format].type);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      await writeExport(format, res, tables, meta);
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    // Once the download has started the only way to signal failure is to cut it short.
+    if (res.headersSent) return res.destroy(err);
+    handleError(res, err);
+  }
+};
+
+module.exports = sendReport;
@@ -0,0 +1,11 @@
+-- Link staff records to Firebase accounts so routes can authorize by role.
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS user_id VARCHAR(128) UNIQUE REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS permissions TEXT[] NOT NULL DEFAULT '{}';
+
+-- Existing staff are linked to the account registered with their email, so they keep access once routes
+-- authorize by role. Emails shared by several staff records are left for a manager to link by hand.
+UPDATE employees e SET user_id = u.id
+FROM users u
+WHERE e.user_id IS NULL AND lower(u.email) = lower(e.email)
+  AND NOT EXISTS (SELECT 1 FROM employees x WHERE x.user_id = u.id)
+  AND (SELECT COUNT(*) FROM employees x WHERE lower(x.email) = lower(e.email)) = 1;
@@ -0,0 +1,2 @@
+-- Snapshot the modifiers priced into each order line.
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS modifiers JSONB NOT NULL DEFAULT '[]';
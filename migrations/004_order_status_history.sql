@@ -0,0 +1,18 @@
+-- Every order status change, with who made it.
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by VARCHAR(128),
+  employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  note TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history (order_id, changed_at);
+
+-- Seed a starting entry for orders placed before history was kept.
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_at)
+SELECT o.id, NULL, COALESCE(o.status, 'Pending'), o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
@@ -0,0 +1,10 @@
+-- Append-only order event log for kitchen display streams; the id doubles as the replay cursor.
+CREATE TABLE IF NOT EXISTS kds_events (
+  id BIGSERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_kds_events_restaurant ON kds_events (restaurant_id, id);
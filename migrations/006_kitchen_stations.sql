@@ -0,0 +1,24 @@
+-- Kitchen stations (grill, fry, cold, bar, ...) and the per-station tickets an order is split into.
+CREATE TABLE IF NOT EXISTS kitchen_stations (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  UNIQUE (restaurant_id, name)
+);
+
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS station_id INTEGER REFERENCES kitchen_stations(id) ON DELETE SET NULL;
+
+-- station_id NULL collects items whose menu entry has no station yet.
+CREATE TABLE IF NOT EXISTS station_tickets (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  station_id INTEGER REFERENCES kitchen_stations(id) ON DELETE SET NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Bumped')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  bumped_at TIMESTAMP,
+  bumped_by INTEGER REFERENCES employees(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_station_tickets_station ON station_tickets (station_id, status);
+CREATE INDEX IF NOT EXISTS idx_station_tickets_order ON station_tickets (order_id);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS station_ticket_id INTEGER REFERENCES station_tickets(id) ON DELETE SET NULL;
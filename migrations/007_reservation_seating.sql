@@ -0,0 +1,12 @@
+-- Per-restaurant seating rules used for reservation overlap checks and slot availability.
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS seating_minutes INTEGER NOT NULL DEFAULT 90 CHECK (seating_minutes > 0);
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS slot_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_interval_minutes > 0);
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS opening_time TIME NOT NULL DEFAULT '11:00';
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS closing_time TIME NOT NULL DEFAULT '22:00';
+
+-- Seating length at booking time, so later changes to the restaurant setting don't move existing bookings.
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+UPDATE reservations rv SET duration_minutes = r.seating_minutes
+FROM restaurants r WHERE r.id = rv.restaurant_id AND rv.duration_minutes IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reservations_table_time ON reservations (table_id, reservation_time);
@@ -0,0 +1,7 @@
+-- Floor layout for automatic table assignment: tables in the same section with
+-- consecutive positions are adjacent and may be pushed together for large parties.
+ALTER TABLE tables ADD COLUMN IF NOT EXISTS section VARCHAR(50);
+ALTER TABLE tables ADD COLUMN IF NOT EXISTS position INTEGER;
+
+-- Tables joined to table_id for a combined booking.
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS extra_table_ids INTEGER[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,8 @@
+-- Waitlist lifecycle: waiting -> notified -> seated / no_show, with the quote given to the guest.
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+  CHECK (status IN ('waiting', 'notified', 'seated', 'no_show'));
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS quoted_minutes INTEGER;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS notified_at TIMESTAMP;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS seated_at TIMESTAMP;
+ALTER TABLE waitlist ADD COLUMN IF NOT EXISTS reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_waitlist_restaurant_status ON waitlist (restaurant_id, status, created_at);
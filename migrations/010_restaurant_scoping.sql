@@ -0,0 +1,42 @@
+-- Which restaurants each staff member works at; staff routes only see data for these.
+CREATE TABLE IF NOT EXISTS employee_restaurants (
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  PRIMARY KEY (employee_id, restaurant_id)
+);
+CREATE INDEX IF NOT EXISTS idx_employee_restaurants_restaurant ON employee_restaurants (restaurant_id);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_inventory_restaurant ON inventory (restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_supplier_orders_restaurant ON supplier_orders (restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_shifts_restaurant ON shifts (restaurant_id);
+
+-- Place existing staff from what the data already says: on a single-restaurant install everyone works
+-- there; otherwise chefs work at the restaurants whose orders they were assigned. Anyone left over is
+-- added by a manager through POST /api/employees/:id/restaurants.
+INSERT INTO employee_restaurants (employee_id, restaurant_id)
+SELECT e.id, r.id FROM employees e CROSS JOIN restaurants r
+WHERE (SELECT COUNT(*) FROM restaurants) = 1
+ON CONFLICT DO NOTHING;
+
+INSERT INTO employee_restaurants (employee_id, restaurant_id)
+SELECT DISTINCT o.assigned_chef_id, o.restaurant_id
+FROM orders o JOIN employees e ON e.id = o.assigned_chef_id
+WHERE o.restaurant_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Shifts of staff who work at a single restaurant can be attributed automatically.
+UPDATE shifts s SET restaurant_id = er.restaurant_id
+FROM employee_restaurants er
+WHERE s.restaurant_id IS NULL AND er.employee_id = s.employee_id
+  AND (SELECT COUNT(*) FROM employee_restaurants x WHERE x.employee_id = s.employee_id) = 1;
+
+-- Stock and supplier orders belong to the only restaurant when there is one. With several, the rows left
+-- NULL are hidden from every restaurant until a manager assigns them (GET /api/inventory/unassigned,
+-- PUT /api/inventory/:id/restaurant and PUT /api/inventory/orders/:id/restaurant).
+UPDATE inventory SET restaurant_id = (SELECT id FROM restaurants)
+WHERE restaurant_id IS NULL AND (SELECT COUNT(*) FROM restaurants) = 1;
+UPDATE supplier_orders SET restaurant_id = (SELECT id FROM restaurants)
+WHERE restaurant_id IS NULL AND (SELECT COUNT(*) FROM restaurants) = 1;
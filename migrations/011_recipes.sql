@@ -0,0 +1,25 @@
+-- Recipes: how much of each inventory item one portion of a menu item (or one modifier) uses,
+-- in the inventory item's own unit.
+CREATE TABLE IF NOT EXISTS recipe_items (
+  id SERIAL PRIMARY KEY,
+  menu_id INTEGER REFERENCES menu(id) ON DELETE CASCADE,
+  modifier_id INTEGER REFERENCES menu_modifiers(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  quantity NUMERIC(12, 4) NOT NULL CHECK (quantity > 0),
+  CHECK ((menu_id IS NULL) <> (modifier_id IS NULL))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recipe_items_menu ON recipe_items (menu_id, inventory_id) WHERE menu_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recipe_items_modifier ON recipe_items (modifier_id, inventory_id) WHERE modifier_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_recipe_items_inventory ON recipe_items (inventory_id);
+
+-- Stock taken by each order, so a cancellation puts back exactly what was taken even if the recipe changed since.
+CREATE TABLE IF NOT EXISTS order_stock_usage (
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  quantity NUMERIC(12, 4) NOT NULL,
+  PRIMARY KEY (order_id, inventory_id)
+);
+
+-- Set when a menu item was switched off because an ingredient ran out (not by hand),
+-- so it can be switched back on automatically once stock returns.
+ALTER TABLE menu ADD COLUMN IF NOT EXISTS out_of_stock BOOLEAN NOT NULL DEFAULT false;
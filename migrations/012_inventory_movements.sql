@@ -0,0 +1,53 @@
+-- Stock ledger: every change to an item's on-hand quantity, in the item's unit (signed).
+-- inventory.quantity is the running balance of these rows and is only written alongside them.
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id BIGSERIAL PRIMARY KEY,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('received', 'sold', 'wasted', 'counted', 'transferred')),
+  quantity NUMERIC(14, 4) NOT NULL,
+  balance_after NUMERIC(14, 4) NOT NULL,
+  entered_quantity NUMERIC(14, 4),
+  entered_unit VARCHAR(20),
+  reason TEXT,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  transfer_inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  changed_by VARCHAR(128),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item ON inventory_movements (inventory_id, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order ON inventory_movements (order_id) WHERE order_id IS NOT NULL;
+
+-- Rows are never edited; only the references above may be cleared when their target is deleted.
+CREATE OR REPLACE FUNCTION inventory_movements_append_only() RETURNS trigger AS $$
+BEGIN
+  IF NEW.inventory_id IS DISTINCT FROM OLD.inventory_id
+     OR NEW.movement_type IS DISTINCT FROM OLD.movement_type
+     OR NEW.quantity IS DISTINCT FROM OLD.quantity
+     OR NEW.balance_after IS DISTINCT FROM OLD.balance_after
+     OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'inventory_movements is append-only';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_append_only ON inventory_movements;
+CREATE TRIGGER inventory_movements_append_only BEFORE UPDATE ON inventory_movements
+  FOR EACH ROW EXECUTE FUNCTION inventory_movements_append_only();
+
+-- Item-specific pack sizes, e.g. 1 'case' = 24 of the item's unit.
+-- Standard conversions (kg → g, l → ml, ...) are built in and need no rows here.
+CREATE TABLE IF NOT EXISTS inventory_units (
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  unit VARCHAR(20) NOT NULL,
+  quantity NUMERIC(14, 4) NOT NULL CHECK (quantity > 0),
+  PRIMARY KEY (inventory_id, unit)
+);
+
+-- Open the ledger with the stock on hand today.
+INSERT INTO inventory_movements (inventory_id, movement_type, quantity, balance_after, reason)
+SELECT i.id, 'counted', i.quantity, i.quantity, 'Opening balance'
+FROM inventory i
+WHERE COALESCE(i.quantity, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_movements mv WHERE mv.inventory_id = i.id);
@@ -0,0 +1,71 @@
+-- Supplier catalog per restaurant, with the items each supplier sells and in what packs.
+CREATE TABLE IF NOT EXISTS suppliers (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name VARCHAR(120) NOT NULL,
+  contact_name VARCHAR(120),
+  email VARCHAR(255),
+  phone VARCHAR(40),
+  lead_time_days INTEGER NOT NULL DEFAULT 1 CHECK (lead_time_days >= 0),
+  notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_suppliers_restaurant ON suppliers (restaurant_id);
+
+-- pack_quantity is how much of the inventory item (in its own unit) one pack holds.
+CREATE TABLE IF NOT EXISTS supplier_items (
+  id SERIAL PRIMARY KEY,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  sku VARCHAR(60) NOT NULL,
+  pack_unit VARCHAR(20) NOT NULL DEFAULT 'each',
+  pack_quantity NUMERIC(14, 4) NOT NULL CHECK (pack_quantity > 0),
+  pack_price NUMERIC(10, 2) NOT NULL CHECK (pack_price >= 0),
+  UNIQUE (supplier_id, sku),
+  UNIQUE (supplier_id, inventory_id)
+);
+CREATE INDEX IF NOT EXISTS idx_supplier_items_inventory ON supplier_items (inventory_id);
+
+-- Purchase order lines replace the old free-form items JSON. Pack size and price are copied
+-- from the catalog when the line is written so later catalog edits don't rewrite history.
+CREATE TABLE IF NOT EXISTS supplier_order_lines (
+  id SERIAL PRIMARY KEY,
+  supplier_order_id INTEGER NOT NULL REFERENCES supplier_orders(id) ON DELETE CASCADE,
+  supplier_item_id INTEGER REFERENCES supplier_items(id) ON DELETE SET NULL,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  sku VARCHAR(60) NOT NULL,
+  pack_unit VARCHAR(20) NOT NULL,
+  pack_quantity NUMERIC(14, 4) NOT NULL,
+  pack_price NUMERIC(10, 2) NOT NULL,
+  quantity_ordered NUMERIC(12, 2) NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received NUMERIC(12, 2) NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_supplier_order_lines_order ON supplier_order_lines (supplier_order_id);
+
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS expected_at DATE;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS received_at TIMESTAMP;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- Legacy orders have no lines to receive against, so they are closed: cancelled ones stay Cancelled and
+-- everything else becomes Received, noting that its stock was never posted through the order. Sent
+-- orders without lines can only come from here (sending needs lines), so earlier runs are closed too.
+UPDATE supplier_orders SET
+  order_status = CASE WHEN LOWER(order_status) IN ('cancelled', 'canceled') THEN 'Cancelled' ELSE 'Received' END,
+  notes = CONCAT_WS(E'\n', notes, 'Imported from the old order log (status: ' || COALESCE(order_status, 'none') || '); its stock was not posted through this order.')
+WHERE order_status IS NULL
+   OR order_status NOT IN ('Draft', 'Sent', 'Partially Received', 'Received', 'Cancelled')
+   OR (order_status = 'Sent' AND NOT EXISTS (SELECT 1 FROM supplier_order_lines l WHERE l.supplier_order_id = supplier_orders.id));
+ALTER TABLE supplier_orders ALTER COLUMN order_status SET DEFAULT 'Draft';
+ALTER TABLE supplier_orders ALTER COLUMN order_status SET NOT NULL;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'supplier_orders_status_check') THEN
+    ALTER TABLE supplier_orders ADD CONSTRAINT supplier_orders_status_check
+      CHECK (order_status IN ('Draft', 'Sent', 'Partially Received', 'Received', 'Cancelled'));
+  END IF;
+END $$;
+
+-- Deliveries show up in the stock ledger against the purchase order they arrived on.
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS supplier_order_id INTEGER REFERENCES supplier_orders(id) ON DELETE SET NULL;
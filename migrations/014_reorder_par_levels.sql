@@ -0,0 +1,6 @@
+-- Par level: the stock an item is topped back up to when it is reordered.
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS par_level NUMERIC(14, 4) CHECK (par_level IS NULL OR par_level >= 0);
+
+-- Usage velocity reads recent sales and waste from the ledger by date.
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_usage ON inventory_movements (created_at, inventory_id)
+  WHERE movement_type IN ('sold', 'wasted');
@@ -0,0 +1,43 @@
+-- Physical stock counts. Opening a count snapshots what the ledger expects for every item of the
+-- restaurant; counts are then submitted per item and device until the count is finalized.
+CREATE TABLE IF NOT EXISTS stock_counts (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Finalized')),
+  notes TEXT,
+  opened_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  opened_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finalized_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  finalized_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_stock_counts_restaurant ON stock_counts (restaurant_id, opened_at DESC);
+-- Only one open count per restaurant at a time.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_counts_one_open ON stock_counts (restaurant_id) WHERE status = 'Open';
+
+-- Expected quantity at the time the count was opened; unit_cost and the posted adjustment are
+-- filled in when the count is finalized.
+CREATE TABLE IF NOT EXISTS stock_count_items (
+  stock_count_id INTEGER NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  expected_quantity NUMERIC(14, 4) NOT NULL,
+  counted_quantity NUMERIC(14, 4),
+  unit_cost NUMERIC(12, 4),
+  PRIMARY KEY (stock_count_id, inventory_id)
+);
+
+-- One entry per item per device; a device re-submitting an item replaces its earlier figure, and
+-- figures from different devices (e.g. walk-in and dry store) are added together.
+CREATE TABLE IF NOT EXISTS stock_count_entries (
+  id SERIAL PRIMARY KEY,
+  stock_count_id INTEGER NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  device_id VARCHAR(100) NOT NULL DEFAULT 'default',
+  quantity NUMERIC(14, 4) NOT NULL CHECK (quantity >= 0),
+  entered_quantity NUMERIC(14, 4),
+  entered_unit VARCHAR(20),
+  employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  counted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (stock_count_id, inventory_id, device_id)
+);
+
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS stock_count_id INTEGER REFERENCES stock_counts(id) ON DELETE SET NULL;
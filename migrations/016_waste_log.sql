@@ -0,0 +1,26 @@
+-- Waste and spoilage: spoiled produce against an inventory item, or a comped or dropped dish against a
+-- menu item (its recipe is taken out of stock). item_name and cost are kept as they were when the waste
+-- was logged so the report still adds up after items are renamed, re-costed or deleted.
+CREATE TABLE IF NOT EXISTS waste_entries (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('inventory', 'menu')),
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  menu_id INTEGER REFERENCES menu(id) ON DELETE SET NULL,
+  item_name VARCHAR(255) NOT NULL,
+  quantity NUMERIC(14, 4) NOT NULL CHECK (quantity > 0),
+  unit VARCHAR(20),
+  entered_quantity NUMERIC(14, 4),
+  entered_unit VARCHAR(20),
+  reason_code VARCHAR(30) NOT NULL
+    CHECK (reason_code IN ('spoiled', 'expired', 'damaged', 'overproduction', 'prep_error', 'comped', 'returned', 'other')),
+  notes TEXT,
+  cost NUMERIC(12, 2),
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  changed_by VARCHAR(128),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_waste_entries_restaurant ON waste_entries (restaurant_id, created_at);
+
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS waste_entry_id INTEGER REFERENCES waste_entries(id) ON DELETE SET NULL;
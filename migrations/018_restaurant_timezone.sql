@@ -0,0 +1,6 @@
+-- Reports group by the restaurant's business day: local time in its timezone, with the day
+-- rolling over at day_cutoff (e.g. 04:00 so late service counts towards the evening it started).
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS day_cutoff TIME NOT NULL DEFAULT '00:00';
+
+CREATE INDEX IF NOT EXISTS idx_orders_restaurant_created ON orders (restaurant_id, created_at);
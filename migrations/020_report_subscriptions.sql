@@ -0,0 +1,36 @@
+-- Reports delivered by email on a schedule. `report` names a report of services/reports.js and `params`
+-- holds its parameters; `schedule` is a cron expression evaluated in the restaurant's timezone.
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  report VARCHAR(50) NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',
+  format VARCHAR(10) NOT NULL DEFAULT 'pdf' CHECK (format IN ('csv', 'xlsx', 'pdf')),
+  schedule VARCHAR(100) NOT NULL,
+  recipients TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ,
+  created_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_restaurant ON report_subscriptions (restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_due ON report_subscriptions (next_run_at) WHERE active;
+
+-- One row per delivery attempt, scheduled or run by hand, with what was sent or why it failed.
+CREATE TABLE IF NOT EXISTS report_runs (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES report_subscriptions(id) ON DELETE CASCADE,
+  trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  scheduled_for TIMESTAMPTZ,
+  status VARCHAR(20) NOT NULL DEFAULT 'Running' CHECK (status IN ('Running', 'Sent', 'Failed')),
+  report_from DATE,
+  report_to DATE,
+  recipients TEXT[],
+  attachment VARCHAR(255),
+  message_id VARCHAR(255),
+  error TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_report_runs_subscription ON report_runs (subscription_id, started_at DESC);
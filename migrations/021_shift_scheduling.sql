@@ -0,0 +1,45 @@
+-- Weekly schedule building. Shifts are drafted, then published to staff; a shift running past midnight
+-- sets ends_next_day rather than ending "before" it starts. Shifts that already exist were visible to
+-- staff, so they start out published.
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'Published' CHECK (status IN ('Draft', 'Published'));
+ALTER TABLE shifts ALTER COLUMN status SET DEFAULT 'Draft';
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS ends_next_day BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS position VARCHAR(50);
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES employees(id) ON DELETE SET NULL;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_shifts_employee_date ON shifts (employee_id, shift_date);
+CREATE INDEX IF NOT EXISTS idx_shifts_restaurant_date ON shifts (restaurant_id, shift_date);
+
+-- Scheduling rules per restaurant: minimum hours off between two shifts of the same person, and the
+-- hours after which time counts as overtime (weekly, and optionally daily).
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS min_rest_hours NUMERIC(4, 1) NOT NULL DEFAULT 10;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS overtime_weekly_hours NUMERIC(5, 1) NOT NULL DEFAULT 40;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS overtime_daily_hours NUMERIC(4, 1);
+
+-- Recurring weekly availability; weekday 0 is Sunday. Staff without any rows are available any time.
+CREATE TABLE IF NOT EXISTS employee_availability (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  CHECK (end_time > start_time)
+);
+CREATE INDEX IF NOT EXISTS idx_employee_availability_employee ON employee_availability (employee_id, weekday);
+
+-- Whole days off, inclusive. Approved time off blocks scheduling; pending requests only warn.
+CREATE TABLE IF NOT EXISTS time_off_requests (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Denied')),
+  reviewed_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_time_off_employee ON time_off_requests (employee_id, start_date);
@@ -0,0 +1,54 @@
+-- Optional clock-in checks per restaurant: a radius around the restaurant's coordinates that punches
+-- must come from, and the devices (e.g. the kiosk tablet) allowed to punch. NULL means no check.
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS clock_geofence_meters INTEGER CHECK (clock_geofence_meters > 0);
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS clock_device_ids TEXT[];
+
+-- Hours actually worked. An entry is open until the employee clocks out; shift_id links it to the
+-- published shift it was worked against, when there was one.
+CREATE TABLE IF NOT EXISTS time_entries (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  shift_id INTEGER REFERENCES shifts(id) ON DELETE SET NULL,
+  clock_in TIMESTAMPTZ NOT NULL,
+  clock_out TIMESTAMPTZ,
+  clock_in_device VARCHAR(100),
+  clock_out_device VARCHAR(100),
+  clock_in_latitude FLOAT,
+  clock_in_longitude FLOAT,
+  notes TEXT,
+  edited BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (clock_out IS NULL OR clock_out > clock_in)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_one_open ON time_entries (employee_id) WHERE clock_out IS NULL;
+CREATE INDEX IF NOT EXISTS idx_time_entries_employee ON time_entries (employee_id, clock_in);
+CREATE INDEX IF NOT EXISTS idx_time_entries_restaurant ON time_entries (restaurant_id, clock_in);
+
+-- Unpaid breaks come off the hours worked; paid ones don't.
+CREATE TABLE IF NOT EXISTS time_entry_breaks (
+  id SERIAL PRIMARY KEY,
+  time_entry_id INTEGER NOT NULL REFERENCES time_entries(id) ON DELETE CASCADE,
+  started_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ,
+  paid BOOLEAN NOT NULL DEFAULT false,
+  CHECK (ended_at IS NULL OR ended_at > started_at)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entry_breaks_one_open ON time_entry_breaks (time_entry_id) WHERE ended_at IS NULL;
+
+-- Audit trail of manager corrections: the entry (with its breaks) before and after, and why. Kept when
+-- the entry itself is deleted.
+CREATE TABLE IF NOT EXISTS time_entry_edits (
+  id SERIAL PRIMARY KEY,
+  time_entry_id INTEGER REFERENCES time_entries(id) ON DELETE SET NULL,
+  employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+  restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  reason TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  edited_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  edited_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_time_entry_edits_entry ON time_entry_edits (time_entry_id);
+CREATE INDEX IF NOT EXISTS idx_time_entry_edits_restaurant ON time_entry_edits (restaurant_id, edited_at DESC);
@@ -0,0 +1,100 @@
+-- Pay rates per employee and restaurant over time: Hourly (rate per hour) or Salary (rate per year, spread
+-- evenly over the restaurant's pay periods). A payroll run uses the rate in effect on its period's last day.
+CREATE TABLE IF NOT EXISTS employee_pay_rates (
+  id SERIAL PRIMARY KEY,
+  employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  pay_type VARCHAR(10) NOT NULL CHECK (pay_type IN ('Hourly', 'Salary')),
+  rate NUMERIC(12, 2) NOT NULL CHECK (rate >= 0),
+  effective_from DATE NOT NULL,
+  created_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (employee_id, restaurant_id, effective_from)
+);
+
+-- How often each restaurant pays, and what overtime hours are paid at (times the hourly rate).
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS pay_frequency VARCHAR(20) NOT NULL DEFAULT 'biweekly'
+  CHECK (pay_frequency IN ('weekly', 'biweekly', 'semimonthly', 'monthly'));
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS overtime_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1.5 CHECK (overtime_multiplier >= 1);
+
+-- Deductions taken every period: a percentage of gross pay or a fixed amount, before tax (reducing
+-- taxable pay) or after it.
+CREATE TABLE IF NOT EXISTS payroll_deductions (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  calculation VARCHAR(10) NOT NULL CHECK (calculation IN ('Percent', 'Fixed')),
+  amount NUMERIC(10, 4) NOT NULL CHECK (amount >= 0),
+  pre_tax BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Tax tables: progressive brackets on annualised taxable pay, one table per tax_name. Each rate applies to
+-- the pay between its threshold and the next one; a flat tax is a single bracket from 0.
+CREATE TABLE IF NOT EXISTS payroll_tax_brackets (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  tax_name VARCHAR(100) NOT NULL,
+  threshold NUMERIC(12, 2) NOT NULL CHECK (threshold >= 0),
+  rate NUMERIC(6, 4) NOT NULL CHECK (rate BETWEEN 0 AND 1),
+  UNIQUE (restaurant_id, tax_name, threshold)
+);
+
+-- One run per restaurant and pay period.
+CREATE TABLE IF NOT EXISTS payroll_runs (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  pay_frequency VARCHAR(20) NOT NULL,
+  employees_count INTEGER NOT NULL,
+  gross_total NUMERIC(12, 2) NOT NULL,
+  net_total NUMERIC(12, 2) NOT NULL,
+  created_by INTEGER REFERENCES employees(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (period_end >= period_start),
+  UNIQUE (restaurant_id, period_start)
+);
+
+-- Payroll rows written by a run carry the whole calculation; stub is the pay stub as issued. Rows entered
+-- by hand before runs existed have no payroll_run_id.
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS payroll_run_id INTEGER REFERENCES payroll_runs(id);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS period_start DATE;
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS period_end DATE;
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS pay_type VARCHAR(10);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS rate NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS regular_hours NUMERIC(8, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS overtime_hours NUMERIC(8, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS regular_pay NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS overtime_pay NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS salary_pay NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS tips NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS pre_tax_deductions NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS taxable_pay NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS taxes NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS post_tax_deductions NUMERIC(12, 2);
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS stub JSONB;
+ALTER TABLE payroll ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_run_employee ON payroll (payroll_run_id, employee_id) WHERE payroll_run_id IS NOT NULL;
+
+-- Tips are paid out by the first run that covers them; payroll_id records which.
+ALTER TABLE tips_earnings ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE SET NULL;
+ALTER TABLE tips_earnings ADD COLUMN IF NOT EXISTS payroll_id INTEGER REFERENCES payroll(id);
+CREATE INDEX IF NOT EXISTS idx_tips_earnings_unpaid ON tips_earnings (employee_id) WHERE payroll_id IS NULL;
+
+-- Issued payroll is never changed or removed; mistakes are corrected in a later period.
+CREATE OR REPLACE FUNCTION payroll_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'Issued payroll cannot be changed (%)', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS payroll_runs_immutable ON payroll_runs;
+CREATE TRIGGER payroll_runs_immutable BEFORE UPDATE OR DELETE ON payroll_runs
+  FOR EACH ROW EXECUTE FUNCTION payroll_immutable();
+
+DROP TRIGGER IF EXISTS payroll_immutable ON payroll;
+CREATE TRIGGER payroll_immutable BEFORE UPDATE OR DELETE ON payroll
+  FOR EACH ROW WHEN (OLD.payroll_run_id IS NOT NULL) EXECUTE FUNCTION payroll_immutable();
@@ -0,0 +1,44 @@
+-- How a restaurant shares its tips: each role in the pool earns `weight` points per hour worked, and a
+-- day's tips are split by points. Roles without a rule take no share.
+CREATE TABLE IF NOT EXISTS tip_pool_rules (
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  role VARCHAR(50) NOT NULL,
+  weight NUMERIC(6, 2) NOT NULL CHECK (weight > 0),
+  PRIMARY KEY (restaurant_id, role)
+);
+
+-- A run sharing out the undistributed tips of a range of business days as tips_earnings.
+CREATE TABLE IF NOT EXISTS tip_distributions (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  from_date DATE NOT NULL,
+  to_date DATE NOT NULL,
+  total NUMERIC(12, 2) NOT NULL,
+  created_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (to_date >= from_date)
+);
+
+-- The card tip charged with a payment, on top of the order total in `amount`.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tip_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (tip_amount >= 0);
+
+-- Tips left by guests: card tips charged with the order (Pending until the payment succeeds, Void if it
+-- fails) and cash tips declared by staff at checkout. Each tip is shared out by one distribution.
+CREATE TABLE IF NOT EXISTS tips (
+  id SERIAL PRIMARY KEY,
+  restaurant_id INTEGER NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+  source VARCHAR(10) NOT NULL CHECK (source IN ('card', 'cash')),
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'Pending' CHECK (status IN ('Pending', 'Captured', 'Void')),
+  declared_by INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+  tip_distribution_id INTEGER REFERENCES tip_distributions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_tips_restaurant ON tips (restaurant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tips_payment ON tips (payment_id);
+
+-- Earnings written by a distribution, with the day-by-day working behind each share.
+ALTER TABLE tips_earnings ADD COLUMN IF NOT EXISTS tip_distribution_id INTEGER REFERENCES tip_distributions(id) ON DELETE SET NULL;
+ALTER TABLE tips_earnings ADD COLUMN IF NOT EXISTS breakdown JSONB;
@@ -0,0 +1,11 @@
+-- The activity log records each change staff make: what they did (action, e.g. 'menu.updated'), to what
+-- (entity_type / entity_id), the values before and after, and where the request came from (metadata).
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS restaurant_id INTEGER REFERENCES restaurants(id) ON DELETE SET NULL;
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS entity_type VARCHAR(50);
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS entity_id VARCHAR(64);
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS before JSONB;
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS after JSONB;
+ALTER TABLE employee_activity ADD COLUMN IF NOT EXISTS metadata JSONB;
+ALTER TABLE employee_activity ALTER COLUMN timestamp SET DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_employee_activity_employee ON employee_activity (employee_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_employee_activity_entity ON employee_activity (entity_type, entity_id, timestamp);
@@ -0,0 +1,4 @@
+-- payments.status uses the app's vocabulary (pending, succeeded, failed, canceled, refunded); rows created
+-- before that held raw Stripe intent statuses such as requires_payment_method.
+UPDATE payments SET status = CASE WHEN status = 'canceled' THEN 'canceled' ELSE 'pending' END
+WHERE status NOT IN ('pending', 'succeeded', 'failed', 'canceled', 'refunded');
@@ -0,0 +1,4 @@
+-- Card refunds are requested from Stripe and only complete (payment refunded, order Refunded) when Stripe
+-- confirms them; until then the order's payment_status is refund_pending.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_refund_id VARCHAR(255);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_requested_by INTEGER REFERENCES employees(id) ON DELETE SET NULL;
@@ -1,57 +1,248 @@
 const express = require('express');
 const router = express.Router();
 
-const handleError = (res, err) => res.status(500).json({ error: err.message });
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { trackActivity } = require('../middleware/activityLog');
+const { identifyEmployee, requireStaff, hasAccess } = authorizeRoles;
+const { isDate } = require('../services/reportRange');
+const {
+  weekOf, shiftColumns, lockEmployee, getShift, saveShift, scheduleWeek, publishWeek, shiftsDuring,
+  notifyPublished, notifyShiftChange,
+} = require('../services/scheduling');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+const isTime = (v) => typeof v === 'string' && /^(([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?|24:00(:00)?)$/.test(v);
+
+// Managers, or staff acting on their own record. Runs after identifyEmployee.
+const selfOrManager = (req, res, next) => {
+  if (!req.employee) return res.status(403).json({ error: 'Forbidden - Staff access required' });
+  if (req.employee.id !== Number(req.params.id) && !hasAccess(req.employee, ['Manager'])) {
+    return res.status(403).json({ error: 'Forbidden - Insufficient role' });
+  }
+  next();
+};
+
+// Staff changes are logged with the restaurants the employee works at, so moves between them show up too.
+const loadStaffMember = async (db, id) => {
+  if (id == null) return null;
+  const result = await db.query(
+    `SELECT e.*, ARRAY(SELECT er.restaurant_id FROM employee_restaurants er WHERE er.employee_id = e.id ORDER BY 1) AS restaurant_ids
+     FROM employees e WHERE e.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+const trackStaff = (action, options = {}) => trackActivity(action, 'employees', { load: loadStaffMember, ...options });
+
+// The activity log filters: from / to (local dates at the restaurant), action (comma-separated; 'order.*'
+// matches every order action), entity_type, entity_id, employee_id, and paging with limit (at most 500) / offset.
+const activityError = (q) => {
+  if ((q.from && !isDate(q.from)) || (q.to && !isDate(q.to))) return 'from and to must be dates (YYYY-MM-DD)';
+  if (q.employee_id != null && !/^\d+$/.test(q.employee_id)) return 'employee_id must be an employee id';
+  if (q.limit != null && !(/^\d+$/.test(q.limit) && Number(q.limit) >= 1 && Number(q.limit) <= 500)) return 'limit must be between 1 and 500';
+  if (q.offset != null && !/^\d+$/.test(q.offset)) return 'offset must be 0 or more';
+  return null;
+};
+
+// Activity recorded at the given restaurants, or by their staff where no restaurant was involved.
+const findActivity = (db, restaurantIds, q) => {
+  const params = [restaurantIds];
+  const where = [`(a.restaurant_id = ANY($1) OR (a.restaurant_id IS NULL AND EXISTS (
+    SELECT 1 FROM employee_restaurants er WHERE er.employee_id = a.employee_id AND er.restaurant_id = ANY($1))))`];
+  const add = (condition, value) => {
+    params.push(value);
+    where.push(condition.replace('?', `$${params.length}`));
+  };
+  const localDate = "(a.timestamp::timestamptz AT TIME ZONE COALESCE(r.timezone, 'UTC'))::date";
+  if (q.employee_id) add('a.employee_id = ?', Number(q.employee_id));
+  if (q.from) add(`${localDate} >= ?::date`, q.from);
+  if (q.to) add(`${localDate} <= ?::date`, q.to);
+  if (q.action) {
+    const patterns = String(q.action).split(',').map(a => a.trim()).filter(Boolean)
+      .map(a => a.replace(/[\\%_]/g, '\\$&').replace(/\.\*$/, '.%'));
+    add('a.action LIKE ANY(?::text[])', patterns);
+  }
+  if (q.entity_type) add('a.entity_type = ?', q.entity_type);
+  if (q.entity_id) add('a.entity_id = ?', String(q.entity_id));
+  params.push(q.limit ? Number(q.limit) : 100, q.offset ? Number(q.offset) : 0);
+  return db.query(
+    `SELECT a.*, e.name AS employee_name FROM employee_activity a
+     JOIN employees e ON e.id = a.employee_id
+     LEFT JOIN restaurants r ON r.id = a.restaurant_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY a.timestamp DESC, a.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+};
 
 module.exports = (pool, verifyToken) => {
+  // Employees outside the manager's restaurants answer 404, as if they didn't exist.
+  const employeeInScope = async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        'SELECT 1 FROM employee_restaurants WHERE employee_id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Employee not found' });
+      next();
+    } catch (err) {
+      handleError(res, err);
+    }
+  };
+
+  // [GET] /employees/schedule?week=&restaurant_id= - The week's schedule per restaurant. week is any date
+  // in the week or an ISO week (2026-W43), defaulting to this week. Managers also see drafts, warnings and
+  // each person's hours; other staff see the published shifts.
+  router.get('/schedule', verifyToken, requireStaff, scopeToRestaurant(), async (req, res) => {
+    try {
+      const week = weekOf(req.query.week);
+      res.json(await scheduleWeek(pool, req.restaurantIds, week, { manager: hasAccess(req.employee, ['Manager']) }));
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /employees/schedule/publish - Publish the week's draft shifts ({ restaurant_id, week }) and
+  // notify the staff on them
+  router.post('/schedule/publish', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id } = req.body;
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
+    const client = await pool.connect();
+    try {
+      const week = weekOf(req.body.week);
+      await client.query('BEGIN');
+      const shifts = await publishWeek(client, Number(restaurant_id), week);
+      await client.query('COMMIT');
+      const notifications = await notifyPublished(pool, Number(restaurant_id), week, shifts);
+      res.json({ week, published: shifts.length, shifts, notifications });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [PATCH] /employees/time-off/:request_id - Approve or deny a time-off request ({ status })
+  // Approving lists the shifts already scheduled in that time so they can be moved.
+  router.patch('/time-off/:request_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { status } = req.body;
+    if (!['Approved', 'Denied'].includes(status)) {
+      return res.status(400).json({ error: 'status must be Approved or Denied' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE time_off_requests t SET status = $1, reviewed_by = $2, reviewed_at = NOW()
+         WHERE t.id = $3 AND EXISTS (
+           SELECT 1 FROM employee_restaurants er WHERE er.employee_id = t.employee_id AND er.restaurant_id = ANY($4))
+         RETURNING t.id, t.employee_id, t.start_date::text AS start_date, t.end_date::text AS end_date, t.reason, t.status,
+                   t.reviewed_by, t.reviewed_at, t.created_at`,
+        [status, req.employee.id, req.params.request_id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Time-off request not found' });
+      const request = result.rows[0];
+      const conflicting = status === 'Approved'
+        ? await shiftsDuring(pool, request.employee_id, request.start_date, request.end_date)
+        : [];
+      res.json({ time_off: request, conflicting_shifts: conflicting });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
   // [GET] /employees - Fetch all employees
-  router.get('/', verifyToken, async (req, res) => {
+  router.get('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM employees');
+      const result = await pool.query(
+        `SELECT * FROM employees e
+         WHERE EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id AND er.restaurant_id = ANY($1))`,
+        [req.restaurantIds]
+      );
       res.json({ employees: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /employees - Create new employee
-  router.post('/', verifyToken, async (req, res) => {
-    const { name, role, email } = req.body;
-    if (!name || !role || !email) {
-      return res.status(400).json({ error: 'Name, role, and email are required' });
-    }
+  // [GET] /employees/unassigned - Staff not placed at any restaurant yet, who no route shows otherwise
+  router.get('/unassigned', verifyToken, authorizeRoles('Manager'), async (req, res) => {
     try {
       const result = await pool.query(
-        'INSERT INTO employees (name, role, email) VALUES ($1, $2, $3) RETURNING *',
-        [name, role, email]
+        `SELECT * FROM employees e
+         WHERE NOT EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id)
+         ORDER BY e.name ASC`
+      );
+      res.json({ employees: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /employees - Create new employee at one of the manager's restaurants
+  router.post('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackStaff('employee.created', {
+    id: (req, body) => body && body.employee && body.employee.id,
+  }), async (req, res) => {
+    const { name, role, email, user_id, permissions, restaurant_id } = req.body;
+    if (!name || !role || !email || !restaurant_id) {
+      return res.status(400).json({ error: 'Name, role, email, and restaurant_id are required' });
+    }
+    if (permissions != null && !Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'Permissions must be an array' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO employees (name, role, email, user_id, permissions) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [name, role, email, user_id || null, permissions || []]
       );
-      res.status(201).json({ employee: result.rows[0] });
+      await client.query(
+        'INSERT INTO employee_restaurants (employee_id, restaurant_id) VALUES ($1, $2)',
+        [result.rows[0].id, restaurant_id]
+      );
+      await client.query('COMMIT');
+      res.status(201).json({ employee: { ...result.rows[0], restaurant_ids: [Number(restaurant_id)] } });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
   // [PUT] /employees/:id - Update employee
-  router.put('/:id', verifyToken, async (req, res) => {
+  // user_id links the record to the staff member's account (null unlinks it); leaving it out keeps the link.
+  router.put('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, trackStaff('employee.updated'), async (req, res) => {
     const { id } = req.params;
-    const { name, role, email } = req.body;
+    const { name, role, email, user_id } = req.body;
     if (!name || !role || !email) {
       return res.status(400).json({ error: 'Name, role, and email are required' });
     }
+    if (user_id !== undefined && user_id !== null && (typeof user_id !== 'string' || !user_id)) {
+      return res.status(400).json({ error: 'user_id must be an account id or null' });
+    }
     try {
       const result = await pool.query(
-        'UPDATE employees SET name = $1, role = $2, email = $3 WHERE id = $4 RETURNING *',
-        [name, role, email, id]
+        `UPDATE employees SET name = $1, role = $2, email = $3, user_id = CASE WHEN $5::boolean THEN $6 ELSE user_id END
+         WHERE id = $4 RETURNING *`,
+        [name, role, email, id, user_id !== undefined, user_id || null]
       );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Employee not found' });
       res.json({ employee: result.rows[0] });
     } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'That account is already linked to another employee' });
+      if (err.code === '23503') return res.status(400).json({ error: 'No account with that user_id' });
       handleError(res, err);
     }
   });
 
   // [DELETE] /employees/:id - Delete employee
-  router.delete('/:id', verifyToken, async (req, res) => {
+  router.delete('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, trackStaff('employee.deleted'), async (req, res) => {
     const { id } = req.params;
     try {
       const result = await pool.query('DELETE FROM employees WHERE id = $1 RETURNING *', [id]);
@@ -62,64 +253,236 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /employees/:id/shifts - View employee shifts
-  router.get('/:id/shifts', verifyToken, async (req, res) => {
+  // [GET] /employees/:id/shifts?from=&to= - View employee shifts (dates inclusive)
+  router.get('/:id/shifts', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
     try {
-      const result = await pool.query('SELECT * FROM shifts WHERE employee_id = $1', [req.params.id]);
+      const result = await pool.query(
+        `SELECT ${shiftColumns} FROM shifts s
+         WHERE s.employee_id = $1 AND s.restaurant_id = ANY($2)
+           AND ($3::date IS NULL OR s.shift_date >= $3) AND ($4::date IS NULL OR s.shift_date <= $4)
+         ORDER BY s.shift_date, s.start_time`,
+        [req.params.id, req.restaurantIds, from || null, to || null]
+      );
       res.json({ shifts: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /employees/:id/shifts - Create shift for employee
-  router.post('/:id/shifts', verifyToken, async (req, res) => {
-    const { shift_date, start_time, end_time } = req.body;
-    if (!shift_date || !start_time || !end_time) {
+  // [POST] /employees/:id/shifts - Draft a shift for the employee (body restaurant_id scopes the employee check)
+  // Body: { restaurant_id, shift_date, start_time, end_time, ends_next_day?, position?, notes? }. Overlapping
+  // shifts and approved time off are refused with 409; rest, availability and overtime come back as warnings.
+  router.post('/:id/shifts', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const { shift_date, start_time, end_time, restaurant_id } = req.body;
+    if (!shift_date || !start_time || !end_time || !restaurant_id) {
       return res.status(400).json({ error: 'All shift fields are required' });
     }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const saved = await saveShift(client, req.params.id, restaurant_id, req.body, { actor: { employee_id: req.employee.id } });
+      await client.query('COMMIT');
+      res.status(201).json(saved);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [PUT] /employees/:id/shifts/:shift_id - Change a shift's times, position or notes (same checks as
+  // creating one). The employee is notified when the shift was already published.
+  router.put('/:id/shifts/:shift_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await lockEmployee(client, req.params.id);
+      const existing = await getShift(client, req.params.shift_id, req.params.id, req.restaurantIds);
+      const saved = await saveShift(client, req.params.id, existing.restaurant_id, req.body, { existing });
+      await client.query('COMMIT');
+      const notification = existing.status === 'Published' ? await notifyShiftChange(pool, saved.shift, 'changed') : null;
+      res.json({ ...saved, notification });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [DELETE] /employees/:id/shifts/:shift_id - Remove a shift (notifying the employee if it was published)
+  router.delete('/:id/shifts/:shift_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    try {
+      const shift = await getShift(pool, req.params.shift_id, req.params.id, req.restaurantIds);
+      await pool.query('DELETE FROM shifts WHERE id = $1', [shift.id]);
+      const notification = shift.status === 'Published' ? await notifyShiftChange(pool, shift, 'cancelled') : null;
+      res.json({ message: 'Shift deleted', notification });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /employees/:id/availability - Weekly availability (weekday 0 = Sunday); none means any time
+  router.get('/:id/availability', verifyToken, identifyEmployee, selfOrManager, scopeToRestaurant(), employeeInScope, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT weekday, start_time::text AS start_time, end_time::text AS end_time FROM employee_availability
+         WHERE employee_id = $1 ORDER BY weekday, start_time`,
+        [req.params.id]
+      );
+      res.json({ availability: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /employees/:id/availability - Replace the weekly availability
+  // Body: { availability: [{ weekday, start_time, end_time }] } with end_time up to 24:00; [] clears it.
+  router.put('/:id/availability', verifyToken, identifyEmployee, selfOrManager, scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const { availability } = req.body;
+    if (!Array.isArray(availability)) return res.status(400).json({ error: 'availability must be an array' });
+    const invalid = availability.find(w => !w || !Number.isInteger(w.weekday) || w.weekday < 0 || w.weekday > 6
+      || !isTime(w.start_time) || !isTime(w.end_time) || w.end_time.slice(0, 5) <= w.start_time.slice(0, 5));
+    if (invalid) {
+      return res.status(400).json({ error: 'Each window needs a weekday (0-6) and a start_time before its end_time (HH:MM)', window: invalid });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM employee_availability WHERE employee_id = $1', [req.params.id]);
+      for (const w of availability) {
+        await client.query(
+          'INSERT INTO employee_availability (employee_id, weekday, start_time, end_time) VALUES ($1, $2, $3, $4)',
+          [req.params.id, w.weekday, w.start_time, w.end_time]
+        );
+      }
+      await client.query('COMMIT');
+      res.json({ availability });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /employees/:id/time-off - Time-off requests, latest first
+  router.get('/:id/time-off', verifyToken, identifyEmployee, selfOrManager, scopeToRestaurant(), employeeInScope, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT t.id, t.employee_id, t.start_date::text AS start_date, t.end_date::text AS end_date, t.reason, t.status,
+                t.reviewed_by, r.name AS reviewed_by_name, t.reviewed_at, t.created_at
+         FROM time_off_requests t
+         LEFT JOIN employees r ON r.id = t.reviewed_by
+         WHERE t.employee_id = $1 ORDER BY t.start_date DESC`,
+        [req.params.id]
+      );
+      res.json({ time_off: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /employees/:id/time-off - Request whole days off ({ start_date, end_date, reason? }); a manager
+  // approves or denies it
+  router.post('/:id/time-off', verifyToken, identifyEmployee, selfOrManager, scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const { start_date, end_date, reason } = req.body;
+    if (!isDate(start_date) || !isDate(end_date)) {
+      return res.status(400).json({ error: 'start_date and end_date must be dates (YYYY-MM-DD)' });
+    }
+    if (end_date < start_date) return res.status(400).json({ error: 'end_date must not be before start_date' });
     try {
       const result = await pool.query(
-        'INSERT INTO shifts (employee_id, shift_date, start_time, end_time) VALUES ($1, $2, $3, $4) RETURNING *',
-        [req.params.id, shift_date, start_time, end_time]
+        `INSERT INTO time_off_requests (employee_id, start_date, end_date, reason) VALUES ($1, $2, $3, $4)
+         RETURNING id, employee_id, start_date::text AS start_date, end_date::text AS end_date, reason, status, created_at`,
+        [req.params.id, start_date, end_date, reason || null]
       );
-      res.status(201).json({ shift: result.rows[0] });
+      res.status(201).json({ time_off: result.rows[0] });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /employees/:id/payroll - View employee payroll
-  router.get('/:id/payroll', verifyToken, async (req, res) => {
+  // [GET] /employees/:id/payroll - Payroll paid at the manager's restaurants (and rows entered by hand
+  // before payroll runs), latest first
+  router.get('/:id/payroll', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM payroll WHERE employee_id = $1', [req.params.id]);
+      const result = await pool.query(
+        `SELECT p.*, p.period_start::text AS period_start, p.period_end::text AS period_end
+         FROM payroll p WHERE p.employee_id = $1 AND (p.restaurant_id IS NULL OR p.restaurant_id = ANY($2))
+         ORDER BY p.period_end DESC NULLS LAST, p.id DESC`,
+        [req.params.id, req.restaurantIds]
+      );
       res.json({ payroll: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /employees/:id/payroll - Create payroll entry
-  router.post('/:id/payroll', verifyToken, async (req, res) => {
-    const { pay_period, gross_salary, net_salary } = req.body;
-    if (!pay_period || gross_salary == null || net_salary == null) {
-      return res.status(400).json({ error: 'All payroll fields are required' });
+  // [POST] /employees/:id/payroll - Replaced by payroll runs, which work pay out from pay rates and hours
+  router.post('/:id/payroll', verifyToken, authorizeRoles('Manager'), (req, res) => {
+    res.status(410).json({ error: 'Payroll is no longer entered by hand; run it with POST /payroll/runs' });
+  });
+
+  // [GET] /employees/:id/pay-rates - Pay rate history at the manager's restaurants, latest first
+  router.get('/:id/pay-rates', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT p.*, p.effective_from::text AS effective_from FROM employee_pay_rates p
+         WHERE p.employee_id = $1 AND p.restaurant_id = ANY($2)
+         ORDER BY p.restaurant_id, p.effective_from DESC`,
+        [req.params.id, req.restaurantIds]
+      );
+      res.json({ pay_rates: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /employees/:id/pay-rates - Set a pay rate from a date on { restaurant_id, pay_type: Hourly|Salary,
+  // rate (per hour, or per year for salaries), effective_from }; a rate set for the same date replaces it
+  router.post('/:id/pay-rates', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, trackActivity('employee.pay_rate_set', 'employee_pay_rates', {
+    id: (req, body) => body && body.pay_rate && body.pay_rate.id,
+  }), async (req, res) => {
+    const { restaurant_id, pay_type, rate, effective_from } = req.body;
+    if (!restaurant_id || !['Hourly', 'Salary'].includes(pay_type) || typeof rate !== 'number' || !(rate >= 0) || !isDate(effective_from)) {
+      return res.status(400).json({ error: 'restaurant_id, pay_type (Hourly or Salary), rate and effective_from (YYYY-MM-DD) are required' });
     }
     try {
+      const works = await pool.query(
+        'SELECT 1 FROM employee_restaurants WHERE employee_id = $1 AND restaurant_id = $2',
+        [req.params.id, restaurant_id]
+      );
+      if (works.rowCount === 0) return res.status(400).json({ error: "The employee doesn't work at this restaurant" });
       const result = await pool.query(
-        'INSERT INTO payroll (employee_id, pay_period, gross_salary, net_salary) VALUES ($1, $2, $3, $4) RETURNING *',
-        [req.params.id, pay_period, gross_salary, net_salary]
+        `INSERT INTO employee_pay_rates (employee_id, restaurant_id, pay_type, rate, effective_from, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (employee_id, restaurant_id, effective_from)
+         DO UPDATE SET pay_type = EXCLUDED.pay_type, rate = EXCLUDED.rate, created_by = EXCLUDED.created_by, created_at = NOW()
+         RETURNING *, effective_from::text AS effective_from`,
+        [req.params.id, restaurant_id, pay_type, rate, effective_from, req.employee.id]
       );
-      res.status(201).json({ payroll: result.rows[0] });
+      res.status(201).json({ pay_rate: result.rows[0] });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /employees/:id/tips-earnings - View tips & earnings
-  router.get('/:id/tips-earnings', verifyToken, async (req, res) => {
+  // [GET] /employees/:id/tips-earnings - View tips & earnings at the manager's restaurants
+  // (earnings from before tips were tracked per restaurant have none and are always shown)
+  router.get('/:id/tips-earnings', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM tips_earnings WHERE employee_id = $1', [req.params.id]);
+      const result = await pool.query(
+        `SELECT * FROM tips_earnings
+         WHERE employee_id = $1 AND (restaurant_id = ANY($2) OR restaurant_id IS NULL)
+         ORDER BY created_at DESC, id DESC`,
+        [req.params.id, req.restaurantIds]
+      );
       res.json({ tips_earnings: result.rows });
     } catch (err) {
       handleError(res, err);
@@ -127,7 +490,7 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [GET] /employees/:id/roles - View employee role and permissions
-  router.get('/:id/roles', verifyToken, async (req, res) => {
+  router.get('/:id/roles', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
     try {
       const result = await pool.query('SELECT role, permissions FROM employees WHERE id = $1', [req.params.id]);
       if (!result.rows.length) return res.status(404).json({ error: 'Employee not found' });
@@ -137,13 +500,96 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /employees/:id/activity - View activity log
-  router.get('/:id/activity', verifyToken, async (req, res) => {
+  // [PUT] /employees/:id/roles - Update employee role and permissions
+  router.put('/:id/roles', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, trackStaff('employee.role_changed'), async (req, res) => {
+    const { role, permissions } = req.body;
+    if (!role || !Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'Role and permissions array are required' });
+    }
+    try {
+      const result = await pool.query(
+        'UPDATE employees SET role = $1, permissions = $2 WHERE id = $3 RETURNING role, permissions',
+        [role, permissions, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Employee not found' });
+      res.json({ roles: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /employees/:id/restaurants - Restaurants the employee works at
+  router.get('/:id/restaurants', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
     try {
       const result = await pool.query(
-        'SELECT * FROM employee_activity WHERE employee_id = $1 ORDER BY timestamp DESC',
+        `SELECT r.id, r.name FROM employee_restaurants er
+         JOIN restaurants r ON r.id = er.restaurant_id
+         WHERE er.employee_id = $1 ORDER BY r.name ASC`,
         [req.params.id]
       );
+      res.json({ restaurants: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /employees/:id/restaurants - Add the employee to another of the manager's restaurants
+  // Staff not placed at any restaurant yet (see GET /employees/unassigned) can be added by any manager.
+  router.post('/:id/restaurants', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackStaff('employee.restaurant_added'), async (req, res) => {
+    const { restaurant_id } = req.body;
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
+    try {
+      const employee = await pool.query(
+        `SELECT 1 FROM employees e
+         WHERE e.id = $1 AND (
+           EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id AND er.restaurant_id = ANY($2))
+           OR NOT EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id))`,
+        [req.params.id, req.employee.restaurant_ids]
+      );
+      if (employee.rowCount === 0) return res.status(404).json({ error: 'Employee not found' });
+      await pool.query(
+        'INSERT INTO employee_restaurants (employee_id, restaurant_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [req.params.id, restaurant_id]
+      );
+      res.status(201).json({ message: 'Employee added to restaurant' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [DELETE] /employees/:id/restaurants/:restaurant_id - Remove the employee from a restaurant
+  router.delete('/:id/restaurants/:restaurant_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('restaurant_id'), trackStaff('employee.restaurant_removed'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM employee_restaurants WHERE employee_id = $1 AND restaurant_id = $2 RETURNING *',
+        [req.params.id, req.params.restaurant_id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Employee not found' });
+      res.json({ message: 'Employee removed from restaurant' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /employees/activity?restaurant_id=&from=&to=&action=&entity_type=&entity_id=&employee_id= - Activity
+  // log of all staff at the manager's restaurants, latest first (e.g. everyone who touched one order)
+  router.get('/activity', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const error = activityError(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+      const result = await findActivity(pool, req.restaurantIds, req.query);
+      res.json({ activity_logs: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /employees/:id/activity?from=&to=&action=&entity_type=&entity_id= - View activity log
+  router.get('/:id/activity', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, async (req, res) => {
+    const error = activityError(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+      const result = await findActivity(pool, req.restaurantIds, { ...req.query, employee_id: req.params.id });
       res.json({ activity_logs: result.rows });
     } catch (err) {
       handleError(res, err);
@@ -151,12 +597,14 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [GET] /employees/search/query?q=term - Search employees
-  router.get('/search/query', verifyToken, async (req, res) => {
+  router.get('/search/query', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     const { q } = req.query;
     try {
       const result = await pool.query(
-        `SELECT * FROM employees WHERE name ILIKE $1 OR role ILIKE $1`,
-        [`%${q}%`]
+        `SELECT * FROM employees e
+         WHERE (name ILIKE $1 OR role ILIKE $1)
+           AND EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id AND er.restaurant_id = ANY($2))`,
+        [`%${q}%`, req.restaurantIds]
       );
       res.json({ employees: result.rows });
     } catch (err) {
@@ -165,7 +613,7 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [PATCH] /employees/:id/status - Toggle active status
-  router.patch('/:id/status', verifyToken, async (req, res) => {
+  router.patch('/:id/status', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), employeeInScope, trackStaff('employee.status_changed'), async (req, res) => {
     const { status } = req.body;
     if (typeof status !== 'boolean') {
       return res.status(400).json({ error: 'Status must be a boolean' });
@@ -2,16 +2,24 @@ const express = require('express');
 const router = express.Router();
 
 module.exports = (pool, verifyToken, admin) => {
+  router.use(require('../middleware/activityLog'));
+
   // Load and mount route modules
   router.use('/auth', require('./auth')(pool, verifyToken, admin));
   router.use('/employees', require('./employee')(pool, verifyToken));
   router.use('/inventory', require('./inventory')(pool, verifyToken));
   router.use('/menu', require('./menu')(pool, verifyToken));
-  router.use('/notifications', require('./notifications')(pool, verifyToken, admin));
-  router.use('/orders', require('../orders')(pool, verifyToken));
+  router.use('/notifications', require('./notifications')(pool, verifyToken));
+  router.use('/orders', require('./orders')(pool, verifyToken));
+  router.use('/payments', require('./payments')(pool, verifyToken));
+  router.use('/payroll', require('./payroll')(pool, verifyToken));
+  router.use('/tips', require('./tips')(pool, verifyToken));
   router.use('/reports', require('./reports')(pool, verifyToken));
   router.use('/reservations', require('./reservations')(pool, verifyToken));
   router.use('/restaurants', require('./restaurants')(pool, verifyToken));
+  router.use('/suppliers', require('./suppliers')(pool, verifyToken));
+  router.use('/time-clock', require('./timeClock')(pool, verifyToken));
+  router.use('/waste', require('./waste')(pool, verifyToken));
 
   return router;
 };
\ No newline at end of file
@@ -1,60 +1,299 @@
 const express = require('express');
 const router = express.Router();
 
-const handleError = (res, err) => res.status(500).json({ error: err.message });
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const sendReport = require('../middleware/sendReport');
+const { trackActivity } = require('../middleware/activityLog');
+const { refreshAvailability } = require('../services/recipes');
+const {
+  movementTypes, lockItem, convertForItem, recordMovement, recordCount, recordTransfer,
+} = require('../services/stockLedger');
+const { standardFactor } = require('../services/units');
+const { DEFAULT_USAGE_DAYS, DEFAULT_COVER_DAYS, suggestReorders, approveSuggestions } = require('../services/reorder');
+const {
+  getPurchaseOrder, lockPurchaseOrder, addLines, createPurchaseOrder, changePurchaseOrderStatus, receivePurchaseOrder,
+} = require('../services/purchasing');
+const {
+  lockStockCount, openStockCount, getStockCount, submitCounts, finalizeStockCount,
+} = require('../services/stockCounts');
+const { wasteReasons, wasteInventory } = require('../services/waste');
+const { isDate } = require('../services/reportRange');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+const actorOf = (req) => ({ uid: req.user.uid, employee_id: req.employee.id });
+const isParLevel = (v) => v == null || (typeof v === 'number' && v >= 0);
+const positiveDays = (v, fallback) => (v == null || v === '' ? fallback : Number(v));
+// Bulk updates touch several items; the activity log keeps their quantities before and after.
+const loadBulkItems = async (db, id, req) => {
+  const ids = (Array.isArray(req.body.items) ? req.body.items : []).map(item => item && item.id).filter(Number.isInteger);
+  const result = await db.query('SELECT id, name, quantity, unit FROM inventory WHERE id = ANY($1::int[]) ORDER BY id', [ids]);
+  return { items: result.rows };
+};
 
 module.exports = (pool, verifyToken) => {
   // [GET] /inventory - Get all inventory items
-  router.get('/', verifyToken, async (req, res) => {
+  router.get('/', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM inventory');
+      const result = await pool.query(
+        'SELECT * FROM inventory WHERE restaurant_id = ANY($1) ORDER BY name ASC',
+        [req.restaurantIds]
+      );
       res.json({ inventory: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /inventory - Add new inventory item
-  router.post('/', verifyToken, async (req, res) => {
-    const { name, quantity, unit, low_stock_threshold } = req.body;
-    if (!name || quantity == null || !unit) {
-      return res.status(400).json({ error: 'Name, quantity, and unit are required' });
+  // [GET] /inventory/unassigned - Items and supplier orders from before stock was kept per restaurant that
+  // still have none; they are hidden from every other route until assigned
+  router.get('/unassigned', verifyToken, authorizeRoles('Manager'), async (req, res) => {
+    try {
+      const [items, orders] = await Promise.all([
+        pool.query('SELECT * FROM inventory WHERE restaurant_id IS NULL ORDER BY name ASC'),
+        pool.query('SELECT * FROM supplier_orders WHERE restaurant_id IS NULL ORDER BY created_at DESC'),
+      ]);
+      res.json({ inventory: items.rows, supplier_orders: orders.rows });
+    } catch (err) {
+      handleError(res, err);
     }
+  });
+
+  // [PUT] /inventory/:id/restaurant - Assign an unassigned item to one of the manager's restaurants { restaurant_id }
+  router.put('/:id/restaurant', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('inventory.assigned', 'inventory'), async (req, res) => {
+    if (!req.body.restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
     try {
       const result = await pool.query(
-        'INSERT INTO inventory (name, quantity, unit, low_stock_threshold) VALUES ($1, $2, $3, $4) RETURNING *',
-        [name, quantity, unit, low_stock_threshold || 0]
+        'UPDATE inventory SET restaurant_id = $1 WHERE id = $2 AND restaurant_id IS NULL RETURNING *',
+        [req.restaurantIds[0], req.params.id]
       );
-      res.status(201).json({ inventory_item: result.rows[0] });
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Unassigned inventory item not found' });
+      res.json({ inventory_item: result.rows[0] });
     } catch (err) {
       handleError(res, err);
     }
   });
 
+  // [POST] /inventory - Add new inventory item (the starting quantity opens its ledger)
+  router.post('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('inventory.created', 'inventory', {
+    id: (req, body) => body && body.inventory_item && body.inventory_item.id,
+  }), async (req, res) => {
+    const { name, quantity, unit, low_stock_threshold, par_level, restaurant_id } = req.body;
+    if (!name || typeof quantity !== 'number' || !unit || !restaurant_id) {
+      return res.status(400).json({ error: 'Name, quantity, unit, and restaurant_id are required' });
+    }
+    if (!isParLevel(par_level)) return res.status(400).json({ error: 'par_level must be a non-negative number' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO inventory (restaurant_id, name, quantity, unit, low_stock_threshold, par_level)
+         VALUES ($1, $2, 0, $3, $4, $5) RETURNING *`,
+        [restaurant_id, name, unit, low_stock_threshold || 0, par_level == null ? null : par_level]
+      );
+      if (quantity !== 0) {
+        await recordCount(client, result.rows[0], quantity, { reason: 'Opening balance', actor: actorOf(req) });
+      }
+      const item = await client.query('SELECT * FROM inventory WHERE id = $1', [result.rows[0].id]);
+      await client.query('COMMIT');
+      res.status(201).json({ inventory_item: item.rows[0] });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
   // [PUT] /inventory/:id - Update inventory item
-  router.put('/:id', verifyToken, async (req, res) => {
+  // A changed quantity is recorded as a count (optional reason); the unit is fixed once stock has moved.
+  router.put('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('inventory.updated', 'inventory'), async (req, res) => {
     const { id } = req.params;
-    const { name, quantity, unit, low_stock_threshold } = req.body;
-    if (!name || quantity == null || !unit) {
+    const { name, quantity, unit, low_stock_threshold, par_level, reason } = req.body;
+    if (!name || typeof quantity !== 'number' || !unit) {
       return res.status(400).json({ error: 'Name, quantity, and unit are required' });
     }
+    if (!isParLevel(par_level)) return res.status(400).json({ error: 'par_level must be a non-negative number' });
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+      const item = await lockItem(client, id, req.restaurantIds);
+      if (unit !== item.unit) {
+        const moved = await client.query('SELECT 1 FROM inventory_movements WHERE inventory_id = $1 LIMIT 1', [id]);
+        if (moved.rowCount > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Unit cannot change once the item has stock movements' });
+        }
+      }
+      if (quantity !== Number(item.quantity || 0)) {
+        await recordCount(client, item, quantity, { reason: reason || 'Manual edit', actor: actorOf(req) });
+      }
+      const result = await client.query(
+        'UPDATE inventory SET name = $1, unit = $2, low_stock_threshold = $3, par_level = $4 WHERE id = $5 RETURNING *',
+        [name, unit, low_stock_threshold || 0, par_level == null ? null : par_level, id]
+      );
+      const availability = await refreshAvailability(client, { inventoryIds: [item.id] });
+      await client.query('COMMIT');
+      res.json({ inventory_item: result.rows[0], ...availability });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /inventory/:id/movements?type=&from=&to=&limit= - Stock movement history, newest first
+  // (dates inclusive, at most 1000 movements)
+  router.get('/:id/movements', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    const { type, from, to } = req.query;
+    if (type && !movementTypes.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${movementTypes.join(', ')}` });
+    }
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    if (req.query.limit != null && !(/^\d+$/.test(req.query.limit) && Number(req.query.limit) >= 1)) {
+      return res.status(400).json({ error: 'limit must be a whole number of at least 1' });
+    }
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    try {
+      const item = await pool.query(
+        'SELECT * FROM inventory WHERE id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (item.rowCount === 0) return res.status(404).json({ error: 'Inventory item not found' });
       const result = await pool.query(
-        'UPDATE inventory SET name = $1, quantity = $2, unit = $3, low_stock_threshold = $4 WHERE id = $5 RETURNING *',
-        [name, quantity, unit, low_stock_threshold || 0, id]
+        `SELECT mv.*, e.name AS employee_name
+         FROM inventory_movements mv
+         LEFT JOIN employees e ON e.id = mv.employee_id
+         WHERE mv.inventory_id = $1
+           AND ($2::varchar IS NULL OR mv.movement_type = $2)
+           AND ($3::date IS NULL OR mv.created_at >= $3::date)
+           AND ($4::date IS NULL OR mv.created_at < $4::date + 1)
+         ORDER BY mv.id DESC
+         LIMIT $5`,
+        [req.params.id, type || null, from || null, to || null, limit]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Inventory item not found' });
-      res.json({ inventory_item: result.rows[0] });
+      res.json({ inventory_item: item.rows[0], movements: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /inventory/:id/movements - Record stock received, wasted, counted or transferred
+  // Body: { type, quantity, unit?, reason?, reason_code?, to_inventory_id? }. For 'counted' the quantity is the
+  // total on hand; otherwise it is the amount moved. Waste is also entered in the waste log under reason_code
+  // (default 'other'). Sales are recorded by orders and cannot be posted here.
+  router.post('/:id/movements', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), trackActivity(
+    (req) => `inventory.${req.body.type}`, 'inventory'
+  ), async (req, res) => {
+    const { type, quantity, unit, reason, reason_code, to_inventory_id } = req.body;
+    if (!['received', 'wasted', 'counted', 'transferred'].includes(type)) {
+      return res.status(400).json({ error: 'type must be received, wasted, counted or transferred' });
+    }
+    if (typeof quantity !== 'number' || quantity < 0 || (type !== 'counted' && quantity === 0)) {
+      return res.status(400).json({ error: 'quantity must be a positive number' });
+    }
+    if (type === 'transferred' && (!Number.isInteger(to_inventory_id) || to_inventory_id === Number(req.params.id))) {
+      return res.status(400).json({ error: 'Transfers need a to_inventory_id other than the item itself' });
+    }
+    if (type === 'wasted' && reason_code != null && !wasteReasons.includes(reason_code)) {
+      return res.status(400).json({ error: `reason_code must be one of ${wasteReasons.join(', ')}` });
+    }
+    const details = { reason, entered_quantity: quantity, entered_unit: unit, actor: actorOf(req) };
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      let movements;
+      if (type === 'transferred') {
+        // Lock both items in id order; the destination may be at any of the caller's restaurants.
+        const scopes = { [to_inventory_id]: req.employee.restaurant_ids, [req.params.id]: req.restaurantIds };
+        const locked = {};
+        for (const itemId of Object.keys(scopes).map(Number).sort((a, b) => a - b)) {
+          locked[itemId] = await lockItem(client, itemId, scopes[itemId]);
+        }
+        const from = locked[req.params.id];
+        const amount = await convertForItem(client, from, quantity, unit);
+        movements = await recordTransfer(client, from, locked[to_inventory_id], amount, details);
+      } else {
+        const item = await lockItem(client, req.params.id, req.restaurantIds);
+        const amount = await convertForItem(client, item, quantity, unit);
+        if (type === 'wasted') {
+          ({ movements } = await wasteInventory(client, item, amount, {
+            reasonCode: reason_code, notes: reason, enteredQuantity: quantity, enteredUnit: unit, actor: details.actor,
+          }));
+        } else {
+          movements = [type === 'counted'
+            ? await recordCount(client, item, amount, details)
+            : await recordMovement(client, item.id, type, amount, details)];
+        }
+      }
+      const availability = await refreshAvailability(client, { inventoryIds: movements.map(m => m.inventory_id) });
+      await client.query('COMMIT');
+      res.status(201).json({ movements, ...availability });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /inventory/:id/units - Pack sizes defined for the item
+  router.get('/:id/units', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT u.unit, u.quantity, i.unit AS per_unit
+         FROM inventory_units u JOIN inventory i ON i.id = u.inventory_id
+         WHERE u.inventory_id = $1 AND i.restaurant_id = ANY($2)
+         ORDER BY u.unit ASC`,
+        [req.params.id, req.restaurantIds]
+      );
+      res.json({ units: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /inventory/:id/units/:unit - Define a pack size, e.g. { quantity: 24 } or { quantity: 5, of_unit: 'kg' }
+  router.put('/:id/units/:unit', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { quantity, of_unit } = req.body;
+    if (typeof quantity !== 'number' || quantity <= 0) {
+      return res.status(400).json({ error: 'quantity must be a positive number' });
+    }
+    try {
+      const item = await pool.query(
+        'SELECT * FROM inventory WHERE id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (item.rowCount === 0) return res.status(404).json({ error: 'Inventory item not found' });
+      const factor = of_unit ? standardFactor(of_unit, item.rows[0].unit) : 1;
+      if (factor == null) {
+        return res.status(400).json({ error: `Cannot convert ${of_unit} to ${item.rows[0].unit}` });
+      }
+      const result = await pool.query(
+        `INSERT INTO inventory_units (inventory_id, unit, quantity) VALUES ($1, $2, $3)
+         ON CONFLICT (inventory_id, unit) DO UPDATE SET quantity = EXCLUDED.quantity
+         RETURNING *`,
+        [req.params.id, req.params.unit, quantity * factor]
+      );
+      res.json({ unit: { ...result.rows[0], per_unit: item.rows[0].unit } });
     } catch (err) {
       handleError(res, err);
     }
   });
 
   // [DELETE] /inventory/:id - Delete inventory item
-  router.delete('/:id', verifyToken, async (req, res) => {
+  router.delete('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('inventory.deleted', 'inventory'), async (req, res) => {
     const { id } = req.params;
     try {
-      const result = await pool.query('DELETE FROM inventory WHERE id = $1 RETURNING *', [id]);
+      const result = await pool.query(
+        'DELETE FROM inventory WHERE id = $1 AND restaurant_id = ANY($2) RETURNING *',
+        [id, req.restaurantIds]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Inventory item not found' });
       res.json({ message: 'Inventory item deleted' });
     } catch (err) {
@@ -62,92 +301,350 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /inventory/low-stock - Get low stock items
-  router.get('/low-stock', verifyToken, async (req, res) => {
+  // [GET] /inventory/low-stock - Get low stock items (?format=csv|xlsx|pdf for a download)
+  router.get('/low-stock', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), sendReport('low-stock'));
+
+  // [GET] /inventory/reorder-suggestions?restaurant_id=&usage_days=&cover_days= - Proposed purchase orders by supplier
+  // Usage is sales and waste over the last usage_days (default 14); orders cover cover_days (default 7) past the lead time.
+  router.get('/reorder-suggestions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const usageDays = positiveDays(req.query.usage_days, DEFAULT_USAGE_DAYS);
+    const coverDays = positiveDays(req.query.cover_days, DEFAULT_COVER_DAYS);
+    if (!Number.isInteger(usageDays) || usageDays < 1 || !Number.isInteger(coverDays) || coverDays < 0) {
+      return res.status(400).json({ error: 'usage_days must be a positive integer and cover_days a non-negative integer' });
+    }
     try {
-      const result = await pool.query(
-        'SELECT * FROM inventory WHERE quantity <= low_stock_threshold'
-      );
-      res.json({ low_stock_items: result.rows });
+      res.json({ reorder_suggestions: await suggestReorders(pool, req.restaurantIds, { usageDays, coverDays }) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /inventory/reorder-suggestions/approve - Turn the current suggestions into purchase orders
+  // Body: { restaurant_id, supplier_ids?, adjustments?: { [supplier_item_id]: packs }, send?, usage_days?, cover_days? }
+  router.post('/reorder-suggestions/approve', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id, supplier_ids, adjustments, send } = req.body;
+    const usageDays = positiveDays(req.body.usage_days, DEFAULT_USAGE_DAYS);
+    const coverDays = positiveDays(req.body.cover_days, DEFAULT_COVER_DAYS);
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
+    if (supplier_ids != null && (!Array.isArray(supplier_ids) || !supplier_ids.every(Number.isInteger))) {
+      return res.status(400).json({ error: 'supplier_ids must be an array of integers' });
+    }
+    if (adjustments != null && (typeof adjustments !== 'object' ||
+        !Object.values(adjustments).every(v => typeof v === 'number' && v >= 0))) {
+      return res.status(400).json({ error: 'adjustments must map supplier_item_id to a non-negative number of packs' });
+    }
+    if (!Number.isInteger(usageDays) || usageDays < 1 || !Number.isInteger(coverDays) || coverDays < 0) {
+      return res.status(400).json({ error: 'usage_days must be a positive integer and cover_days a non-negative integer' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const orderIds = await approveSuggestions(client, Number(restaurant_id), {
+        supplierIds: supplier_ids,
+        adjustments: adjustments || {},
+        send: send === true,
+        usageDays,
+        coverDays,
+      });
+      const orders = [];
+      for (const id of orderIds) orders.push(await getPurchaseOrder(client, id, req.restaurantIds));
+      await client.query('COMMIT');
+      res.status(201).json({ orders });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
-  // [POST] /inventory/order - Place supplier order
-  router.post('/order', verifyToken, async (req, res) => {
-    const { supplier_id, items } = req.body;
-    if (!supplier_id || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Supplier ID and items are required' });
+  // [POST] /inventory/order - Draft a purchase order
+  // Body: { restaurant_id, supplier_id, items: [{ supplier_item_id, quantity, pack_price? }], notes?, expected_at? }
+  // quantity is in the supplier's packs; expected_at defaults to today plus the supplier's lead time.
+  router.post('/order', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { supplier_id, items, restaurant_id, notes, expected_at } = req.body;
+    if (!supplier_id || !restaurant_id || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Supplier ID, restaurant_id, and items are required' });
     }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const order = await createPurchaseOrder(client, {
+        restaurantId: restaurant_id,
+        supplierId: supplier_id,
+        lines: items,
+        notes,
+        expectedAt: expected_at,
+      });
+      const created = await getPurchaseOrder(client, order.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.status(201).json({ order: created });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /inventory/orders?status= - Get all supplier orders
+  router.get('/orders', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
       const result = await pool.query(
-        'INSERT INTO supplier_orders (supplier_id, items, order_status) VALUES ($1, $2, $3) RETURNING *',
-        [supplier_id, JSON.stringify(items), 'Pending']
+        `SELECT po.*, s.name AS supplier_name,
+                COUNT(l.id)::int AS line_count,
+                COALESCE(ROUND(SUM(l.pack_price * l.quantity_ordered), 2), 0) AS total
+         FROM supplier_orders po
+         LEFT JOIN suppliers s ON s.id = po.supplier_id
+         LEFT JOIN supplier_order_lines l ON l.supplier_order_id = po.id
+         WHERE po.restaurant_id = ANY($1) AND ($2::varchar IS NULL OR po.order_status = $2)
+         GROUP BY po.id, s.name
+         ORDER BY po.created_at DESC`,
+        [req.restaurantIds, req.query.status || null]
       );
-      res.status(201).json({ order: result.rows[0] });
+      res.json({ supplier_orders: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /inventory/orders - Get all supplier orders
-  router.get('/orders', verifyToken, async (req, res) => {
+  // [GET] /inventory/orders/:id - Purchase order with its lines and delivery variances
+  router.get('/orders/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM supplier_orders');
-      res.json({ supplier_orders: result.rows });
+      res.json({ order: await getPurchaseOrder(pool, req.params.id, req.restaurantIds) });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [PUT] /inventory/orders/:id - Update order status
-  router.put('/orders/:id', verifyToken, async (req, res) => {
+  // [PUT] /inventory/orders/:id - Send, cancel or close a purchase order
+  router.put('/orders/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     const { id } = req.params;
     const { order_status } = req.body;
     if (!order_status) {
       return res.status(400).json({ error: 'Order status is required' });
     }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const order = await lockPurchaseOrder(client, id, req.restaurantIds);
+      await changePurchaseOrderStatus(client, order, order_status);
+      const updated = await getPurchaseOrder(client, id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.json({ order: updated });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [PUT] /inventory/orders/:id/restaurant - Assign an unassigned supplier order to one of the manager's
+  // restaurants { restaurant_id }
+  router.put('/orders/:id/restaurant', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('supplier_order.assigned', 'supplier_orders'), async (req, res) => {
+    if (!req.body.restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
     try {
       const result = await pool.query(
-        'UPDATE supplier_orders SET order_status = $1 WHERE id = $2 RETURNING *',
-        [order_status, id]
+        'UPDATE supplier_orders SET restaurant_id = $1 WHERE id = $2 AND restaurant_id IS NULL RETURNING id',
+        [req.restaurantIds[0], req.params.id]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found' });
-      res.json({ order: result.rows[0] });
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Unassigned order not found' });
+      res.json({ order: await getPurchaseOrder(pool, req.params.id, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /inventory/orders/:id/lines - Replace the lines of a draft purchase order
+  router.put('/orders/:id/lines', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const order = await lockPurchaseOrder(client, req.params.id, req.restaurantIds);
+      if (order.order_status !== 'Draft') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only draft purchase orders can be edited' });
+      }
+      await client.query('DELETE FROM supplier_order_lines WHERE supplier_order_id = $1', [order.id]);
+      await addLines(client, order, req.body.items);
+      await client.query('UPDATE supplier_orders SET updated_at = NOW() WHERE id = $1', [order.id]);
+      const updated = await getPurchaseOrder(client, order.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.json({ order: updated });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [POST] /inventory/orders/:id/receive - Receive a delivery ({ lines: [{ line_id, quantity }] } in packs)
+  // Stock is posted to the ledger; short and over deliveries are flagged in the response.
+  router.post('/orders/:id/receive', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const order = await lockPurchaseOrder(client, req.params.id, req.restaurantIds);
+      const receipt = await receivePurchaseOrder(client, order, req.body.lines, actorOf(req));
+      const updated = await getPurchaseOrder(client, order.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.json({ order: updated, discrepancies: receipt.discrepancies, back_in_stock: receipt.back_in_stock });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
-  // [DELETE] /inventory/orders/:id - Delete supplier order
-  router.delete('/orders/:id', verifyToken, async (req, res) => {
+  // [DELETE] /inventory/orders/:id - Delete a draft or cancelled supplier order
+  router.delete('/orders/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     const { id } = req.params;
     try {
-      const result = await pool.query('DELETE FROM supplier_orders WHERE id = $1 RETURNING *', [id]);
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found' });
+      const result = await pool.query(
+        `DELETE FROM supplier_orders
+         WHERE id = $1 AND restaurant_id = ANY($2) AND order_status IN ('Draft', 'Cancelled')
+         RETURNING *`,
+        [id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) {
+        const exists = await pool.query(
+          'SELECT order_status FROM supplier_orders WHERE id = $1 AND restaurant_id = ANY($2)',
+          [id, req.restaurantIds]
+        );
+        if (exists.rowCount > 0) {
+          return res.status(409).json({ error: 'Only draft or cancelled orders can be deleted', order_status: exists.rows[0].order_status });
+        }
+        return res.status(404).json({ error: 'Order not found' });
+      }
       res.json({ message: 'Supplier order deleted' });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /inventory/report - Inventory stock report
-  router.get('/report', verifyToken, async (req, res) => {
+  // [GET] /inventory/report - Inventory stock report with stock value and when each item was last counted
+  // (?format=csv|xlsx|pdf for a download)
+  router.get('/report', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('inventory'));
+
+  // [POST] /inventory/counts - Open a stock count ({ restaurant_id, notes? }); snapshots expected quantities
+  router.post('/counts', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id, notes } = req.body;
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const count = await openStockCount(client, { restaurantId: restaurant_id, notes, actor: actorOf(req) });
+      const sheet = await getStockCount(client, count.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.status(201).json({ stock_count: sheet });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /inventory/counts?status= - Stock counts, newest first
+  router.get('/counts', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT sc.*, e.name AS opened_by_name,
+                (SELECT COUNT(DISTINCT ce.inventory_id)::int FROM stock_count_entries ce
+                 WHERE ce.stock_count_id = sc.id) AS counted_items
+         FROM stock_counts sc
+         LEFT JOIN employees e ON e.id = sc.opened_by
+         WHERE sc.restaurant_id = ANY($1) AND ($2::varchar IS NULL OR sc.status = $2)
+         ORDER BY sc.opened_at DESC`,
+        [req.restaurantIds, req.query.status || null]
+      );
+      res.json({ stock_counts: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /inventory/counts/:id - Count sheet: expected vs counted per item and the value of the difference
+  router.get('/counts/:id', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    try {
+      res.json({ stock_count: await getStockCount(pool, req.params.id, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /inventory/counts/:id/entries - Submit counted quantities from one device
+  // Body: { device_id?, items: [{ inventory_id, quantity, unit? }] }. Re-submitting an item from the same
+  // device replaces its figure; figures from different devices are added up.
+  router.post('/counts/:id/entries', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender'), scopeToRestaurant(), async (req, res) => {
+    const { device_id, items } = req.body;
+    if (device_id != null && (typeof device_id !== 'string' || !device_id || device_id.length > 100)) {
+      return res.status(400).json({ error: 'device_id must be a non-empty string of at most 100 characters' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const count = await lockStockCount(client, req.params.id, req.restaurantIds);
+      await submitCounts(client, count, items, { deviceId: device_id, actor: actorOf(req) });
+      const sheet = await getStockCount(client, count.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.status(201).json({ stock_count: sheet });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [POST] /inventory/counts/:id/finalize - Post the variances as stock adjustments and return the variance report
+  router.post('/counts/:id/finalize', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const count = await lockStockCount(client, req.params.id, req.restaurantIds);
+      const inventoryIds = await finalizeStockCount(client, count, actorOf(req));
+      const availability = await refreshAvailability(client, { inventoryIds });
+      const report = await getStockCount(client, count.id, req.restaurantIds);
+      await client.query('COMMIT');
+      res.json({ stock_count: report, ...availability });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [DELETE] /inventory/counts/:id - Discard an open stock count (nothing has been posted yet)
+  router.delete('/counts/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
     try {
-      const result = await pool.query(`
-        SELECT name AS item_name, quantity, low_stock_threshold,
-          (CASE WHEN quantity <= low_stock_threshold THEN true ELSE false END) AS low_stock
-        FROM inventory ORDER BY name ASC
-      `);
-      res.json({ inventory_report: result.rows });
+      await client.query('BEGIN');
+      const count = await lockStockCount(client, req.params.id, req.restaurantIds);
+      if (count.status !== 'Open') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only open stock counts can be discarded' });
+      }
+      await client.query('DELETE FROM stock_counts WHERE id = $1', [count.id]);
+      await client.query('COMMIT');
+      res.json({ message: 'Stock count discarded' });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
-  // [POST] /inventory/bulk-update - Bulk update inventory
-  router.post('/bulk-update', verifyToken, async (req, res) => {
+  // [POST] /inventory/bulk-update - Record counted quantities for several items
+  router.post('/bulk-update', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('inventory.bulk_updated', 'inventory', {
+    id: () => null,
+    load: loadBulkItems,
+  }), async (req, res) => {
     const { items } = req.body;
     if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'Items must be a non-empty array' });
@@ -160,13 +657,19 @@ module.exports = (pool, verifyToken) => {
           await client.query('ROLLBACK');
           return res.status(400).json({ error: 'Each item must have numeric id and quantity' });
         }
-        await client.query(
-          'UPDATE inventory SET quantity = $1 WHERE id = $2',
-          [item.quantity, item.id]
+        const current = await client.query(
+          'SELECT * FROM inventory WHERE id = $1 AND restaurant_id = ANY($2) FOR UPDATE',
+          [item.id, req.restaurantIds]
         );
+        if (current.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: `Inventory item ${item.id} not found` });
+        }
+        await recordCount(client, current.rows[0], item.quantity, { reason: item.reason || 'Bulk update', actor: actorOf(req) });
       }
+      const availability = await refreshAvailability(client, { inventoryIds: items.map(item => item.id) });
       await client.query('COMMIT');
-      res.status(200).json({ message: 'Bulk update successful' });
+      res.status(200).json({ message: 'Bulk update successful', ...availability });
     } catch (err) {
       await client.query('ROLLBACK');
       handleError(res, err);
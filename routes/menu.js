@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 
-const handleError = (res, err) => res.status(500).json({ error: err.message });
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { trackActivity } = require('../middleware/activityLog');
+const { getRecipe, setRecipe } = require('../services/recipes');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
 
 module.exports = (pool, verifyToken) => {
   // [GET] /menu/:restaurant_id - Get all menu items for a restaurant
@@ -19,7 +26,9 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [POST] /menu - Add a menu item
-  router.post('/', verifyToken, async (req, res) => {
+  router.post('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('menu.created', 'menu', {
+    id: (req, body) => body && body.menu_item && body.menu_item.id,
+  }), async (req, res) => {
     const { restaurant_id, name, price, description, category } = req.body;
     if (!restaurant_id || !name || price == null) {
       return res.status(400).json({ error: 'restaurant_id, name, and price are required' });
@@ -36,7 +45,7 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [PUT] /menu/:id - Update a menu item
-  router.put('/:id', verifyToken, async (req, res) => {
+  router.put('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('menu.updated', 'menu'), async (req, res) => {
     const { id } = req.params;
     const { name, price, description, category } = req.body;
     if (!name || price == null) {
@@ -44,8 +53,8 @@ module.exports = (pool, verifyToken) => {
     }
     try {
       const result = await pool.query(
-        'UPDATE menu SET name = $1, price = $2, description = $3, category = $4 WHERE id = $5 RETURNING *',
-        [name, price, description || '', category || '', id]
+        'UPDATE menu SET name = $1, price = $2, description = $3, category = $4 WHERE id = $5 AND restaurant_id = ANY($6) RETURNING *',
+        [name, price, description || '', category || '', id, req.restaurantIds]
       );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Menu item not found' });
       res.json({ menu_item: result.rows[0] });
@@ -55,10 +64,13 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [DELETE] /menu/:id - Delete a menu item
-  router.delete('/:id', verifyToken, async (req, res) => {
+  router.delete('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('menu.deleted', 'menu'), async (req, res) => {
     const { id } = req.params;
     try {
-      const result = await pool.query('DELETE FROM menu WHERE id = $1 RETURNING *', [id]);
+      const result = await pool.query(
+        'DELETE FROM menu WHERE id = $1 AND restaurant_id = ANY($2) RETURNING *',
+        [id, req.restaurantIds]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Menu item not found' });
       res.json({ message: 'Menu item deleted successfully' });
     } catch (err) {
@@ -93,8 +105,8 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [PATCH] /menu/:id/availability - Toggle menu item availability
-  router.patch('/:id/availability', verifyToken, async (req, res) => {
+  // [PATCH] /menu/:id/availability - Toggle menu item availability (a manual toggle overrides stock-based switching)
+  router.patch('/:id/availability', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook'), scopeToRestaurant(), trackActivity('menu.availability_changed', 'menu'), async (req, res) => {
     const { id } = req.params;
     const { available } = req.body;
     if (typeof available !== 'boolean') {
@@ -102,8 +114,8 @@ module.exports = (pool, verifyToken) => {
     }
     try {
       const result = await pool.query(
-        'UPDATE menu SET available = $1 WHERE id = $2 RETURNING *',
-        [available, id]
+        'UPDATE menu SET available = $1, out_of_stock = false WHERE id = $2 AND restaurant_id = ANY($3) RETURNING *',
+        [available, id, req.restaurantIds]
       );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Menu item not found' });
       res.status(200).json({ menu_item: result.rows[0] });
@@ -112,6 +124,90 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [PATCH] /menu/:id/station - Route a menu item to a kitchen station (null to unassign)
+  router.patch('/:id/station', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), trackActivity('menu.station_changed', 'menu'), async (req, res) => {
+    const { id } = req.params;
+    const { station_id } = req.body;
+    if (station_id !== null && !Number.isInteger(station_id)) {
+      return res.status(400).json({ error: 'station_id must be an integer or null' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE menu SET station_id = $1
+         WHERE id = $2 AND restaurant_id = ANY($3) AND ($1::int IS NULL OR EXISTS (
+           SELECT 1 FROM kitchen_stations ks WHERE ks.id = $1 AND ks.restaurant_id = menu.restaurant_id
+         ))
+         RETURNING *`,
+        [station_id, id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Menu item or station not found' });
+      res.json({ menu_item: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // Recipe lines are in each inventory item's unit; owner is { menu_id } or { modifier_id }.
+  const recipeRoutes = (notFound, findOwner) => ({
+    get: async (req, res) => {
+      try {
+        const owner = await findOwner(pool, req);
+        if (!owner) return res.status(404).json({ error: notFound });
+        res.json({ recipe: await getRecipe(pool, owner.key) });
+      } catch (err) {
+        handleError(res, err);
+      }
+    },
+    put: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const owner = await findOwner(client, req);
+        if (!owner) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: notFound });
+        }
+        const recipe = await setRecipe(client, owner.key, owner.restaurant_id, req.body.ingredients);
+        await client.query('COMMIT');
+        res.json({ recipe });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        handleError(res, err);
+      } finally {
+        client.release();
+      }
+    },
+  });
+
+  const menuRecipe = recipeRoutes('Menu item not found', async (db, req) => {
+    const result = await db.query(
+      'SELECT id, restaurant_id FROM menu WHERE id = $1 AND restaurant_id = ANY($2)',
+      [req.params.id, req.restaurantIds]
+    );
+    return result.rows[0] && { key: { menu_id: result.rows[0].id }, restaurant_id: result.rows[0].restaurant_id };
+  });
+
+  const modifierRecipe = recipeRoutes('Modifier not found', async (db, req) => {
+    const result = await db.query(
+      `SELECT mm.id, m.restaurant_id FROM menu_modifiers mm JOIN menu m ON m.id = mm.menu_id
+       WHERE mm.id = $1 AND m.restaurant_id = ANY($2)`,
+      [req.params.id, req.restaurantIds]
+    );
+    return result.rows[0] && { key: { modifier_id: result.rows[0].id }, restaurant_id: result.rows[0].restaurant_id };
+  });
+
+  // [GET] /menu/:id/recipe - Ingredients used by one portion
+  router.get('/:id/recipe', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook'), scopeToRestaurant(), menuRecipe.get);
+
+  // [PUT] /menu/:id/recipe - Replace the recipe ({ ingredients: [{ inventory_id, quantity }] })
+  router.put('/:id/recipe', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), menuRecipe.put);
+
+  // [GET] /menu/modifiers/:id/recipe - Extra ingredients a modifier adds
+  router.get('/modifiers/:id/recipe', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook'), scopeToRestaurant(), modifierRecipe.get);
+
+  // [PUT] /menu/modifiers/:id/recipe - Replace a modifier's recipe
+  router.put('/modifiers/:id/recipe', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), modifierRecipe.put);
+
   // [GET] /menu/:restaurant_id/search?q=keyword - Search menu items
   router.get('/:restaurant_id/search', async (req, res) => {
     const { restaurant_id } = req.params;
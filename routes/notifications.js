@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 
+const authorizeRoles = require('../middleware/authorizeRoles');
+const { sendPush } = require('../services/notifications');
+
 const handleError = (res, err) => res.status(500).json({ error: err.message });
 
-module.exports = (pool, verifyToken, admin) => {
+module.exports = (pool, verifyToken) => {
   // [GET] /notifications - Fetch notifications for current user
   router.get('/', verifyToken, async (req, res) => {
     try {
@@ -31,30 +34,16 @@ module.exports = (pool, verifyToken, admin) => {
   });
 
   // [POST] /notifications/push - Send push notification to a user
-  router.post('/push', verifyToken, async (req, res) => {
+  router.post('/push', verifyToken, authorizeRoles('Manager', 'Host'), async (req, res) => {
     const { user_id, title, message } = req.body;
     if (!user_id || !title || !message) {
       return res.status(400).json({ error: 'user_id, title, and message are required' });
     }
     try {
-      const result = await pool.query(
-        'SELECT device_token FROM users WHERE id = $1',
-        [user_id]
-      );
-
-      if (result.rows.length === 0 || !result.rows[0].device_token) {
+      const sent = await sendPush(pool, user_id, title, message);
+      if (!sent) {
         return res.status(404).json({ error: 'User not found or no device token' });
       }
-
-      const payload = {
-        notification: {
-          title,
-          body: message,
-        },
-      };
-
-      await admin.messaging().sendToDevice(result.rows[0].device_token, payload);
-
       res.json({ message: 'Push notification sent successfully' });
     } catch (err) {
       handleError(res, err);
@@ -2,10 +2,52 @@
 module.exports = (pool, verifyToken) => {
   const express = require('express');
   const router = express.Router();
+  const authorizeRoles = require('../middleware/authorizeRoles');
+  const { identifyEmployee, hasAccess } = authorizeRoles;
+  const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+  const { worksAt } = scopeToRestaurant;
+  const { trackActivity } = require('../middleware/activityLog');
+  const {
+    createOrderPaymentIntent, updatePaymentIntentAmount, cancelPaymentIntent, paymentStatusOf,
+  } = require('../services/stripe');
+  const { quoteOrder, matchesQuote } = require('../services/pricing');
+  const { statuses, canTransition, recordStatus, changeOrderStatus } = require('../services/orderStatus');
+  const { cancelOpenPayments, requestCardRefund, refundCashPayments } = require('../services/orderPayments');
+  const kdsEvents = require('../services/kdsEvents');
+  const { createStationTickets, bumpTicket, recallTicket } = require('../services/stations');
+  const { depleteStock, restockOrder } = require('../services/recipes');
+  const { isTip, recordCardTip } = require('../services/tips');
 
-  const handleError = (res, err) => res.status(500).json({ error: err.message });
-  const allowedStatus = ['Pending', 'Preparing', 'Ready', 'Served', 'Completed'];
+  // Service errors carry an HTTP status (e.g. pricing rejects an unavailable item with 409)
+  const handleError = (res, err) => err.status
+    ? res.status(err.status).json({ error: err.message, ...err.details })
+    : res.status(500).json({ error: err.message });
+  const optionalTotal = (v) => v === undefined || (typeof v === 'number' && v >= 0);
+  const quoteMismatch = (res, quote) =>
+    res.status(409).json({ error: 'total_price does not match the server quote', quote });
+  const allowedStatus = statuses;
+  const staffRoles = ['Manager', 'Line Cook', 'Prep Cook', 'Server', 'Bartender', 'Host'];
   const allowedPriority = ['Low', 'Medium', 'High', 'Urgent'];
+  const kitchenRoles = ['Manager', 'Line Cook', 'Prep Cook', 'Bartender'];
+  const staffRestaurants = (req) => hasAccess(req.employee, staffRoles) ? req.employee.restaurant_ids : [];
+  const STREAM_HEARTBEAT_MS = 25000;
+
+  // Stripe isn't part of the database transaction: when the transaction rolls back, undo what was
+  // changed there so no intent is left charging for an order that doesn't exist or at the wrong amount.
+  const undoStripe = async (undo) => {
+    for (const step of undo) {
+      try {
+        await step();
+      } catch (err) {
+        console.error('Failed to undo Stripe change:', err.message);
+      }
+    }
+  };
+
+  const average = (values) => {
+    const known = values.filter(v => v != null);
+    return known.length ? Math.round(known.reduce((sum, v) => sum + v, 0) / known.length) : null;
+  };
 
   const validate = (rules) => (req, res, next) => {
     for (const [field, check] of Object.entries(rules)) {
@@ -38,41 +80,95 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [POST] /orders/quote - Price a cart without placing it
+  router.post('/quote', validate({
+    restaurant_id: Number.isInteger,
+    items: Array.isArray,
+  }), verifyToken, async (req, res) => {
+    try {
+      const quote = await quoteOrder(pool, req.body.restaurant_id, req.body.items);
+      res.json({ quote });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
   // [POST] /orders - Place new order
   router.post('/', validate({
     restaurant_id: Number.isInteger,
     items: Array.isArray,
-    total_price: (v) => typeof v === 'number' && v >= 0,
+    total_price: optionalTotal,
   }), verifyToken, async (req, res) => {
     const client = await pool.connect();
     const { restaurant_id, items, total_price, payment } = req.body;
+    const undo = [];
     try {
       await client.query('BEGIN');
 
+      const quote = await quoteOrder(client, restaurant_id, items);
+      if (!matchesQuote(quote, total_price)) {
+        await client.query('ROLLBACK');
+        return quoteMismatch(res, quote);
+      }
+
       const orderResult = await client.query(
-        'INSERT INTO orders (user_id, restaurant_id, total_price, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
-        [req.user.uid, restaurant_id, total_price]
+        `INSERT INTO orders (user_id, restaurant_id, total_price, status, created_at)
+         VALUES ($1, $2, $3, 'Pending', NOW()) RETURNING *`,
+        [req.user.uid, restaurant_id, quote.total]
       );
       const order = orderResult.rows[0];
+      await recordStatus(client, order.id, null, 'Pending', { uid: req.user.uid });
 
-      for (const item of items) {
+      for (const line of quote.items) {
         await client.query(
-          'INSERT INTO order_items (order_id, menu_id, quantity, price) VALUES ($1, $2, $3, $4)',
-          [order.id, item.menu_id, item.quantity, item.price]
+          'INSERT INTO order_items (order_id, menu_id, quantity, price, modifiers) VALUES ($1, $2, $3, $4, $5)',
+          [order.id, line.menu_id, line.quantity, line.unit_price, JSON.stringify(line.modifiers)]
         );
       }
+      await createStationTickets(client, order.id);
+      await depleteStock(client, order.id);
 
-      if (payment) {
-        await client.query(
-          'INSERT INTO payments (order_id, amount, method) VALUES ($1, $2, $3)',
-          [order.id, payment.amount, payment.method]
+      // Cash is settled at the table; everything else goes through a Stripe PaymentIntent
+      // whose outcome arrives on /payments/webhook.
+      const method = (payment && payment.method) || 'card';
+      const tip = (payment && payment.tip) || 0;
+      if (!isTip(tip)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'payment.tip must be an amount of at least 0' });
+      }
+      if (method === 'cash' && tip > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Cash tips are declared at checkout' });
+      }
+      let paymentRow;
+      let clientSecret = null;
+      if (method === 'cash') {
+        const paymentResult = await client.query(
+          'INSERT INTO payments (order_id, amount, method, status) VALUES ($1, $2, $3, $4) RETURNING *',
+          [order.id, order.total_price, method, 'pending']
+        );
+        paymentRow = paymentResult.rows[0];
+      } else {
+        // A card tip is charged with the order and kept beside its total in tip_amount
+        const intent = await createOrderPaymentIntent(order, tip);
+        undo.push(() => cancelPaymentIntent(intent.id));
+        const paymentResult = await client.query(
+          `INSERT INTO payments (order_id, amount, tip_amount, method, stripe_payment_intent_id, status)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          [order.id, order.total_price, tip, method, intent.id, paymentStatusOf(intent)]
         );
+        paymentRow = paymentResult.rows[0];
+        if (tip > 0) await recordCardTip(client, order, paymentRow.id, tip);
+        clientSecret = intent.client_secret;
       }
 
+      const event = await kdsEvents.recordEvent(client, 'order.created', order, { items: quote.items });
       await client.query('COMMIT');
-      res.status(201).json({ order });
+      kdsEvents.publish(event);
+      res.status(201).json({ order, quote, payment: { ...paymentRow, client_secret: clientSecret } });
     } catch (err) {
       await client.query('ROLLBACK');
+      await undoStripe(undo);
       handleError(res, err);
     } finally {
       client.release();
@@ -80,32 +176,125 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [DELETE] /orders/:id - Delete order
+  // Only orders the kitchen hasn't started (or that were cancelled) and that hold no payment can go:
+  // their stock is put back and an unfinished card payment is cancelled.
   router.delete('/:id', verifyToken, async (req, res) => {
+    const client = await pool.connect();
     try {
-      const result = await pool.query(
-        'DELETE FROM orders WHERE id = $1 AND user_id = $2 RETURNING *',
+      await client.query('BEGIN');
+      const result = await client.query(
+        'SELECT id, status, payment_status FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
         [req.params.id, req.user.uid]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Order not found or unauthorized' });
+      }
+      const order = result.rows[0];
+      if (!['Pending', 'Cancelled'].includes(order.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Only pending or cancelled orders can be deleted' });
+      }
+      if (['paid', 'refund_pending'].includes(order.payment_status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Paid orders cannot be deleted' });
+      }
+      await restockOrder(client, req.params.id);
+      await cancelOpenPayments(client, req.params.id);
+      await client.query('DELETE FROM orders WHERE id = $1', [req.params.id]);
+      await client.query('COMMIT');
       res.json({ message: 'Order deleted successfully' });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
-  // [PUT] /orders/:id/status - Update status
-  router.put('/:id/status', verifyToken, async (req, res) => {
-    const { status } = req.body;
+  // [PUT] /orders/:id/status - Move order along the status flow
+  // Staff may make any allowed transition on their restaurants' orders (refunds are Manager-only);
+  // diners may only cancel their own pending order. Cancelling or refunding also cancels an unfinished card
+  // payment so it can no longer be completed. Refunding an order paid by card asks Stripe for the refund
+  // and answers 202: the order becomes Refunded when Stripe confirms it on /payments/webhook.
+  router.put('/:id/status', verifyToken, identifyEmployee, trackActivity(
+    (req, res) => {
+      if (req.body.status !== 'Refunded') return 'order.status_changed';
+      // 202: the card refund is only requested; Stripe confirms it on the webhook
+      return res.statusCode === 202 ? 'order.refund_requested' : 'order.refunded';
+    }, 'orders'
+  ), async (req, res) => {
+    const { status, note } = req.body;
     if (!allowedStatus.includes(status)) {
       return res.status(400).json({ error: 'Invalid status value' });
     }
+    const isStaff = hasAccess(req.employee, staffRoles);
+    if (status === 'Refunded' && !hasAccess(req.employee, ['Manager'])) {
+      return res.status(403).json({ error: 'Only managers can refund orders' });
+    }
+    if (!isStaff && status !== 'Cancelled') {
+      return res.status(403).json({ error: 'Forbidden - Staff access required' });
+    }
+    const client = await pool.connect();
     try {
-      const result = await pool.query(
-        'UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
-        [status, req.params.id, req.user.uid]
+      await client.query('BEGIN');
+      const found = await client.query('SELECT id, user_id, restaurant_id, status FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const current = found.rows[0];
+      const staffHere = Boolean(current) && isStaff && worksAt(req, current.restaurant_id);
+      if (!current || (!staffHere && (current.user_id !== req.user.uid || status !== 'Cancelled'))) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Order not found or unauthorized' });
+      }
+      if (!staffHere && current.status !== 'Pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Order is already being prepared; ask staff to cancel it' });
+      }
+      const actor = { uid: req.user.uid, employee_id: req.employee ? req.employee.id : null, note };
+      if (status === 'Refunded') {
+        if (!canTransition(current.status, status)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: `Cannot change order from ${current.status} to ${status}` });
+        }
+        await cancelOpenPayments(client, req.params.id);
+        if (await requestCardRefund(client, current, actor)) {
+          await client.query('COMMIT');
+          const pending = await pool.query('SELECT * FROM orders WHERE id = $1', [req.params.id]);
+          return res.status(202).json({ order: pending.rows[0], message: 'Refund requested from Stripe' });
+        }
+        await refundCashPayments(client, req.params.id);
+      }
+      const { order, from } = await changeOrderStatus(client, req.params.id, status, actor);
+      if (status === 'Cancelled') await cancelOpenPayments(client, req.params.id);
+      const event = await kdsEvents.recordEvent(client, 'order.status_changed', order, { from, to: status });
+      await client.query('COMMIT');
+      kdsEvents.publish(event);
+      res.json({ order });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /orders/:id/timeline - Status history for an order
+  router.get('/:id/timeline', verifyToken, identifyEmployee, async (req, res) => {
+    try {
+      const order = await pool.query(
+        'SELECT id, status, created_at FROM orders WHERE id = $1 AND (user_id = $2 OR restaurant_id = ANY($3))',
+        [req.params.id, req.user.uid, staffRestaurants(req)]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
-      res.json({ order: result.rows[0] });
+      if (order.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
+      const history = await pool.query(
+        `SELECT h.from_status, h.to_status, h.changed_at, h.changed_by, h.note,
+                e.id AS employee_id, e.name AS employee_name
+         FROM order_status_history h
+         LEFT JOIN employees e ON e.id = h.employee_id
+         WHERE h.order_id = $1
+         ORDER BY h.changed_at ASC, h.id ASC`,
+        [req.params.id]
+      );
+      res.json({ order: order.rows[0], timeline: history.rows });
     } catch (err) {
       handleError(res, err);
     }
@@ -150,14 +339,20 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [PUT] /orders/:id/assign - Assign chef
-  router.put('/:id/assign', validate({ chef_id: Number.isInteger }), verifyToken, async (req, res) => {
+  // [PUT] /orders/:id/assign - Assign a chef from the kitchen staff at the order's restaurant
+  router.put('/:id/assign', validate({ chef_id: Number.isInteger }), verifyToken, authorizeRoles(...kitchenRoles), scopeToRestaurant(), trackActivity('order.chef_assigned', 'orders'), async (req, res) => {
     try {
       const result = await pool.query(
-        'UPDATE orders SET assigned_chef_id = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
-        [req.body.chef_id, req.params.id, req.user.uid]
+        `UPDATE orders o SET assigned_chef_id = $1, updated_at = NOW()
+         WHERE o.id = $2 AND o.restaurant_id = ANY($3) AND EXISTS (
+           SELECT 1 FROM employee_restaurants er JOIN employees e ON e.id = er.employee_id
+           WHERE er.employee_id = $1 AND er.restaurant_id = o.restaurant_id AND e.status IS NOT FALSE
+             AND e.role = ANY($4)
+         )
+         RETURNING o.*`,
+        [req.body.chef_id, req.params.id, req.restaurantIds, kitchenRoles]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Order or chef not found' });
       res.json({ order: result.rows[0] });
     } catch (err) {
       handleError(res, err);
@@ -191,8 +386,8 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /orders/kds/active - Active kitchen orders
-  router.get('/kds/active', verifyToken, async (_req, res) => {
+  // [GET] /orders/kds/active - Active kitchen orders, with time spent in the current status
+  router.get('/kds/active', verifyToken, authorizeRoles(...kitchenRoles), scopeToRestaurant(), async (req, res) => {
     try {
       const result = await pool.query(`
         SELECT o.*, 
@@ -200,20 +395,33 @@ module.exports = (pool, verifyToken) => {
                   'menu_id', oi.menu_id,
                   'quantity', oi.quantity,
                   'price', oi.price
-                )) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items
+                )) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items,
+                (SELECT COALESCE(json_agg(json_build_object(
+                   'id', t.id, 'station_id', t.station_id, 'station', ks.name, 'status', t.status
+                 ) ORDER BY t.id), '[]')
+                 FROM station_tickets t LEFT JOIN kitchen_stations ks ON ks.id = t.station_id
+                 WHERE t.order_id = o.id) AS tickets,
+                cur.changed_at AS status_since,
+                EXTRACT(EPOCH FROM NOW() - cur.changed_at)::int AS seconds_in_status,
+                EXTRACT(EPOCH FROM NOW() - o.created_at)::int AS seconds_since_placed
          FROM orders o
          LEFT JOIN order_items oi ON o.id = oi.order_id
-         WHERE o.status IN ('Pending', 'Preparing')
-         GROUP BY o.id
-         ORDER BY o.created_at ASC`);
+         LEFT JOIN LATERAL (
+           SELECT changed_at FROM order_status_history
+           WHERE order_id = o.id AND to_status = o.status
+           ORDER BY changed_at DESC LIMIT 1
+         ) cur ON true
+         WHERE o.status IN ('Pending', 'Preparing') AND o.restaurant_id = ANY($1)
+         GROUP BY o.id, cur.changed_at
+         ORDER BY o.created_at ASC`, [req.restaurantIds]);
       res.json({ active_orders: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /orders/kds/completed - Completed kitchen orders
-  router.get('/kds/completed', verifyToken, async (_req, res) => {
+  // [GET] /orders/kds/completed - Completed kitchen orders, with prep and total times
+  router.get('/kds/completed', verifyToken, authorizeRoles(...kitchenRoles), scopeToRestaurant(), async (req, res) => {
     try {
       const result = await pool.query(`
         SELECT o.*, 
@@ -221,65 +429,242 @@ module.exports = (pool, verifyToken) => {
                   'menu_id', oi.menu_id,
                   'quantity', oi.quantity,
                   'price', oi.price
-                )) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items
+                )) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items,
+                t.wait_seconds, t.prep_seconds, t.total_seconds
          FROM orders o
          LEFT JOIN order_items oi ON o.id = oi.order_id
-         WHERE o.status = 'Completed'
-         GROUP BY o.id
-         ORDER BY o.updated_at DESC`);
-      res.json({ completed_orders: result.rows });
+         LEFT JOIN LATERAL (
+           SELECT EXTRACT(EPOCH FROM MIN(changed_at) FILTER (WHERE to_status = 'Preparing') - o.created_at)::int AS wait_seconds,
+                  EXTRACT(EPOCH FROM MIN(changed_at) FILTER (WHERE to_status = 'Ready')
+                                   - MIN(changed_at) FILTER (WHERE to_status = 'Preparing'))::int AS prep_seconds,
+                  EXTRACT(EPOCH FROM MAX(changed_at) FILTER (WHERE to_status = 'Completed') - o.created_at)::int AS total_seconds
+           FROM order_status_history
+           WHERE order_id = o.id
+         ) t ON true
+         WHERE o.status = 'Completed' AND o.restaurant_id = ANY($1)
+         GROUP BY o.id, t.wait_seconds, t.prep_seconds, t.total_seconds
+         ORDER BY o.updated_at DESC`, [req.restaurantIds]);
+      res.json({
+        completed_orders: result.rows,
+        avg_prep_seconds: average(result.rows.map(r => r.prep_seconds)),
+      });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /orders/kds/stations/:station_id/tickets - Open tickets for one station, most urgent first
+  // Use station_id "unassigned" for items whose menu entry has no station yet.
+  router.get('/kds/stations/:station_id/tickets', verifyToken, authorizeRoles(...kitchenRoles), scopeToRestaurant(), async (req, res) => {
+    const stationId = req.params.station_id === 'unassigned' ? null : Number(req.params.station_id);
+    if (Number.isNaN(stationId)) {
+      return res.status(400).json({ error: 'Invalid station_id' });
+    }
+    try {
+      const result = await pool.query(
+        `SELECT t.*, o.restaurant_id, o.priority_level, o.status AS order_status, o.created_at AS order_created_at,
+                COALESCE(json_agg(json_build_object(
+                  'menu_id', oi.menu_id,
+                  'name', m.name,
+                  'quantity', oi.quantity,
+                  'modifiers', oi.modifiers
+                )) FILTER (WHERE oi.id IS NOT NULL), '[]') AS items
+         FROM station_tickets t
+         JOIN orders o ON o.id = t.order_id
+         LEFT JOIN order_items oi ON oi.station_ticket_id = t.id
+         LEFT JOIN menu m ON m.id = oi.menu_id
+         WHERE t.station_id IS NOT DISTINCT FROM $1 AND t.status = 'Open'
+           AND o.status IN ('Pending', 'Preparing')
+           AND o.restaurant_id = ANY($2)
+         GROUP BY t.id, o.id
+         ORDER BY CASE o.priority_level WHEN 'Urgent' THEN 0 WHEN 'High' THEN 1 WHEN 'Medium' THEN 2 WHEN 'Low' THEN 3 ELSE 2 END,
+                  o.created_at ASC`,
+        [stationId, req.restaurantIds]
+      );
+      res.json({ tickets: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [PUT] /orders/:id/priority - Set priority
+  const ticketAction = (action, eventType) => async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inScope = await client.query(
+        'SELECT 1 FROM station_tickets t JOIN orders o ON o.id = t.order_id WHERE t.id = $1 AND o.restaurant_id = ANY($2)',
+        [req.params.id, req.employee.restaurant_ids]
+      );
+      if (inScope.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      const { ticket, order } = await action(client, req.params.id, {
+        uid: req.user.uid,
+        employee_id: req.employee.id,
+      });
+      const event = await kdsEvents.recordEvent(client, eventType, order, { ticket });
+      await client.query('COMMIT');
+      kdsEvents.publish(event);
+      res.json({ ticket, order });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  };
+
+  // [POST] /orders/kds/tickets/:id/bump - Mark a station ticket done (order goes Ready when all are bumped)
+  router.post('/kds/tickets/:id/bump', verifyToken, authorizeRoles(...kitchenRoles), ticketAction(bumpTicket, 'ticket.bumped'));
+
+  // [POST] /orders/kds/tickets/:id/recall - Reopen a bumped ticket
+  router.post('/kds/tickets/:id/recall', verifyToken, authorizeRoles(...kitchenRoles), ticketAction(recallTicket, 'ticket.recalled'));
+
+  // Browsers' EventSource cannot set headers, so the stream also takes the ID token as ?access_token=.
+  // Firebase ID tokens expire within the hour; clients fetch a fresh one before reconnecting.
+  const streamToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  };
+
+  // [GET] /orders/kds/stream?restaurant_id=&since=&access_token= - Live order events (Server-Sent Events)
+  // Reconnecting clients resume from the Last-Event-ID header (or ?since=) and get missed events replayed.
+  router.get('/kds/stream', streamToken, verifyToken, authorizeRoles(...kitchenRoles), scopeToRestaurant(), async (req, res) => {
+    const restaurantId = Number(req.query.restaurant_id);
+    if (!Number.isInteger(restaurantId)) {
+      return res.status(400).json({ error: 'restaurant_id query param is required' });
+    }
+    const cursor = Number(req.get('Last-Event-ID') || req.query.since || 0);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return res.status(400).json({ error: 'Invalid event cursor' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let lastId = cursor;
+    const send = (event) => {
+      if (Number(event.id) <= lastId) return;
+      lastId = Number(event.id);
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Buffer live events until the replay is written so nothing arrives out of order.
+    let buffered = [];
+    const unsubscribe = kdsEvents.subscribe(restaurantId, (event) => (buffered ? buffered.push(event) : send(event)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      res.write('retry: 3000\n\n');
+      let missed;
+      do {
+        missed = await kdsEvents.eventsSince(pool, restaurantId, lastId);
+        missed.forEach(send);
+      } while (missed.length === kdsEvents.REPLAY_LIMIT);
+      buffered.forEach(send);
+      buffered = null;
+    } catch (err) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: err.message })}\n\n`);
+      res.end();
+    }
+  });
+
+  // [PUT] /orders/:id/priority - Set priority (staff at the order's restaurant)
   router.put('/:id/priority', validate({
     priority_level: (v) => allowedPriority.includes(v)
-  }), verifyToken, async (req, res) => {
+  }), verifyToken, authorizeRoles(...staffRoles), scopeToRestaurant(), trackActivity('order.priority_changed', 'orders'), async (req, res) => {
     try {
       const result = await pool.query(
-        'UPDATE orders SET priority_level = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
-        [req.body.priority_level, req.params.id, req.user.uid]
+        'UPDATE orders SET priority_level = $1, updated_at = NOW() WHERE id = $2 AND restaurant_id = ANY($3) RETURNING *',
+        [req.body.priority_level, req.params.id, req.restaurantIds]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found' });
+      await kdsEvents.emitOrderEvent(pool, 'order.priority_changed', result.rows[0]);
       res.json({ order: result.rows[0] });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [PUT] /orders/:id - Update items and total_price
+  // [PUT] /orders/:id - Update items (total is re-priced server-side)
+  // Only the diner who placed the order may change it, and only while it is Pending and unpaid.
   router.put('/:id', validate({
     items: Array.isArray,
-    total_price: (v) => typeof v === 'number' && v >= 0,
+    total_price: optionalTotal,
   }), verifyToken, async (req, res) => {
     const client = await pool.connect();
+    const undo = [];
     try {
       await client.query('BEGIN');
-      const check = await client.query('SELECT * FROM orders WHERE id = $1 AND user_id = $2', [req.params.id, req.user.uid]);
+      const check = await client.query('SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE', [req.params.id, req.user.uid]);
       if (check.rowCount === 0) {
         await client.query('ROLLBACK');
         return res.status(404).json({ error: 'Order not found or unauthorized' });
       }
+      if (check.rows[0].payment_status === 'paid') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Paid orders cannot be changed' });
+      }
+      if (check.rows[0].status !== 'Pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Orders already in the kitchen cannot be changed' });
+      }
+
+      // Return the old items' stock first so they can be re-ordered even if they had run out.
+      await restockOrder(client, req.params.id);
+      const quote = await quoteOrder(client, check.rows[0].restaurant_id, req.body.items);
+      if (!matchesQuote(quote, req.body.total_price)) {
+        await client.query('ROLLBACK');
+        return quoteMismatch(res, quote);
+      }
 
       await client.query('DELETE FROM order_items WHERE order_id = $1', [req.params.id]);
-      for (const item of req.body.items) {
+      for (const line of quote.items) {
         await client.query(
-          'INSERT INTO order_items (order_id, menu_id, quantity, price) VALUES ($1, $2, $3, $4)',
-          [req.params.id, item.menu_id, item.quantity, item.price]
+          'INSERT INTO order_items (order_id, menu_id, quantity, price, modifiers) VALUES ($1, $2, $3, $4, $5)',
+          [req.params.id, line.menu_id, line.quantity, line.unit_price, JSON.stringify(line.modifiers)]
         );
       }
+      await createStationTickets(client, req.params.id);
+      await depleteStock(client, req.params.id);
 
       const update = await client.query(
         'UPDATE orders SET total_price = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
-        [req.body.total_price, req.params.id]
+        [quote.total, req.params.id]
       );
 
+      // Keep any open card PaymentIntent in step with the new total
+      const pending = await client.query(
+        `SELECT stripe_payment_intent_id, amount, tip_amount FROM payments
+         WHERE order_id = $1 AND stripe_payment_intent_id IS NOT NULL AND status IN ('pending', 'failed')`,
+        [req.params.id]
+      );
+      for (const row of pending.rows) {
+        const tip = Number(row.tip_amount);
+        await updatePaymentIntentAmount(row.stripe_payment_intent_id, quote.total + tip);
+        undo.push(() => updatePaymentIntentAmount(row.stripe_payment_intent_id, Number(row.amount) + tip));
+      }
+      await client.query('UPDATE payments SET amount = $1, updated_at = NOW() WHERE order_id = $2', [quote.total, req.params.id]);
+
+      const event = await kdsEvents.recordEvent(client, 'order.updated', update.rows[0], { items: quote.items });
       await client.query('COMMIT');
-      res.json({ order: update.rows[0] });
+      kdsEvents.publish(event);
+      res.json({ order: update.rows[0], quote });
     } catch (err) {
       await client.query('ROLLBACK');
+      await undoStripe(undo);
       handleError(res, err);
     } finally {
       client.release();
@@ -287,17 +672,21 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [POST] /orders/:id/modifiers - Add/update modifiers
+  // Like item changes, only the diner who placed the order may set them, while it is still Pending.
   router.post('/:id/modifiers', verifyToken, async (req, res) => {
     const { modifiers } = req.body;
     if (!Array.isArray(modifiers)) {
       return res.status(400).json({ error: 'Modifiers must be an array' });
     }
     try {
+      const found = await pool.query('SELECT status FROM orders WHERE id = $1 AND user_id = $2', [req.params.id, req.user.uid]);
+      if (found.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
       const result = await pool.query(
-        'UPDATE orders SET modifiers = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
-        [JSON.stringify(modifiers), req.params.id, req.user.uid]
+        "UPDATE orders SET modifiers = $1, updated_at = NOW() WHERE id = $2 AND status = 'Pending' RETURNING *",
+        [JSON.stringify(modifiers), req.params.id]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Order not found or unauthorized' });
+      if (result.rowCount === 0) return res.status(409).json({ error: 'Orders already in the kitchen cannot be changed' });
+      await kdsEvents.emitOrderEvent(pool, 'order.updated', result.rows[0], { modifiers });
       res.json({ order: result.rows[0] });
     } catch (err) {
       handleError(res, err);
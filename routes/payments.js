@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const { constructWebhookEvent } = require('../services/stripe');
+const { settleCardTips, settleCashPayment } = require('../services/tips');
+const { confirmCardRefund } = require('../services/orderPayments');
+const kdsEvents = require('../services/kdsEvents');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+// `from` lists the payment statuses an event may move on from: a failed attempt can still be paid with
+// another card, but a failure reported after the payment succeeded (events can arrive out of order)
+// must not mark a paid order as failed.
+const paymentOutcomes = {
+  'payment_intent.succeeded': { payment: 'succeeded', order: 'paid', from: ['pending', 'failed'] },
+  'payment_intent.payment_failed': { payment: 'failed', order: 'failed', from: ['pending'] },
+};
+
+module.exports = (pool, verifyToken) => {
+  // [POST] /payments/webhook - Stripe webhook (signed, no Firebase token)
+  router.post('/webhook', async (req, res) => {
+    let event;
+    try {
+      event = constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid Stripe signature', details: err.message });
+    }
+
+    const outcome = paymentOutcomes[event.type];
+    if (!outcome && event.type !== 'charge.refunded') return res.json({ received: true, ignored: event.type });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const seen = await client.query(
+        'INSERT INTO stripe_events (id, type) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING RETURNING id',
+        [event.id, event.type]
+      );
+      if (seen.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.json({ received: true, duplicate: true });
+      }
+
+      if (event.type === 'charge.refunded') {
+        // Only full refunds (the only kind requested here) complete an order's refund
+        const charge = event.data.object;
+        const change = charge.refunded ? await confirmCardRefund(client, charge.payment_intent) : null;
+        const statusEvent = change
+          ? await kdsEvents.recordEvent(client, 'order.status_changed', change.order, { from: change.from, to: 'Refunded' })
+          : null;
+        await client.query('COMMIT');
+        if (statusEvent) kdsEvents.publish(statusEvent);
+        return res.json({ received: true });
+      }
+
+      const intent = event.data.object;
+      const payment = await client.query(
+        `UPDATE payments SET status = $1, updated_at = NOW()
+         WHERE stripe_payment_intent_id = $2 AND status = ANY($3) RETURNING id, order_id`,
+        [outcome.payment, intent.id, outcome.from]
+      );
+      if (payment.rowCount > 0) {
+        await client.query(
+          'UPDATE orders SET payment_status = $1, updated_at = NOW() WHERE id = $2',
+          [outcome.order, payment.rows[0].order_id]
+        );
+        await settleCardTips(client, payment.rows[0].id, outcome.payment);
+      }
+
+      await client.query('COMMIT');
+      res.json({ received: true });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [POST] /payments/:id/cash - Settle a cash payment at checkout, declaring any cash tip { tip }
+  router.post('/:id/cash', verifyToken, authorizeRoles('Manager', 'Server', 'Bartender', 'Host'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const payment = await settleCashPayment(client, req.params.id, req.employee.restaurant_ids, req.body.tip || 0, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+      res.json({ payment });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
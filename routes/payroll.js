@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { requireStaff } = authorizeRoles;
+const { formats, writeExport } = require('../services/reportExport');
+const {
+  calculatePayroll, createPayrollRun, listPayrollRuns, getPayrollRun, getPayStub, stubTables, notifyPayStubs,
+} = require('../services/payroll');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+// Payroll is worked out for one restaurant at a time.
+const oneRestaurant = (req, res, next) => {
+  if (req.restaurantIds.length !== 1) {
+    return res.status(400).json({ error: 'restaurant_id is required for staff working at several restaurants' });
+  }
+  next();
+};
+
+// Answers with the pay stub as JSON, or as a CSV / XLSX / PDF download with ?format=.
+const sendStub = async (req, res, row) => {
+  const format = req.query.format || 'json';
+  if (format === 'json') return res.json({ pay_stub: row.stub, payroll: row });
+  if (!formats[format]) return res.status(400).json({ error: `format must be one of json, ${Object.keys(formats).join(', ')}` });
+  const { stub } = row;
+  res.setHeader('Content-Type', formats[format].type);
+  res.setHeader('Content-Disposition', `attachment; filename="pay-stub_${row.employee_id}_${row.period_end}.${formats[format].extension}"`);
+  try {
+    await writeExport(format, res, stubTables(stub), {
+      title: `Pay stub - ${stub.employee.name}`,
+      subtitle: `${stub.restaurant.name}, ${stub.period.start} to ${stub.period.end}`,
+    });
+  } catch (err) {
+    res.destroy(err);
+  }
+};
+
+const isAmount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+module.exports = (pool, verifyToken) => {
+  // [GET] /payroll/preview?period_start=&restaurant_id= - What a run for the period would pay, without
+  // saving it (also lists employees missing a pay rate and anyone still clocked in)
+  router.get('/preview', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    try {
+      res.json(await calculatePayroll(pool, req.restaurantIds[0], req.query.period_start));
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/runs?restaurant_id= - Payroll runs, latest period first
+  router.get('/runs', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      res.json({ payroll_runs: await listPayrollRuns(pool, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /payroll/runs - Run payroll for a pay period that has ended { restaurant_id, period_start }.
+  // The payroll rows and pay stubs it writes can't be changed; each employee is notified.
+  router.post('/runs', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    const client = await pool.connect();
+    let runId;
+    try {
+      await client.query('BEGIN');
+      runId = await createPayrollRun(client, req.restaurantIds[0], req.body.period_start, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      return handleError(res, err);
+    } finally {
+      client.release();
+    }
+    try {
+      const run = await getPayrollRun(pool, runId, req.restaurantIds);
+      const notifications = await notifyPayStubs(pool, runId);
+      res.status(201).json({ payroll_run: run, notifications });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/runs/:id - A run with its payroll rows
+  router.get('/runs/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      res.json({ payroll_run: await getPayrollRun(pool, req.params.id, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/stubs/:payroll_id?format= - Any pay stub from the manager's restaurants
+  router.get('/stubs/:payroll_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      await sendStub(req, res, await getPayStub(pool, req.params.payroll_id, { restaurantIds: req.restaurantIds }));
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/me - The signed-in employee's pay stubs, latest first
+  router.get('/me', verifyToken, requireStaff, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT p.id, p.payroll_run_id, p.restaurant_id, r.name AS restaurant_name, p.period_start::text AS period_start,
+                p.period_end::text AS period_end, p.gross_salary, p.net_salary, p.created_at
+         FROM payroll p JOIN restaurants r ON r.id = p.restaurant_id
+         WHERE p.employee_id = $1 AND p.payroll_run_id IS NOT NULL
+         ORDER BY p.period_end DESC, p.id DESC`,
+        [req.employee.id]
+      );
+      res.json({ pay_stubs: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/me/:payroll_id?format= - One of the signed-in employee's pay stubs
+  router.get('/me/:payroll_id', verifyToken, requireStaff, async (req, res) => {
+    try {
+      await sendStub(req, res, await getPayStub(pool, req.params.payroll_id, { employeeId: req.employee.id }));
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/deductions?restaurant_id= - Deductions, including inactive ones
+  router.get('/deductions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM payroll_deductions WHERE restaurant_id = ANY($1) ORDER BY restaurant_id, id',
+        [req.restaurantIds]
+      );
+      res.json({ deductions: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /payroll/deductions - Add a deduction { restaurant_id, name, calculation: Percent|Fixed, amount, pre_tax }
+  router.post('/deductions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    const { name, calculation, amount, pre_tax = false } = req.body;
+    if (!name || !['Percent', 'Fixed'].includes(calculation) || !isAmount(amount) || typeof pre_tax !== 'boolean') {
+      return res.status(400).json({ error: 'name, calculation (Percent or Fixed), amount and pre_tax (true or false) are required' });
+    }
+    if (calculation === 'Percent' && amount > 100) return res.status(400).json({ error: 'A percentage must be at most 100' });
+    try {
+      const result = await pool.query(
+        `INSERT INTO payroll_deductions (restaurant_id, name, calculation, amount, pre_tax)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [req.restaurantIds[0], name, calculation, amount, pre_tax]
+      );
+      res.status(201).json({ deduction: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PATCH] /payroll/deductions/:id - Change a deduction { name, calculation, amount, pre_tax, active }.
+  // Runs already made keep the amounts they took.
+  router.patch('/deductions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { name, calculation, amount, pre_tax, active } = req.body;
+    if ((calculation !== undefined && !['Percent', 'Fixed'].includes(calculation))
+      || (amount !== undefined && !isAmount(amount))
+      || (pre_tax !== undefined && typeof pre_tax !== 'boolean')
+      || (active !== undefined && typeof active !== 'boolean')) {
+      return res.status(400).json({ error: 'calculation must be Percent or Fixed, amount a positive number, pre_tax and active true or false' });
+    }
+    try {
+      const current = await pool.query(
+        'SELECT calculation, amount FROM payroll_deductions WHERE id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (current.rowCount === 0) return res.status(404).json({ error: 'Deduction not found' });
+      if ((calculation || current.rows[0].calculation) === 'Percent' && Number(amount !== undefined ? amount : current.rows[0].amount) > 100) {
+        return res.status(400).json({ error: 'A percentage must be at most 100' });
+      }
+      const result = await pool.query(
+        `UPDATE payroll_deductions SET name = COALESCE($1, name), calculation = COALESCE($2, calculation),
+           amount = COALESCE($3, amount), pre_tax = COALESCE($4, pre_tax), active = COALESCE($5, active)
+         WHERE id = $6 RETURNING *`,
+        [name || null, calculation || null, amount, pre_tax, active, req.params.id]
+      );
+      res.json({ deduction: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [DELETE] /payroll/deductions/:id - Remove a deduction
+  router.delete('/deductions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM payroll_deductions WHERE id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Deduction not found' });
+      res.json({ message: 'Deduction deleted' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /payroll/taxes?restaurant_id= - Tax tables: brackets grouped by tax
+  router.get('/taxes', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT restaurant_id, tax_name,
+                json_agg(json_build_object('threshold', threshold, 'rate', rate) ORDER BY threshold) AS brackets
+         FROM payroll_tax_brackets WHERE restaurant_id = ANY($1)
+         GROUP BY restaurant_id, tax_name ORDER BY restaurant_id, tax_name`,
+        [req.restaurantIds]
+      );
+      res.json({ taxes: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /payroll/taxes/:tax_name - Replace a tax table { restaurant_id, brackets: [{ threshold, rate }] },
+  // thresholds being yearly pay and rates fractions (0.2 for 20%); an empty list removes the tax
+  router.put('/taxes/:tax_name', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    const { brackets } = req.body;
+    if (!Array.isArray(brackets) || !brackets.every(b => b && isAmount(b.threshold) && isAmount(b.rate) && b.rate <= 1)) {
+      return res.status(400).json({ error: 'brackets must be a list of { threshold, rate } with rates between 0 and 1' });
+    }
+    if (new Set(brackets.map(b => b.threshold)).size !== brackets.length) {
+      return res.status(400).json({ error: 'Bracket thresholds must be different' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM payroll_tax_brackets WHERE restaurant_id = $1 AND tax_name = $2',
+        [req.restaurantIds[0], req.params.tax_name]
+      );
+      for (const b of brackets) {
+        await client.query(
+          'INSERT INTO payroll_tax_brackets (restaurant_id, tax_name, threshold, rate) VALUES ($1, $2, $3, $4)',
+          [req.restaurantIds[0], req.params.tax_name, b.threshold, b.rate]
+        );
+      }
+      await client.query('COMMIT');
+      res.json({ tax_name: req.params.tax_name, brackets: [...brackets].sort((a, b) => a.threshold - b.threshold) });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
@@ -1,130 +1,128 @@
 const express = require('express');
 const router = express.Router();
 
-const handleError = (res, err) => res.status(500).json({ error: err.message });
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const sendReport = require('../middleware/sendReport');
+const {
+  listSubscriptions, getSubscription, createSubscription, updateSubscription, listRuns, deliverSubscription,
+} = require('../services/reportSubscriptions');
 
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+// Every report takes ?from=&to= (inclusive business days, defaulting to a recent window), ?restaurant_id=,
+// ?tz= (overrides the restaurants' own timezones) and ?granularity=hour|day|week|month for time series,
+// and answers in JSON or, with ?format= or an Accept header, as a CSV, XLSX or PDF download.
 module.exports = (pool, verifyToken) => {
-  // [GET] /reports/sales/daily - Sales summary by day
-  router.get('/sales/daily', verifyToken, async (req, res) => {
-    try {
-      const result = await pool.query(`
-        SELECT DATE(created_at) AS date, COUNT(*) AS orders_count, SUM(total_price) AS total_sales
-        FROM orders
-        GROUP BY DATE(created_at)
-        ORDER BY date DESC
-        LIMIT 30
-      `);
-      res.json({ daily_sales: result.rows });
-    } catch (err) {
-      handleError(res, err);
+  // [GET] /reports/sales/daily - Orders and sales per business day (or ?granularity=), last 30 days by default
+  router.get('/sales/daily', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('sales/daily'));
+
+  // [GET] /reports/revenue/weekly - Revenue per week (or ?granularity=), last 8 weeks by default
+  router.get('/revenue/weekly', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('revenue/weekly'));
+
+  // [GET] /reports/employees/performance - Orders handled and tips per employee
+  router.get('/employees/performance', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('employees/performance'));
+
+  // [GET] /reports/top-items - Top selling items
+  router.get('/top-items', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('top-items'));
+
+  // [GET] /reports/revenue/by-restaurant - Revenue by restaurant
+  router.get('/revenue/by-restaurant', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('revenue/by-restaurant'));
+
+  // [GET] /reports/trends/hourly - Orders by hour of the day, in each restaurant's local time
+  router.get('/trends/hourly', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('trends/hourly'));
+
+  // [POST] /reports/sales/custom - Sales report for { start_date, end_date } (plus the usual tz and granularity)
+  router.post('/sales/custom', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), (req, res, next) => {
+    if (!req.body.start_date || !req.body.end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required' });
     }
-  });
+    next();
+  }, sendReport('sales/custom', (req) => ({ ...req.body, from: req.body.start_date, to: req.body.end_date })));
 
-  // [GET] /reports/revenue/weekly - Weekly revenue report
-  router.get('/revenue/weekly', verifyToken, async (req, res) => {
+  // [GET] /reports/orders/average-value - Average order value
+  router.get('/orders/average-value', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('orders/average-value'));
+
+  // [GET] /reports/waste - Waste cost by reason, item and day
+  router.get('/waste', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('waste'));
+
+  // [GET] /reports/menu-engineering - Units, revenue, food cost and margin per menu item, classified
+  // as star, plowhorse, puzzle or dog within each restaurant
+  router.get('/menu-engineering', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('menu-engineering'));
+
+  // [GET] /reports/subscriptions?restaurant_id= - Scheduled report deliveries with their last run
+  router.get('/subscriptions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query(`
-        SELECT DATE_TRUNC('week', created_at) AS week, SUM(total_price) AS revenue
-        FROM orders
-        GROUP BY week
-        ORDER BY week DESC
-        LIMIT 8
-      `);
-      res.json({ weekly_revenue: result.rows });
+      res.json({ subscriptions: await listSubscriptions(pool, req.restaurantIds) });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /reports/employees/performance - Employee performance
-  router.get('/employees/performance', verifyToken, async (req, res) => {
+  // [POST] /reports/subscriptions - Email a report on a schedule
+  // Body: { restaurant_id, report, schedule, recipients: [email], format?: csv|xlsx|pdf (default pdf),
+  // params?: { days?, tz?, granularity? }, active? }. The schedule is a cron expression on the restaurant's
+  // clock, e.g. "0 7 * * *" for 7am daily; each run covers the `days` (default 1) business days up to yesterday.
+  router.post('/subscriptions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id } = req.body;
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
     try {
-      const result = await pool.query(`
-        SELECT e.id, e.name,
-               COUNT(o.id) AS orders_handled,
-               COALESCE(SUM(te.amount), 0) AS total_tips
-        FROM employees e
-        LEFT JOIN orders o ON o.assigned_chef_id = e.id
-        LEFT JOIN tips_earnings te ON te.employee_id = e.id
-        GROUP BY e.id
-        ORDER BY orders_handled DESC
-      `);
-      res.json({ performance: result.rows });
+      const subscription = await createSubscription(pool, Number(restaurant_id), req.body, { employee_id: req.employee.id });
+      res.status(201).json({ subscription });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /reports/top-items - Top selling items
-  router.get('/top-items', verifyToken, async (req, res) => {
+  // [GET] /reports/subscriptions/:id - One subscription
+  router.get('/subscriptions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query(`
-        SELECT m.name AS item_name, COUNT(*) AS order_count
-        FROM order_items oi
-        JOIN menu m ON oi.menu_id = m.id
-        GROUP BY m.name
-        ORDER BY order_count DESC
-        LIMIT 10
-      `);
-      res.json({ top_items: result.rows });
+      res.json({ subscription: await getSubscription(pool, req.params.id, req.restaurantIds) });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /reports/revenue/by-restaurant - Revenue by restaurant
-  router.get('/revenue/by-restaurant', verifyToken, async (req, res) => {
+  // [PATCH] /reports/subscriptions/:id - Change any of report, params, format, schedule, recipients, active
+  router.patch('/subscriptions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query(`
-        SELECT r.name AS restaurant, SUM(o.total_price) AS revenue
-        FROM orders o
-        JOIN restaurants r ON o.restaurant_id = r.id
-        GROUP BY r.name
-        ORDER BY revenue DESC
-      `);
-      res.json({ revenue_by_restaurant: result.rows });
+      res.json({ subscription: await updateSubscription(pool, req.params.id, req.restaurantIds, req.body) });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /reports/trends/hourly - Order trends by hour
-  router.get('/trends/hourly', verifyToken, async (req, res) => {
+  // [DELETE] /reports/subscriptions/:id - Stop and remove a subscription (and its run history)
+  router.delete('/subscriptions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query(`
-        SELECT EXTRACT(HOUR FROM created_at) AS hour, COUNT(*) AS orders
-        FROM orders
-        GROUP BY hour
-        ORDER BY hour ASC
-      `);
-      res.json({ hourly_trends: result.rows });
+      const result = await pool.query(
+        'DELETE FROM report_subscriptions WHERE id = $1 AND restaurant_id = ANY($2) RETURNING id',
+        [req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Report subscription not found' });
+      res.json({ message: 'Report subscription deleted' });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /reports/sales/custom - Custom sales report by range
-  router.post('/sales/custom', verifyToken, async (req, res) => {
-    const { start_date, end_date } = req.body;
-    if (!start_date || !end_date) {
-      return res.status(400).json({ error: 'start_date and end_date are required' });
-    }
+  // [GET] /reports/subscriptions/:id/runs - Delivery history, newest first
+  router.get('/subscriptions/:id/runs', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query(
-        'SELECT DATE(created_at) AS date, COUNT(*) AS orders_count, SUM(total_price) AS total_sales FROM orders WHERE created_at BETWEEN $1 AND $2 GROUP BY DATE(created_at) ORDER BY date DESC',
-        [start_date, end_date]
-      );
-      res.json({ custom_sales: result.rows });
+      res.json({ runs: await listRuns(pool, req.params.id, req.restaurantIds) });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [GET] /reports/orders/average-value - Average order value
-  router.get('/orders/average-value', verifyToken, async (req, res) => {
+  // [POST] /reports/subscriptions/:id/send - Deliver now, outside the schedule; answers with the recorded run
+  router.post('/subscriptions/:id/send', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('SELECT AVG(total_price) AS avg_order_value FROM orders');
-      res.json({ avg_order_value: result.rows[0].avg_order_value });
+      const subscription = await getSubscription(pool, req.params.id, req.restaurantIds);
+      const run = await deliverSubscription(pool, subscription, { trigger: 'manual' });
+      res.status(run.status === 'Sent' ? 201 : 502).json({ run });
     } catch (err) {
       handleError(res, err);
     }
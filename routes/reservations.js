@@ -1,13 +1,31 @@
 const express = require('express');
 const router = express.Router();
 
-const handleError = (res, err) => res.status(500).json({ error: err.message });
+const authorizeRoles = require('../middleware/authorizeRoles');
+const { identifyEmployee, hasAccess } = authorizeRoles;
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { worksAt } = scopeToRestaurant;
+const { trackActivity } = require('../middleware/activityLog');
+const { getSeatingRules, assertTableBookable, allocateTables, availableTables, availableSlots } = require('../services/seating');
+const { activeStatuses, transitions: waitlistTransitions, estimateWait, waitlistStatus } = require('../services/waitlist');
+const { notifyUser } = require('../services/notifications');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+const isValidTime = (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+const isFrontOfHouse = (req, restaurantId) => hasAccess(req.employee, ['Manager', 'Host']) && worksAt(req, restaurantId);
+// Restaurants whose guests' bookings the caller may manage on their behalf.
+const frontOfHouseRestaurants = (req) => hasAccess(req.employee, ['Manager', 'Host']) ? req.employee.restaurant_ids : [];
 
 module.exports = (pool, verifyToken) => {
   // [GET] /reservations - All reservations
-  router.get('/', verifyToken, async (req, res) => {
+  router.get('/', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM reservations ORDER BY reservation_time ASC');
+      const result = await pool.query(
+        'SELECT * FROM reservations WHERE restaurant_id = ANY($1) ORDER BY reservation_time ASC',
+        [req.restaurantIds]
+      );
       res.json({ reservations: result.rows });
     } catch (err) {
       handleError(res, err);
@@ -15,27 +33,68 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [POST] /reservations - Create reservation
-  router.post('/', verifyToken, async (req, res) => {
-    const { user_id, restaurant_id, reservation_time, num_guests, table_id, notes } = req.body;
+  // Without table_id the best-fit table (or adjacent tables) is assigned; pass auto_assign: false to book unseated.
+  router.post('/', verifyToken, identifyEmployee, trackActivity('reservation.created', 'reservations', {
+    id: (req, body) => body && body.reservation && body.reservation.id,
+  }), async (req, res) => {
+    const { user_id, restaurant_id, reservation_time, num_guests, table_id, notes, section, auto_assign } = req.body;
     if (!user_id || !restaurant_id || !reservation_time || !num_guests) {
       return res.status(400).json({ error: 'Missing required reservation fields' });
     }
+    if (user_id !== req.user.uid && !isFrontOfHouse(req, restaurant_id)) {
+      return res.status(403).json({ error: 'Cannot book on behalf of another user' });
+    }
+    if (!isValidTime(reservation_time) || !Number.isInteger(num_guests) || num_guests < 1) {
+      return res.status(400).json({ error: 'reservation_time must be a date-time and num_guests a positive integer' });
+    }
+    const client = await pool.connect();
     try {
-      const result = await pool.query(
-        `INSERT INTO reservations (user_id, restaurant_id, reservation_time, num_guests, table_id, notes)
-         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-        [user_id, restaurant_id, reservation_time, num_guests, table_id, notes]
+      await client.query('BEGIN');
+      const rules = await getSeatingRules(client, restaurant_id, { forUpdate: true });
+      let seating = { table_id: table_id || null, extra_table_ids: [] };
+      if (table_id) {
+        await assertTableBookable(client, {
+          tableId: table_id,
+          restaurantId: restaurant_id,
+          numGuests: num_guests,
+          start: reservation_time,
+          minutes: rules.seating_minutes,
+        });
+      } else if (auto_assign !== false) {
+        seating = await allocateTables(client, {
+          restaurantId: restaurant_id,
+          partySize: num_guests,
+          start: reservation_time,
+          minutes: rules.seating_minutes,
+          section,
+        });
+        if (!seating) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'No table available for that time and party size' });
+        }
+      }
+      const result = await client.query(
+        `INSERT INTO reservations (user_id, restaurant_id, reservation_time, num_guests, table_id, extra_table_ids, notes, duration_minutes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [user_id, restaurant_id, reservation_time, num_guests, seating.table_id, seating.extra_table_ids, notes, rules.seating_minutes]
       );
+      await client.query('COMMIT');
       res.status(201).json({ reservation: result.rows[0] });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
   // [DELETE] /reservations/:id - Cancel reservation
-  router.delete('/:id', verifyToken, async (req, res) => {
+  router.delete('/:id', verifyToken, identifyEmployee, trackActivity('reservation.cancelled', 'reservations'), async (req, res) => {
     try {
-      const result = await pool.query('DELETE FROM reservations WHERE id = $1 RETURNING *', [req.params.id]);
+      const result = await pool.query(
+        'DELETE FROM reservations WHERE id = $1 AND (user_id = $2 OR restaurant_id = ANY($3)) RETURNING *',
+        [req.params.id, req.user.uid, frontOfHouseRestaurants(req)]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Reservation not found' });
       res.json({ message: 'Reservation cancelled' });
     } catch (err) {
@@ -44,41 +103,91 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [PUT] /reservations/:id/assign-table - Assign table
-  router.put('/:id/assign-table', verifyToken, async (req, res) => {
+  router.put('/:id/assign-table', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), trackActivity('reservation.table_assigned', 'reservations'), async (req, res) => {
     const { table_id } = req.body;
     if (!table_id) return res.status(400).json({ error: 'table_id required' });
+    const client = await pool.connect();
     try {
-      const result = await pool.query(
-        'UPDATE reservations SET table_id = $1 WHERE id = $2 RETURNING *',
+      await client.query('BEGIN');
+      const existing = await client.query(
+        `SELECT rv.*, COALESCE(rv.duration_minutes, r.seating_minutes) AS minutes
+         FROM reservations rv JOIN restaurants r ON r.id = rv.restaurant_id
+         WHERE rv.id = $1 AND rv.restaurant_id = ANY($2) FOR UPDATE OF rv`,
+        [req.params.id, req.restaurantIds]
+      );
+      if (existing.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Reservation not found' });
+      }
+      const reservation = existing.rows[0];
+      await getSeatingRules(client, reservation.restaurant_id, { forUpdate: true });
+      await assertTableBookable(client, {
+        tableId: table_id,
+        restaurantId: reservation.restaurant_id,
+        numGuests: reservation.num_guests,
+        start: reservation.reservation_time,
+        minutes: reservation.minutes,
+        excludeReservationId: reservation.id,
+      });
+      const result = await client.query(
+        "UPDATE reservations SET table_id = $1, extra_table_ids = '{}' WHERE id = $2 RETURNING *",
         [table_id, req.params.id]
       );
-      if (result.rowCount === 0) return res.status(404).json({ error: 'Reservation not found' });
+      await client.query('COMMIT');
       res.json({ reservation: result.rows[0] });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
-  // [GET] /reservations/waitlist - Waitlist entries
-  router.get('/waitlist', verifyToken, async (req, res) => {
+  // [GET] /reservations/waitlist?restaurant_id=&status= - Waitlist entries (active parties unless status=all)
+  router.get('/waitlist', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), async (req, res) => {
+    const { status } = req.query;
+    const statuses = status === 'all' ? Object.keys(waitlistTransitions) : status ? [status] : activeStatuses;
     try {
-      const result = await pool.query('SELECT * FROM waitlist ORDER BY created_at ASC');
+      const result = await pool.query(
+        `SELECT * FROM waitlist
+         WHERE status = ANY($1) AND restaurant_id = ANY($2)
+         ORDER BY created_at ASC`,
+        [statuses, req.restaurantIds]
+      );
       res.json({ waitlist: result.rows });
     } catch (err) {
       handleError(res, err);
     }
   });
 
-  // [POST] /reservations/waitlist - Add to waitlist
-  router.post('/waitlist', verifyToken, async (req, res) => {
+  // [GET] /reservations/waitlist/quote?restaurant_id=&party_size= - Current wait estimate before joining
+  router.get('/waitlist/quote', verifyToken, async (req, res) => {
+    const partySize = Number(req.query.party_size);
+    if (!req.query.restaurant_id || !Number.isInteger(partySize) || partySize < 1) {
+      return res.status(400).json({ error: 'restaurant_id and party_size are required' });
+    }
+    try {
+      const minutes = await estimateWait(pool, req.query.restaurant_id, partySize);
+      res.json({ party_size: partySize, estimated_minutes: minutes });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /reservations/waitlist - Add to waitlist (response includes the wait quote)
+  router.post('/waitlist', verifyToken, identifyEmployee, async (req, res) => {
     const { user_id, restaurant_id, num_guests, notes } = req.body;
     if (!user_id || !restaurant_id || !num_guests) {
       return res.status(400).json({ error: 'Missing required waitlist fields' });
     }
+    if (user_id !== req.user.uid && !isFrontOfHouse(req, restaurant_id)) {
+      return res.status(403).json({ error: 'Cannot join the waitlist on behalf of another user' });
+    }
     try {
+      const quoted = await estimateWait(pool, restaurant_id, num_guests);
       const result = await pool.query(
-        'INSERT INTO waitlist (user_id, restaurant_id, num_guests, notes) VALUES ($1, $2, $3, $4) RETURNING *',
-        [user_id, restaurant_id, num_guests, notes]
+        'INSERT INTO waitlist (user_id, restaurant_id, num_guests, notes, quoted_minutes) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [user_id, restaurant_id, num_guests, notes, quoted]
       );
       res.status(201).json({ waitlist_entry: result.rows[0] });
     } catch (err) {
@@ -86,10 +195,127 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [GET] /reservations/waitlist/:id/status - Guest-facing position and ETA
+  router.get('/waitlist/:id/status', verifyToken, identifyEmployee, async (req, res) => {
+    try {
+      const owner = await pool.query('SELECT user_id, restaurant_id FROM waitlist WHERE id = $1', [req.params.id]);
+      const entry = owner.rows[0];
+      if (!entry || (entry.user_id !== req.user.uid && !isFrontOfHouse(req, entry.restaurant_id))) {
+        return res.status(404).json({ error: 'Waitlist entry not found' });
+      }
+      res.json({ waitlist_status: await waitlistStatus(pool, req.params.id) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /reservations/waitlist/seat-next - Hold a table for the longest-waiting party that fits and notify them
+  router.post('/waitlist/seat-next', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id, section } = req.body;
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id is required' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const rules = await getSeatingRules(client, restaurant_id, { forUpdate: true });
+      const now = (await client.query('SELECT LOCALTIMESTAMP AS now')).rows[0].now;
+      const waiting = await client.query(
+        "SELECT * FROM waitlist WHERE restaurant_id = $1 AND status = 'waiting' ORDER BY created_at ASC FOR UPDATE",
+        [restaurant_id]
+      );
+
+      // Parties that don't fit any free table yet are skipped, not blocked on.
+      for (const party of waiting.rows) {
+        const seating = await allocateTables(client, {
+          restaurantId: restaurant_id,
+          partySize: party.num_guests,
+          start: now,
+          minutes: rules.seating_minutes,
+          section,
+        });
+        if (!seating) continue;
+
+        const reservation = await client.query(
+          `INSERT INTO reservations (user_id, restaurant_id, reservation_time, num_guests, table_id, extra_table_ids, notes, duration_minutes)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+          [party.user_id, restaurant_id, now, party.num_guests, seating.table_id, seating.extra_table_ids, party.notes, rules.seating_minutes]
+        );
+        const entry = await client.query(
+          "UPDATE waitlist SET status = 'notified', notified_at = NOW(), reservation_id = $1 WHERE id = $2 RETURNING *",
+          [reservation.rows[0].id, party.id]
+        );
+        await client.query('COMMIT');
+
+        const tableNumbers = seating.tables.map(t => t.table_number).join(' + ');
+        const notice = await notifyUser(pool, party.user_id, 'Your table is ready', `Please see the host for table ${tableNumbers}.`, {
+          waitlist_id: String(party.id),
+          reservation_id: String(reservation.rows[0].id),
+        });
+        return res.json({
+          waitlist_entry: entry.rows[0],
+          reservation: reservation.rows[0],
+          tables: seating.tables,
+          notification: { pushed: notice.pushed, push_error: notice.push_error },
+        });
+      }
+
+      await client.query('ROLLBACK');
+      res.status(409).json({ error: 'No waiting party fits a free table right now', waiting: waiting.rowCount });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [PATCH] /reservations/waitlist/:id/status - Mark a party seated or a no-show (no-shows release their held table)
+  router.patch('/waitlist/:id/status', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), trackActivity(
+    (req) => `waitlist.${req.body.status}`, 'waitlist'
+  ), async (req, res) => {
+    const { status } = req.body;
+    if (!['seated', 'no_show'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'seated' or 'no_show'" });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        'SELECT * FROM waitlist WHERE id = $1 AND restaurant_id = ANY($2) FOR UPDATE',
+        [req.params.id, req.restaurantIds]
+      );
+      if (current.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Waitlist entry not found' });
+      }
+      const entry = current.rows[0];
+      if (!waitlistTransitions[entry.status].includes(status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `Cannot change waitlist entry from ${entry.status} to ${status}` });
+      }
+      if (status === 'no_show' && entry.reservation_id) {
+        await client.query('DELETE FROM reservations WHERE id = $1', [entry.reservation_id]);
+      }
+      const result = await client.query(
+        "UPDATE waitlist SET status = $1::varchar, seated_at = CASE WHEN $1::varchar = 'seated' THEN NOW() ELSE seated_at END WHERE id = $2 RETURNING *",
+        [status, entry.id]
+      );
+      await client.query('COMMIT');
+      res.json({ waitlist_entry: result.rows[0] });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
   // [DELETE] /reservations/waitlist/:id - Remove from waitlist
-  router.delete('/waitlist/:id', verifyToken, async (req, res) => {
+  router.delete('/waitlist/:id', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('DELETE FROM waitlist WHERE id = $1 RETURNING *', [req.params.id]);
+      const result = await pool.query(
+        'DELETE FROM waitlist WHERE id = $1 AND restaurant_id = ANY($2) RETURNING *',
+        [req.params.id, req.restaurantIds]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Waitlist entry not found' });
       res.json({ message: 'Waitlist entry removed' });
     } catch (err) {
@@ -97,32 +323,49 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /reservations/tables/available - Get available tables
+  // [GET] /reservations/tables/available?restaurant_id=&time=&party_size= - Tables free for a full seating
   router.get('/tables/available', verifyToken, async (req, res) => {
+    const { restaurant_id, time } = req.query;
+    const partySize = Number(req.query.party_size || 1);
+    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id query param is required' });
+    if ((time && !isValidTime(time)) || !Number.isInteger(partySize) || partySize < 1) {
+      return res.status(400).json({ error: 'Invalid time or party_size' });
+    }
     try {
-      const result = await pool.query(`
-        SELECT * FROM tables
-        WHERE id NOT IN (
-          SELECT table_id FROM reservations WHERE reservation_time > NOW() - INTERVAL '2 hours'
-        )
-        ORDER BY table_number ASC
-      `);
-      res.json({ available_tables: result.rows });
+      // Without a time, "now" comes from the database clock, as when seating the waitlist.
+      const start = time || (await pool.query('SELECT LOCALTIMESTAMP AS now')).rows[0].now;
+      const tables = await availableTables(pool, restaurant_id, start, partySize);
+      res.json({ available_tables: tables });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /reservations/availability?restaurant_id=&date=&party_size= - Bookable start times for a day
+  router.get('/availability', async (req, res) => {
+    const { restaurant_id, date } = req.query;
+    const partySize = Number(req.query.party_size);
+    if (!restaurant_id || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !Number.isInteger(partySize) || partySize < 1) {
+      return res.status(400).json({ error: 'restaurant_id, date (YYYY-MM-DD) and party_size are required' });
+    }
+    try {
+      const availability = await availableSlots(pool, restaurant_id, date, partySize);
+      res.json({ restaurant_id: Number(restaurant_id), date, party_size: partySize, ...availability });
     } catch (err) {
       handleError(res, err);
     }
   });
 
   // [POST] /reservations/tables - Add table
-  router.post('/tables', verifyToken, async (req, res) => {
-    const { restaurant_id, table_number, capacity } = req.body;
+  router.post('/tables', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id, table_number, capacity, section, position } = req.body;
     if (!restaurant_id || !table_number || !capacity) {
       return res.status(400).json({ error: 'Missing table data' });
     }
     try {
       const result = await pool.query(
-        'INSERT INTO tables (restaurant_id, table_number, capacity) VALUES ($1, $2, $3) RETURNING *',
-        [restaurant_id, table_number, capacity]
+        'INSERT INTO tables (restaurant_id, table_number, capacity, section, position) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [restaurant_id, table_number, capacity, section || null, Number.isInteger(position) ? position : null]
       );
       res.status(201).json({ table: result.rows[0] });
     } catch (err) {
@@ -130,10 +373,31 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [PATCH] /reservations/tables/:id/layout - Set a table's section and position (adjacent positions can be combined)
+  router.patch('/tables/:id/layout', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { section, position } = req.body;
+    if (position != null && !Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer or null' });
+    }
+    try {
+      const result = await pool.query(
+        'UPDATE tables SET section = $1, position = $2 WHERE id = $3 AND restaurant_id = ANY($4) RETURNING *',
+        [section || null, position == null ? null : position, req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Table not found' });
+      res.json({ table: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
   // [DELETE] /reservations/tables/:id - Delete table
-  router.delete('/tables/:id', verifyToken, async (req, res) => {
+  router.delete('/tables/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('DELETE FROM tables WHERE id = $1 RETURNING *', [req.params.id]);
+      const result = await pool.query(
+        'DELETE FROM tables WHERE id = $1 AND restaurant_id = ANY($2) RETURNING *',
+        [req.params.id, req.restaurantIds]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Table not found' });
       res.json({ message: 'Table deleted' });
     } catch (err) {
@@ -142,11 +406,11 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [GET] /reservations/date/:date - Get reservations by date
-  router.get('/date/:date', verifyToken, async (req, res) => {
+  router.get('/date/:date', verifyToken, authorizeRoles('Manager', 'Host'), scopeToRestaurant(), async (req, res) => {
     try {
       const result = await pool.query(
-        'SELECT * FROM reservations WHERE DATE(reservation_time) = $1 ORDER BY reservation_time ASC',
-        [req.params.date]
+        'SELECT * FROM reservations WHERE DATE(reservation_time) = $1 AND restaurant_id = ANY($2) ORDER BY reservation_time ASC',
+        [req.params.date, req.restaurantIds]
       );
       res.json({ reservations: result.rows });
     } catch (err) {
@@ -154,12 +418,16 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [GET] /reservations/user/:user_id - Get reservations by user
-  router.get('/user/:user_id', verifyToken, async (req, res) => {
+  // [GET] /reservations/user/:user_id - Get reservations by user (staff see only their restaurants' bookings)
+  router.get('/user/:user_id', verifyToken, identifyEmployee, async (req, res) => {
+    const own = req.params.user_id === req.user.uid;
+    if (!own && !frontOfHouseRestaurants(req).length) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     try {
       const result = await pool.query(
-        'SELECT * FROM reservations WHERE user_id = $1 ORDER BY reservation_time DESC',
-        [req.params.user_id]
+        'SELECT * FROM reservations WHERE user_id = $1 AND ($2 OR restaurant_id = ANY($3)) ORDER BY reservation_time DESC',
+        [req.params.user_id, own, frontOfHouseRestaurants(req)]
       );
       res.json({ reservations: result.rows });
     } catch (err) {
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { isTimeZone } = require('../services/reportRange');
+const { rescheduleSubscriptions } = require('../services/reportSubscriptions');
+const { frequencies } = require('../services/payroll');
+
 const handleError = (res, err) => res.status(500).json({ error: err.message });
 
 module.exports = (pool, verifyToken) => {
@@ -14,25 +20,35 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
-  // [POST] /restaurants - Create new restaurant
-  router.post('/', verifyToken, async (req, res) => {
+  // [POST] /restaurants - Create new restaurant (the creating manager joins it)
+  router.post('/', verifyToken, authorizeRoles('Manager'), async (req, res) => {
     const { name, address, phone, description } = req.body;
     if (!name || !address || !phone) {
       return res.status(400).json({ error: 'Missing required restaurant fields' });
     }
+    const client = await pool.connect();
     try {
-      const result = await pool.query(
+      await client.query('BEGIN');
+      const result = await client.query(
         'INSERT INTO restaurants (name, address, phone, description) VALUES ($1, $2, $3, $4) RETURNING *',
         [name, address, phone, description]
       );
+      await client.query(
+        'INSERT INTO employee_restaurants (employee_id, restaurant_id) VALUES ($1, $2)',
+        [req.employee.id, result.rows[0].id]
+      );
+      await client.query('COMMIT');
       res.status(201).json({ restaurant: result.rows[0] });
     } catch (err) {
+      await client.query('ROLLBACK');
       handleError(res, err);
+    } finally {
+      client.release();
     }
   });
 
   // [PUT] /restaurants/:id - Update restaurant
-  router.put('/:id', verifyToken, async (req, res) => {
+  router.put('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
     const { name, address, phone, description } = req.body;
     try {
       const result = await pool.query(
@@ -46,8 +62,134 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [PATCH] /restaurants/:id/seating - Update seating length, slot interval and service hours
+  router.patch('/:id/seating', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const { seating_minutes, slot_interval_minutes, opening_time, closing_time } = req.body;
+    const positiveInt = (v) => v == null || (Number.isInteger(v) && v > 0);
+    const clockTime = (v) => v == null || /^\d{2}:\d{2}(:\d{2})?$/.test(v);
+    if (!positiveInt(seating_minutes) || !positiveInt(slot_interval_minutes) || !clockTime(opening_time) || !clockTime(closing_time)) {
+      return res.status(400).json({ error: 'Minutes must be positive integers and times HH:MM' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE restaurants SET
+           seating_minutes = COALESCE($1, seating_minutes),
+           slot_interval_minutes = COALESCE($2, slot_interval_minutes),
+           opening_time = COALESCE($3, opening_time),
+           closing_time = COALESCE($4, closing_time)
+         WHERE id = $5 RETURNING *`,
+        [seating_minutes, slot_interval_minutes, opening_time, closing_time, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
+      res.json({ restaurant: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PATCH] /restaurants/:id/business-day - Set the timezone and the time the business day rolls over
+  // Body: { timezone?, day_cutoff? } e.g. { "timezone": "America/New_York", "day_cutoff": "04:00" }
+  router.patch('/:id/business-day', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const { timezone, day_cutoff } = req.body;
+    if (timezone != null && (typeof timezone !== 'string' || !isTimeZone(timezone))) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as Europe/Paris' });
+    }
+    if (day_cutoff != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(day_cutoff)) {
+      return res.status(400).json({ error: 'day_cutoff must be a time HH:MM' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE restaurants SET timezone = COALESCE($1, timezone), day_cutoff = COALESCE($2, day_cutoff)
+         WHERE id = $3 RETURNING *`,
+        [timezone, day_cutoff, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
+      if (timezone != null) await rescheduleSubscriptions(pool, req.params.id);
+      res.json({ restaurant: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PATCH] /restaurants/:id/scheduling-rules - Minimum rest between shifts and overtime thresholds (hours)
+  // Body: { min_rest_hours?, overtime_weekly_hours?, overtime_daily_hours? (null for none) }
+  router.patch('/:id/scheduling-rules', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const fields = ['min_rest_hours', 'overtime_weekly_hours', 'overtime_daily_hours'];
+    const hours = (v) => typeof v === 'number' && v >= 0 && v <= 168;
+    const invalid = fields.find(f => req.body[f] !== undefined
+      && !(hours(req.body[f]) || (f === 'overtime_daily_hours' && req.body[f] === null)));
+    if (invalid) return res.status(400).json({ error: `${invalid} must be a number of hours` });
+    try {
+      const result = await pool.query(
+        `UPDATE restaurants SET min_rest_hours = COALESCE($1, min_rest_hours),
+           overtime_weekly_hours = COALESCE($2, overtime_weekly_hours),
+           overtime_daily_hours = CASE WHEN $3 THEN $4 ELSE overtime_daily_hours END
+         WHERE id = $5 RETURNING id, min_rest_hours, overtime_weekly_hours, overtime_daily_hours`,
+        [req.body.min_rest_hours, req.body.overtime_weekly_hours, req.body.overtime_daily_hours !== undefined,
+          req.body.overtime_daily_hours, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
+      res.json({ scheduling_rules: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PATCH] /restaurants/:id/payroll-settings - How often staff are paid and the overtime pay multiplier
+  // Body: { pay_frequency? (weekly, biweekly, semimonthly or monthly), overtime_multiplier? }
+  router.patch('/:id/payroll-settings', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const { pay_frequency, overtime_multiplier } = req.body;
+    if (pay_frequency !== undefined && !Object.keys(frequencies).includes(pay_frequency)) {
+      return res.status(400).json({ error: `pay_frequency must be one of ${Object.keys(frequencies).join(', ')}` });
+    }
+    if (overtime_multiplier !== undefined && !(typeof overtime_multiplier === 'number' && overtime_multiplier >= 1 && overtime_multiplier < 100)) {
+      return res.status(400).json({ error: 'overtime_multiplier must be a number of at least 1' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE restaurants SET pay_frequency = COALESCE($1, pay_frequency), overtime_multiplier = COALESCE($2, overtime_multiplier)
+         WHERE id = $3 RETURNING id, pay_frequency, overtime_multiplier`,
+        [pay_frequency, overtime_multiplier, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
+      res.json({ payroll_settings: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PATCH] /restaurants/:id/time-clock - Optional clock-in checks: a radius around the restaurant's
+  // coordinates, and the device ids allowed to punch. Body: { clock_geofence_meters?, clock_device_ids? }
+  // (null turns a check off)
+  router.patch('/:id/time-clock', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const { clock_geofence_meters: meters, clock_device_ids: devices } = req.body;
+    if (meters !== undefined && meters !== null && !(Number.isInteger(meters) && meters > 0)) {
+      return res.status(400).json({ error: 'clock_geofence_meters must be a whole number of metres' });
+    }
+    if (devices !== undefined && devices !== null
+      && !(Array.isArray(devices) && devices.every(d => typeof d === 'string' && d.trim()))) {
+      return res.status(400).json({ error: 'clock_device_ids must be an array of device ids' });
+    }
+    try {
+      const result = await pool.query(
+        `UPDATE restaurants SET clock_geofence_meters = CASE WHEN $1 THEN $2 ELSE clock_geofence_meters END,
+           clock_device_ids = CASE WHEN $3 THEN $4::text[] ELSE clock_device_ids END
+         WHERE id = $5 RETURNING id, latitude, longitude, clock_geofence_meters, clock_device_ids`,
+        [meters !== undefined, meters, devices !== undefined, devices && devices.length ? devices : null, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
+      const settings = result.rows[0];
+      const warning = settings.clock_geofence_meters && (settings.latitude == null || settings.longitude == null)
+        ? 'The geofence applies once the restaurant has coordinates'
+        : undefined;
+      res.json({ time_clock: settings, warning });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
   // [DELETE] /restaurants/:id - Delete restaurant
-  router.delete('/:id', verifyToken, async (req, res) => {
+  router.delete('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
     try {
       const result = await pool.query('DELETE FROM restaurants WHERE id = $1 RETURNING *', [req.params.id]);
       if (result.rowCount === 0) return res.status(404).json({ error: 'Restaurant not found' });
@@ -58,7 +200,7 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [POST] /restaurants/:id/categories - Add menu category
-  router.post('/:id/categories', verifyToken, async (req, res) => {
+  router.post('/:id/categories', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
     const { name } = req.body;
     if (!name) return res.status(400).json({ error: 'Category name is required' });
     try {
@@ -85,15 +227,61 @@ module.exports = (pool, verifyToken) => {
     }
   });
 
+  // [POST] /restaurants/:id/stations - Add kitchen station
+  router.post('/:id/stations', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
+    const { name } = req.body;
+    if (!name) return res.status(400).json({ error: 'Station name is required' });
+    try {
+      const result = await pool.query(
+        'INSERT INTO kitchen_stations (restaurant_id, name) VALUES ($1, $2) RETURNING *',
+        [req.params.id, name]
+      );
+      res.status(201).json({ station: result.rows[0] });
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'Station already exists' });
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /restaurants/:id/stations - Get kitchen stations
+  router.get('/:id/stations', verifyToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM kitchen_stations WHERE restaurant_id = $1 ORDER BY name ASC',
+        [req.params.id]
+      );
+      res.json({ stations: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [DELETE] /restaurants/stations/:id - Delete kitchen station
+  router.delete('/stations/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM kitchen_stations WHERE id = $1 AND restaurant_id = ANY($2) RETURNING *',
+        [req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Station not found' });
+      res.json({ message: 'Station deleted' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
   // [POST] /restaurants/menu/:menu_id/modifiers - Add modifier
-  router.post('/menu/:menu_id/modifiers', verifyToken, async (req, res) => {
+  router.post('/menu/:menu_id/modifiers', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     const { name, price } = req.body;
     if (!name || price == null) return res.status(400).json({ error: 'Modifier name and price required' });
     try {
       const result = await pool.query(
-        'INSERT INTO menu_modifiers (menu_id, name, price) VALUES ($1, $2, $3) RETURNING *',
-        [req.params.menu_id, name, price]
+        `INSERT INTO menu_modifiers (menu_id, name, price)
+         SELECT id, $2, $3 FROM menu WHERE id = $1 AND restaurant_id = ANY($4)
+         RETURNING *`,
+        [req.params.menu_id, name, price, req.restaurantIds]
       );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Menu item not found' });
       res.status(201).json({ modifier: result.rows[0] });
     } catch (err) {
       handleError(res, err);
@@ -114,9 +302,14 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [DELETE] /restaurants/modifiers/:id - Delete modifier
-  router.delete('/modifiers/:id', verifyToken, async (req, res) => {
+  router.delete('/modifiers/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
     try {
-      const result = await pool.query('DELETE FROM menu_modifiers WHERE id = $1 RETURNING *', [req.params.id]);
+      const result = await pool.query(
+        `DELETE FROM menu_modifiers mm USING menu m
+         WHERE mm.id = $1 AND m.id = mm.menu_id AND m.restaurant_id = ANY($2)
+         RETURNING mm.*`,
+        [req.params.id, req.restaurantIds]
+      );
       if (result.rowCount === 0) return res.status(404).json({ error: 'Modifier not found' });
       res.json({ message: 'Modifier deleted' });
     } catch (err) {
@@ -125,7 +318,7 @@ module.exports = (pool, verifyToken) => {
   });
 
   // [PATCH] /restaurants/:id/status - Toggle open/closed
-  router.patch('/:id/status', verifyToken, async (req, res) => {
+  router.patch('/:id/status', verifyToken, authorizeRoles('Manager'), scopeToRestaurant('id'), async (req, res) => {
     const { is_open } = req.body;
     if (typeof is_open !== 'boolean') return res.status(400).json({ error: 'is_open must be boolean' });
     try {
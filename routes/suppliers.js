@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { standardFactor } = require('../services/units');
+
+const handleError = (res, err) => res.status(500).json({ error: err.message });
+const isLeadTime = (v) => v == null || (Number.isInteger(v) && v >= 0);
+
+module.exports = (pool, verifyToken) => {
+  // Suppliers outside the caller's restaurants answer 404.
+  const supplierInScope = async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM suppliers WHERE id = $1 AND restaurant_id = ANY($2)',
+        [req.params.id, req.restaurantIds]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Supplier not found' });
+      req.supplier = result.rows[0];
+      next();
+    } catch (err) {
+      handleError(res, err);
+    }
+  };
+
+  // [GET] /suppliers - Suppliers of the caller's restaurants
+  router.get('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM suppliers WHERE restaurant_id = ANY($1) ORDER BY name ASC',
+        [req.restaurantIds]
+      );
+      res.json({ suppliers: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /suppliers - Add supplier
+  router.post('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const { restaurant_id, name, contact_name, email, phone, lead_time_days, notes } = req.body;
+    if (!restaurant_id || !name) return res.status(400).json({ error: 'restaurant_id and name are required' });
+    if (!isLeadTime(lead_time_days)) return res.status(400).json({ error: 'lead_time_days must be a non-negative integer' });
+    try {
+      const result = await pool.query(
+        `INSERT INTO suppliers (restaurant_id, name, contact_name, email, phone, lead_time_days, notes)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 1), $7) RETURNING *`,
+        [restaurant_id, name, contact_name || null, email || null, phone || null, lead_time_days, notes || null]
+      );
+      res.status(201).json({ supplier: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /suppliers/:id - Update supplier contact details and lead time
+  router.put('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), supplierInScope, async (req, res) => {
+    const { name, contact_name, email, phone, lead_time_days, notes } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    if (!isLeadTime(lead_time_days)) return res.status(400).json({ error: 'lead_time_days must be a non-negative integer' });
+    try {
+      const result = await pool.query(
+        `UPDATE suppliers SET name = $1, contact_name = $2, email = $3, phone = $4,
+           lead_time_days = COALESCE($5, lead_time_days), notes = $6
+         WHERE id = $7 RETURNING *`,
+        [name, contact_name || null, email || null, phone || null, lead_time_days, notes || null, req.params.id]
+      );
+      res.json({ supplier: result.rows[0] });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [DELETE] /suppliers/:id - Delete supplier (refused while purchase orders are open)
+  router.delete('/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), supplierInScope, async (req, res) => {
+    try {
+      const open = await pool.query(
+        "SELECT COUNT(*)::int AS open FROM supplier_orders WHERE supplier_id = $1 AND order_status IN ('Sent', 'Partially Received')",
+        [req.params.id]
+      );
+      if (open.rows[0].open > 0) {
+        return res.status(409).json({ error: 'Supplier has open purchase orders', open_orders: open.rows[0].open });
+      }
+      await pool.query('DELETE FROM suppliers WHERE id = $1', [req.params.id]);
+      res.json({ message: 'Supplier deleted' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /suppliers/:id/items - Supplier catalog with pack sizes and prices
+  router.get('/:id/items', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), supplierInScope, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT si.*, i.name AS item_name, i.unit,
+                ROUND(si.pack_price / si.pack_quantity, 4) AS unit_cost
+         FROM supplier_items si JOIN inventory i ON i.id = si.inventory_id
+         WHERE si.supplier_id = $1 ORDER BY i.name ASC`,
+        [req.params.id]
+      );
+      res.json({ items: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /suppliers/:id/items - Add or update a catalog item
+  // Body: { inventory_id, sku, pack_unit, pack_quantity, pack_price, of_unit? }; pack_quantity is in the
+  // inventory item's unit unless of_unit names another convertible unit (e.g. a 5 kg bag of flour kept in g).
+  router.post('/:id/items', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), supplierInScope, async (req, res) => {
+    const { inventory_id, sku, pack_unit, pack_quantity, pack_price, of_unit } = req.body;
+    if (!Number.isInteger(inventory_id) || !sku || typeof pack_quantity !== 'number' || pack_quantity <= 0 ||
+        typeof pack_price !== 'number' || pack_price < 0) {
+      return res.status(400).json({ error: 'inventory_id, sku, a positive pack_quantity and pack_price are required' });
+    }
+    try {
+      const item = await pool.query(
+        'SELECT * FROM inventory WHERE id = $1 AND restaurant_id = $2',
+        [inventory_id, req.supplier.restaurant_id]
+      );
+      if (item.rowCount === 0) return res.status(404).json({ error: 'Inventory item not found' });
+      const factor = of_unit ? standardFactor(of_unit, item.rows[0].unit) : 1;
+      if (factor == null) return res.status(400).json({ error: `Cannot convert ${of_unit} to ${item.rows[0].unit}` });
+
+      const result = await pool.query(
+        `INSERT INTO supplier_items (supplier_id, inventory_id, sku, pack_unit, pack_quantity, pack_price)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (supplier_id, inventory_id) DO UPDATE SET
+           sku = EXCLUDED.sku, pack_unit = EXCLUDED.pack_unit,
+           pack_quantity = EXCLUDED.pack_quantity, pack_price = EXCLUDED.pack_price
+         RETURNING *`,
+        [req.params.id, inventory_id, sku, pack_unit || 'each', pack_quantity * factor, pack_price]
+      );
+      res.status(201).json({ item: result.rows[0] });
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'SKU already used by another item of this supplier' });
+      handleError(res, err);
+    }
+  });
+
+  // [DELETE] /suppliers/:id/items/:item_id - Remove a catalog item
+  router.delete('/:id/items/:item_id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), supplierInScope, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM supplier_items WHERE id = $1 AND supplier_id = $2 RETURNING *',
+        [req.params.item_id, req.params.id]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Catalog item not found' });
+      res.json({ message: 'Catalog item removed' });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  return router;
+};
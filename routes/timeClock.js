@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const sendReport = require('../middleware/sendReport');
+const { requireStaff } = authorizeRoles;
+const { reportRange } = require('../services/reportRange');
+const {
+  getEntry, openEntry, clockIn, clockOut, startBreak, endBreak, createEntry, updateEntry, deleteEntry, listEntries,
+} = require('../services/timeClock');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+module.exports = (pool, verifyToken) => {
+  // Runs a punch for the signed-in employee in a transaction and answers with their time entry.
+  const punch = (action, status = 200) => async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const entry = await action(client, req);
+      await client.query('COMMIT');
+      res.status(status).json({ time_entry: entry });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  };
+
+  // [POST] /time-clock/clock-in - Clock in { restaurant_id (needed when working at several), device_id,
+  // latitude, longitude, notes }. The restaurant may require a registered device or a location nearby.
+  router.post('/clock-in', verifyToken, requireStaff, scopeToRestaurant(), (req, res, next) => {
+    if (req.restaurantIds.length !== 1) {
+      return res.status(400).json({ error: 'restaurant_id is required for staff working at several restaurants' });
+    }
+    next();
+  }, punch((client, req) => clockIn(client, req.employee.id, req.restaurantIds[0], req.body), 201));
+
+  // [POST] /time-clock/clock-out - Clock out { device_id, latitude, longitude }, ending any break
+  router.post('/clock-out', verifyToken, requireStaff, punch((client, req) => clockOut(client, req.employee.id, req.body)));
+
+  // [POST] /time-clock/breaks/start - Start a break { paid } (unpaid by default)
+  router.post('/breaks/start', verifyToken, requireStaff, punch((client, req) => startBreak(client, req.employee.id, req.body)));
+
+  // [POST] /time-clock/breaks/end - End the current break
+  router.post('/breaks/end', verifyToken, requireStaff, punch((client, req) => endBreak(client, req.employee.id)));
+
+  // [GET] /time-clock/me?from=&to= - The signed-in employee's open entry and their entries in range
+  // (the last 14 days by default)
+  router.get('/me', verifyToken, requireStaff, async (req, res) => {
+    try {
+      const range = await reportRange(pool, req.employee.restaurant_ids, req.query, { days: 14 });
+      const [current, entries] = await Promise.all([
+        openEntry(pool, req.employee.id),
+        listEntries(pool, req.employee.restaurant_ids, { ...range, employeeId: req.employee.id }),
+      ]);
+      res.json({ current, time_entries: entries, range: { from: range.from, to: range.to } });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /time-clock/entries?from=&to=&employee_id=&restaurant_id= - Time entries by the local date they
+  // started on (the last 7 days by default), newest first
+  router.get('/entries', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const range = await reportRange(pool, req.restaurantIds, req.query, { days: 7 });
+      const entries = await listEntries(pool, req.restaurantIds, { ...range, employeeId: req.query.employee_id || null });
+      res.json({ time_entries: entries, range: { from: range.from, to: range.to } });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /time-clock/entries/:id - One time entry with its breaks
+  router.get('/entries/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      res.json({ time_entry: await getEntry(pool, req.params.id, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /time-clock/entries - Add a missed punch { employee_id, restaurant_id, clock_in, clock_out,
+  // breaks: [{ started_at, ended_at, paid }], notes, reason }
+  router.post('/entries', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    if (!req.body.employee_id || !req.body.restaurant_id) {
+      return res.status(400).json({ error: 'employee_id and restaurant_id are required' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const entry = await createEntry(client, req.restaurantIds[0], req.body, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+      res.status(201).json({ time_entry: entry });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [PATCH] /time-clock/entries/:id - Correct an entry { clock_in, clock_out, breaks, notes, reason };
+  // breaks, when given, replace the entry's breaks
+  router.patch('/entries/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const entry = await updateEntry(client, req.params.id, req.restaurantIds, req.body, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+      res.json({ time_entry: entry });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [DELETE] /time-clock/entries/:id - Remove an entry { reason }
+  router.delete('/entries/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await deleteEntry(client, req.params.id, req.restaurantIds, req.body && req.body.reason, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+      res.json({ message: 'Time entry deleted' });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /time-clock/edits?employee_id=&time_entry_id=&restaurant_id= - Audit trail of manager
+  // corrections, newest first
+  router.get('/edits', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT x.*, e.name AS employee_name, m.name AS edited_by_name
+         FROM time_entry_edits x
+         LEFT JOIN employees e ON e.id = x.employee_id
+         LEFT JOIN employees m ON m.id = x.edited_by
+         WHERE x.restaurant_id = ANY($1)
+           AND ($2::int IS NULL OR x.employee_id = $2)
+           AND ($3::int IS NULL OR x.time_entry_id = $3)
+         ORDER BY x.edited_at DESC, x.id DESC
+         LIMIT 500`,
+        [req.restaurantIds, req.query.employee_id || null, req.query.time_entry_id || null]
+      );
+      res.json({ edits: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /time-clock/timesheets?from=&to=&restaurant_id=&format= - Scheduled vs worked hours per
+  // employee and day, split into regular and overtime (the last 7 days by default)
+  router.get('/timesheets', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), sendReport('timesheets'));
+
+  return router;
+};
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { requireStaff } = authorizeRoles;
+const { reportRange, reportSql } = require('../services/reportRange');
+const { tipPool, distributeTips, getDistribution } = require('../services/tips');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+// Tips are pooled per restaurant.
+const oneRestaurant = (req, res, next) => {
+  if (req.restaurantIds.length !== 1) {
+    return res.status(400).json({ error: 'restaurant_id is required for staff working at several restaurants' });
+  }
+  next();
+};
+
+const isWeight = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+// The pool works on the tip ids internally; callers see the days without them.
+const withoutTipIds = (pool) => ({ ...pool, days: pool.days.map(({ tip_ids, ...day }) => day) });
+
+module.exports = (pool, verifyToken) => {
+  // [GET] /tips?restaurant_id=&from=&to= - Tips taken over business days from..to (last 7 by default), card
+  // and cash, with whether each has been distributed yet
+  router.get('/', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const range = await reportRange(pool, req.restaurantIds, req.query, { days: 7 });
+      const sql = reportSql(range, 1);
+      const result = await pool.query(
+        `SELECT t.*, ${sql.businessDate('t.created_at')}::text AS business_date, e.name AS declared_by_name
+         FROM tips t JOIN restaurants r ON r.id = t.restaurant_id
+         LEFT JOIN employees e ON e.id = t.declared_by
+         WHERE t.restaurant_id = ANY($1) AND ${sql.inRange('t.created_at')}
+         ORDER BY t.created_at DESC`,
+        [req.restaurantIds, ...sql.params]
+      );
+      res.json({ from: range.from, to: range.to, tips: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /tips/pool-rules?restaurant_id= - The roles sharing tips and their weights
+  router.get('/pool-rules', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM tip_pool_rules WHERE restaurant_id = ANY($1) ORDER BY restaurant_id, weight DESC, role',
+        [req.restaurantIds]
+      );
+      res.json({ pool_rules: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [PUT] /tips/pool-rules - Replace the pool { restaurant_id, rules: [{ role, weight }] }: each role earns
+  // `weight` points per hour worked. Roles left out take no share; an empty list turns pooling off.
+  router.put('/pool-rules', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    const { rules } = req.body;
+    if (!Array.isArray(rules) || !rules.every(r => r && typeof r.role === 'string' && r.role && isWeight(r.weight))) {
+      return res.status(400).json({ error: 'rules must be a list of { role, weight } with weights above 0' });
+    }
+    if (new Set(rules.map(r => r.role)).size !== rules.length) {
+      return res.status(400).json({ error: 'Each role can only appear once' });
+    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM tip_pool_rules WHERE restaurant_id = $1', [req.restaurantIds[0]]);
+      for (const r of rules) {
+        await client.query(
+          'INSERT INTO tip_pool_rules (restaurant_id, role, weight) VALUES ($1, $2, $3)',
+          [req.restaurantIds[0], r.role, r.weight]
+        );
+      }
+      await client.query('COMMIT');
+      res.json({ pool_rules: rules.map(r => ({ restaurant_id: req.restaurantIds[0], role: r.role, weight: r.weight })) });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // [GET] /tips/distributions/preview?restaurant_id=&from=&to= - How the undistributed tips of those business
+  // days would be shared, day by day and per person, without saving
+  router.get('/distributions/preview', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    try {
+      const range = await reportRange(pool, req.restaurantIds, req.query, { days: 7 });
+      res.json(withoutTipIds(await tipPool(pool, req.restaurantIds[0], range)));
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /tips/distributions - Share out the undistributed tips of business days from..to
+  // { restaurant_id, from, to }. Each person's share becomes a tips_earnings row, paid by the next payroll run.
+  router.post('/distributions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), oneRestaurant, async (req, res) => {
+    const { from, to } = req.body;
+    if (!from || !to) return res.status(400).json({ error: 'from and to are required' });
+    const client = await pool.connect();
+    let distributionId;
+    try {
+      const range = await reportRange(client, req.restaurantIds, { from, to });
+      await client.query('BEGIN');
+      distributionId = await distributeTips(client, req.restaurantIds[0], range, { employee_id: req.employee.id });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      return handleError(res, err);
+    } finally {
+      client.release();
+    }
+    try {
+      res.status(201).json({ tip_distribution: await getDistribution(pool, distributionId, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /tips/distributions?restaurant_id= - Distributions, latest first
+  router.get('/distributions', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT d.*, d.from_date::text AS from_date, d.to_date::text AS to_date, e.name AS created_by_name,
+                (SELECT COUNT(*)::int FROM tips_earnings te WHERE te.tip_distribution_id = d.id) AS employees_count
+         FROM tip_distributions d LEFT JOIN employees e ON e.id = d.created_by
+         WHERE d.restaurant_id = ANY($1) ORDER BY d.to_date DESC, d.id DESC`,
+        [req.restaurantIds]
+      );
+      res.json({ tip_distributions: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /tips/distributions/:id - A distribution with each person's share and how it was worked out
+  router.get('/distributions/:id', verifyToken, authorizeRoles('Manager'), scopeToRestaurant(), async (req, res) => {
+    try {
+      res.json({ tip_distribution: await getDistribution(pool, req.params.id, req.restaurantIds) });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [GET] /tips/me - The signed-in employee's tip shares, latest first
+  router.get('/me', verifyToken, requireStaff, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT te.id, te.restaurant_id, te.amount, te.breakdown, te.tip_distribution_id, te.payroll_id, te.created_at
+         FROM tips_earnings te WHERE te.employee_id = $1
+         ORDER BY te.created_at DESC, te.id DESC`,
+        [req.employee.id]
+      );
+      res.json({ tips_earnings: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+
+const authorizeRoles = require('../middleware/authorizeRoles');
+const scopeToRestaurant = require('../middleware/scopeToRestaurant');
+const { refreshAvailability } = require('../services/recipes');
+const { wasteReasons, logWaste } = require('../services/waste');
+const { isDate } = require('../services/reportRange');
+
+const handleError = (res, err) => err.status
+  ? res.status(err.status).json({ error: err.message, ...err.details })
+  : res.status(500).json({ error: err.message });
+
+module.exports = (pool, verifyToken) => {
+  // [GET] /waste/reasons - Reason codes accepted by the waste log
+  router.get('/reasons', verifyToken, (req, res) => {
+    res.json({ reasons: wasteReasons });
+  });
+
+  // [GET] /waste?from=&to=&reason=&restaurant_id= - Waste entries, newest first (dates are inclusive)
+  router.get('/', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender', 'Server'), scopeToRestaurant(), async (req, res) => {
+    const { from, to, reason } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    try {
+      const result = await pool.query(
+        `SELECT w.*, e.name AS employee_name
+         FROM waste_entries w
+         LEFT JOIN employees e ON e.id = w.employee_id
+         WHERE w.restaurant_id = ANY($1)
+           AND ($2::date IS NULL OR w.created_at >= $2::date)
+           AND ($3::date IS NULL OR w.created_at < $3::date + 1)
+           AND ($4::varchar IS NULL OR w.reason_code = $4)
+         ORDER BY w.created_at DESC
+         LIMIT 500`,
+        [req.restaurantIds, from || null, to || null, reason || null]
+      );
+      res.json({ waste_entries: result.rows });
+    } catch (err) {
+      handleError(res, err);
+    }
+  });
+
+  // [POST] /waste - Log waste and take it out of stock
+  // Body: { inventory_id | menu_id, quantity, unit?, reason_code, notes?, order_id? }. Menu items are wasted
+  // in portions and deplete their recipe; inventory items in `unit` (default the item's own unit).
+  router.post('/', verifyToken, authorizeRoles('Manager', 'Line Cook', 'Prep Cook', 'Bartender', 'Server'), scopeToRestaurant(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { entry, movements } = await logWaste(client, req.restaurantIds, req.body, {
+        uid: req.user.uid,
+        employee_id: req.employee.id,
+      });
+      const availability = await refreshAvailability(client, { inventoryIds: movements.map(m => m.inventory_id) });
+      await client.query('COMMIT');
+      res.status(201).json({ waste_entry: entry, movements, ...availability });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      handleError(res, err);
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,32 @@
+// Replay a fixture Stripe event against a local server, signed with STRIPE_WEBHOOK_SECRET.
+// Usage: node send-stripe-webhook.js fixtures/stripe/payment_intent.succeeded.json [pi_id]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { stripe } = require('./services/stripe');
+
+const [fixturePath, intentId] = process.argv.slice(2);
+if (!fixturePath) {
+    console.error('Usage: node send-stripe-webhook.js <fixture.json> [payment_intent_id]');
+    process.exit(1);
+}
+
+const event = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+if (intentId) {
+    event.id = `${event.id}_${Date.now()}`;
+    event.data.object.id = intentId;
+}
+const payload = JSON.stringify(event);
+const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+})
+    .then(async res => console.log(res.status, await res.text()))
+    .catch(err => console.error(err));
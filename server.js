@@ -28,7 +28,8 @@ console.log('✅ Firebase Initialized');
 // Setup Express
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+// Keep the raw bytes around for Stripe webhook signature verification
+app.use(bodyParser.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Setup PostgreSQL
@@ -66,16 +67,31 @@ const verifyToken = async (req, res, next) => {
 app.set('pool', pool);
 app.set('verifyToken', verifyToken);
 
+// Staff changes made through any route below are written to the employee activity log
+app.use('/api', require('./middleware/activityLog'));
+
 // Routes
 app.use('/api/auth', require('./routes/auth')(pool, verifyToken));
 app.use('/api/employees', require('./routes/employee')(pool, verifyToken));
 app.use('/api/inventory', require('./routes/inventory')(pool, verifyToken));
 app.use('/api/menu', require('./routes/menu')(pool, verifyToken));
 app.use('/api/orders', require('./routes/orders')(pool, verifyToken));
+app.use('/api/payments', require('./routes/payments')(pool, verifyToken));
 app.use('/api/restaurants', require('./routes/restaurants')(pool, verifyToken));
+app.use('/api/suppliers', require('./routes/suppliers')(pool, verifyToken));
 app.use('/api/reports', require('./routes/reports')(pool, verifyToken));
 app.use('/api/reservations', require('./routes/reservations')(pool, verifyToken));
 app.use('/api/notifications', require('./routes/notifications')(pool, verifyToken));
+app.use('/api/waste', require('./routes/waste')(pool, verifyToken));
+app.use('/api/payroll', require('./routes/payroll')(pool, verifyToken));
+app.use('/api/tips', require('./routes/tips')(pool, verifyToken));
+app.use('/api/time-clock', require('./routes/timeClock')(pool, verifyToken));
+
+// Scheduled report delivery (REPORT_SCHEDULER=off leaves it to another instance)
+if (process.env.REPORT_SCHEDULER !== 'off') {
+  require('./services/reportSubscriptions').startReportScheduler(pool);
+  console.log('✅ Report scheduler started');
+}
 
 // Start server
 const PORT = process.env.PORT || 3000;
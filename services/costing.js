@@ -0,0 +1,25 @@
+// File: services/costing.js
+// What a unit of an inventory item costs: the price last paid on a received purchase order,
+// otherwise the cheapest price in the supplier catalog. Items never bought or listed have no cost.
+const unitCostSelect = `
+  SELECT i.id AS inventory_id, COALESCE(last_paid.unit_cost, catalog.unit_cost) AS unit_cost
+  FROM inventory i
+  LEFT JOIN LATERAL (
+    SELECT l.pack_price / l.pack_quantity AS unit_cost
+    FROM supplier_order_lines l JOIN supplier_orders po ON po.id = l.supplier_order_id
+    WHERE l.inventory_id = i.id AND l.quantity_received > 0
+    ORDER BY COALESCE(po.received_at, po.updated_at) DESC, l.id DESC
+    LIMIT 1
+  ) last_paid ON true
+  LEFT JOIN LATERAL (
+    SELECT MIN(si.pack_price / si.pack_quantity) AS unit_cost
+    FROM supplier_items si WHERE si.inventory_id = i.id
+  ) catalog ON true`;
+
+// Map of inventory_id → cost per unit of the item (null when unknown).
+const unitCosts = async (db, inventoryIds) => {
+  const result = await db.query(`${unitCostSelect} WHERE i.id = ANY($1::int[])`, [inventoryIds]);
+  return new Map(result.rows.map(r => [r.inventory_id, r.unit_cost == null ? null : Number(r.unit_cost)]));
+};
+
+module.exports = { unitCostSelect, unitCosts };
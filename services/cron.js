@@ -0,0 +1,123 @@
+// File: services/cron.js
+// Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated on a timezone's
+// wall clock. Fields take *, lists, ranges, steps and JAN-DEC / SUN-SAT names; @hourly, @daily, @weekly,
+// @monthly and @yearly are accepted too. As in classic cron, when both day fields are restricted a day
+// matching either one matches.
+const httpError = require('./httpError');
+
+const macros = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const weekdays = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const fields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: months, base: 1 },
+  { name: 'weekday', min: 0, max: 7, names: weekdays, base: 0 },
+];
+
+const parseValue = (text, field) => {
+  const named = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = named >= 0 ? named + field.base : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) throw new Error(`invalid ${field.name} "${text}"`);
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${part}"`);
+    let [low, high] = [field.min, field.max];
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) throw new Error(`invalid ${field.name} "${part}"`);
+      low = parseValue(bounds[0], field);
+      // "5/15" means from 5 to the end of the field in steps of 15.
+      high = bounds.length === 2 ? parseValue(bounds[1], field) : stepText === undefined ? low : field.max;
+      if (low > high) throw new Error(`invalid ${field.name} range "${part}"`);
+    }
+    for (let v = low; v <= high; v += step) values.add(v);
+  }
+  // Sunday is both 0 and 7.
+  if (field.name === 'weekday' && values.has(7)) values.add(0);
+  return values;
+};
+
+// Parses an expression into { minute, hour, day, month, weekday } sets plus whether each day field was
+// restricted. Throws a 400 naming the problem.
+const parseCron = (expression) => {
+  const text = String(expression || '').trim();
+  const parts = (macros[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw httpError(400, 'schedule must be a cron expression with five fields (minute hour day month weekday)');
+  }
+  const schedule = {};
+  try {
+    fields.forEach((field, i) => { schedule[field.name] = parseField(parts[i], field); });
+  } catch (err) {
+    throw httpError(400, `schedule: ${err.message}`);
+  }
+  schedule.dayRestricted = parts[2] !== '*';
+  schedule.weekdayRestricted = parts[4] !== '*';
+  return schedule;
+};
+
+const formatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`.
+const localTime = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: weekdays.indexOf(parts.weekday.toUpperCase()),
+  };
+};
+
+const dayMatches = (schedule, t) => {
+  const byDay = schedule.day.has(t.day);
+  const byWeekday = schedule.weekday.has(t.weekday);
+  if (schedule.dayRestricted && schedule.weekdayRestricted) return byDay || byWeekday;
+  return byDay && byWeekday;
+};
+
+// The first minute strictly after `after` that the schedule fires at, or null when it doesn't fire
+// within a year (e.g. "0 0 31 2 *"). Skips whole local hours that can't match, so this stays cheap.
+const nextRun = (schedule, after, timeZone) => {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = time + 366 * 24 * 60 * 60000;
+  while (time <= limit) {
+    const t = localTime(new Date(time), timeZone);
+    if (!parsed.month.has(t.month) || !dayMatches(parsed, t) || !parsed.hour.has(t.hour)) {
+      time += (60 - t.minute) * 60000;
+    } else if (!parsed.minute.has(t.minute)) {
+      time += 60000;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+};
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,10 @@
+// File: services/httpError.js
+// Errors thrown from services carry the HTTP status the route should answer with.
+const httpError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+module.exports = httpError;
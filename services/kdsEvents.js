@@ -0,0 +1,42 @@
+// File: services/kdsEvents.js
+// Order events for kitchen screens. Each event is persisted (its id is the replay cursor)
+// and fanned out in-process to open streams for the same restaurant.
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const REPLAY_LIMIT = 500;
+
+const channel = (restaurantId) => `restaurant:${restaurantId}`;
+
+// db may be a transaction client; call publish() with the returned row only after COMMIT.
+const recordEvent = async (db, type, order, payload = {}) => {
+  const result = await db.query(
+    `INSERT INTO kds_events (restaurant_id, order_id, type, payload)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [order.restaurant_id, order.id, type, JSON.stringify({ order, ...payload })]
+  );
+  return result.rows[0];
+};
+
+const publish = (event) => {
+  if (event) bus.emit(channel(event.restaurant_id), event);
+};
+
+const emitOrderEvent = async (db, type, order, payload) => publish(await recordEvent(db, type, order, payload));
+
+const eventsSince = async (db, restaurantId, cursor) => {
+  const result = await db.query(
+    'SELECT * FROM kds_events WHERE restaurant_id = $1 AND id > $2 ORDER BY id ASC LIMIT $3',
+    [restaurantId, cursor, REPLAY_LIMIT]
+  );
+  return result.rows;
+};
+
+const subscribe = (restaurantId, listener) => {
+  bus.on(channel(restaurantId), listener);
+  return () => bus.off(channel(restaurantId), listener);
+};
+
+module.exports = { recordEvent, publish, emitOrderEvent, eventsSince, subscribe, REPLAY_LIMIT };
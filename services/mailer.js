@@ -0,0 +1,54 @@
+// File: services/mailer.js
+// Outgoing email through a pluggable transport, picked with MAIL_TRANSPORT:
+//   smtp - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (a mailcatcher is just an SMTP
+//          server, e.g. SMTP_HOST=localhost SMTP_PORT=1025)
+//   file - writes each message as an .eml file under MAIL_DIR (default ./mail), for development
+// Anything else with a nodemailer-style sendMail(message) can be plugged in with setTransport.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const smtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+});
+
+const fileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail')) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    sendMail: async (message) => {
+      const info = await builder.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    },
+  };
+};
+
+const transports = { smtp: smtpTransport, file: fileTransport };
+
+let transport = null;
+
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'smtp';
+    if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Sends { to, subject, text, attachments } from MAIL_FROM; resolves with the transport's info.
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'Dine Reports <reports@localhost>',
+  ...message,
+});
+
+module.exports = { transports, setTransport, sendMail };
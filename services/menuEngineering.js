@@ -0,0 +1,131 @@
+// File: services/menuEngineering.js
+// Menu engineering: sales, theoretical food cost and contribution margin per menu item, with the
+// Kasavana–Smith classification (star, plowhorse, puzzle, dog) worked out per restaurant.
+const { unitCostSelect } = require('./costing');
+const { reportSql, countsAsSale } = require('./reportRange');
+const { roundMoney } = require('./pricing');
+
+// An item is popular when its share of units sold reaches 70% of an equal share of the menu.
+const POPULARITY_FACTOR = 0.7;
+
+const classes = {
+  'true:true': 'star',
+  'true:false': 'plowhorse',
+  'false:true': 'puzzle',
+  'false:false': 'dog',
+};
+
+// Food cost is theoretical: recipe quantities (of the item and of the modifiers ordered with it)
+// at today's unit costs. Cancelled orders are left out.
+const itemSales = async (db, restaurantIds, range) => {
+  const sql = reportSql(range, 1);
+  const result = await db.query(
+    `WITH costs AS (${unitCostSelect} WHERE i.restaurant_id = ANY($1)),
+     recipe_cost AS (
+       SELECT r.menu_id, r.modifier_id, SUM(r.quantity * c.unit_cost) AS cost,
+              BOOL_AND(c.unit_cost IS NOT NULL) AS complete
+       FROM recipe_items r JOIN costs c ON c.inventory_id = r.inventory_id
+       GROUP BY r.menu_id, r.modifier_id
+     ),
+     sold AS (
+       SELECT oi.menu_id, SUM(oi.quantity) AS units, SUM(oi.price * oi.quantity) AS revenue,
+              SUM(oi.quantity * COALESCE(mods.cost, 0)) AS modifier_cost,
+              BOOL_AND(COALESCE(mods.complete, true)) AS modifiers_complete
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       JOIN restaurants r ON r.id = o.restaurant_id
+       LEFT JOIN LATERAL (
+         SELECT SUM(mc.cost) AS cost, BOOL_AND(mc.complete) AS complete
+         FROM jsonb_array_elements(COALESCE(oi.modifiers, '[]'::jsonb)) AS mod
+         JOIN recipe_cost mc ON mc.modifier_id = (mod->>'id')::int
+       ) mods ON true
+       WHERE o.restaurant_id = ANY($1) AND ${countsAsSale} AND ${sql.inRange('o.created_at')}
+       GROUP BY oi.menu_id
+     )
+     SELECT m.id AS menu_id, m.restaurant_id, r.name AS restaurant_name, m.name, m.category, m.price, m.available,
+            COALESCE(s.units, 0) AS units, COALESCE(s.revenue, 0) AS revenue,
+            COALESCE(rc.cost, 0) AS recipe_cost, COALESCE(s.modifier_cost, 0) AS modifier_cost,
+            COALESCE(rc.complete, false) AND COALESCE(s.modifiers_complete, true) AS costed
+     FROM menu m
+     JOIN restaurants r ON r.id = m.restaurant_id
+     LEFT JOIN sold s ON s.menu_id = m.id
+     LEFT JOIN recipe_cost rc ON rc.menu_id = m.id
+     WHERE m.restaurant_id = ANY($1)
+     ORDER BY m.restaurant_id, m.name`,
+    [restaurantIds, ...sql.params]
+  );
+  return result.rows;
+};
+
+const engineer = (restaurantId, restaurantName, rows) => {
+  const items = rows.map(row => {
+    const units = Number(row.units);
+    const revenue = roundMoney(Number(row.revenue));
+    const recipeCost = Number(row.recipe_cost);
+    const foodCost = roundMoney(units * recipeCost + Number(row.modifier_cost));
+    // Unsold items are judged on their list price and recipe so they can still be classified.
+    const unitPrice = units > 0 ? revenue / units : Number(row.price || 0);
+    const unitCost = units > 0 ? foodCost / units : recipeCost;
+    return {
+      menu_id: row.menu_id,
+      name: row.name,
+      category: row.category,
+      available: row.available,
+      units,
+      revenue,
+      food_cost: foodCost,
+      margin: roundMoney(revenue - foodCost),
+      average_price: roundMoney(unitPrice),
+      unit_food_cost: roundMoney(unitCost),
+      contribution_margin: roundMoney(unitPrice - unitCost),
+      food_cost_pct: revenue > 0 ? roundMoney((foodCost / revenue) * 100) : null,
+      food_cost_complete: row.costed,
+    };
+  });
+
+  const units = items.reduce((sum, i) => sum + i.units, 0);
+  const revenue = roundMoney(items.reduce((sum, i) => sum + i.revenue, 0));
+  const foodCost = roundMoney(items.reduce((sum, i) => sum + i.food_cost, 0));
+  const thresholds = items.length && units > 0
+    ? {
+      popularity_pct: roundMoney((100 / items.length) * POPULARITY_FACTOR),
+      contribution_margin: roundMoney((revenue - foodCost) / units),
+    }
+    : null;
+
+  for (const item of items) {
+    item.menu_mix_pct = units > 0 ? roundMoney((item.units / units) * 100) : 0;
+    item.classification = thresholds
+      ? classes[`${item.menu_mix_pct >= thresholds.popularity_pct}:${item.contribution_margin >= thresholds.contribution_margin}`]
+      : null;
+  }
+  items.sort((a, b) => b.margin - a.margin || a.name.localeCompare(b.name));
+
+  return {
+    restaurant_id: restaurantId,
+    restaurant_name: restaurantName,
+    totals: {
+      items: items.length,
+      units,
+      revenue,
+      food_cost: foodCost,
+      margin: roundMoney(revenue - foodCost),
+      food_cost_pct: revenue > 0 ? roundMoney((foodCost / revenue) * 100) : null,
+    },
+    thresholds,
+    items,
+  };
+};
+
+// range comes from reportRange. One section per restaurant that has menu items.
+const menuEngineering = async (db, restaurantIds, range) => {
+  const rows = await itemSales(db, restaurantIds, range);
+  const byRestaurant = new Map();
+  for (const row of rows) {
+    if (!byRestaurant.has(row.restaurant_id)) byRestaurant.set(row.restaurant_id, { name: row.restaurant_name, rows: [] });
+    byRestaurant.get(row.restaurant_id).rows.push(row);
+  }
+  return [...byRestaurant].map(([id, { name, rows: items }]) => engineer(id, name, items));
+};
+
+module.exports = { POPULARITY_FACTOR, menuEngineering };
@@ -0,0 +1,36 @@
+// File: services/notifications.js
+// Push delivery through Firebase Cloud Messaging, shared by /notifications/push and
+// anything that alerts a user (waitlist, schedules).
+const admin = require('firebase-admin');
+
+// Resolves false when the user has no registered device.
+const sendPush = async (db, userId, title, message, data) => {
+  const result = await db.query('SELECT device_token FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0 || !result.rows[0].device_token) return false;
+
+  await admin.messaging().send({
+    token: result.rows[0].device_token,
+    notification: { title, body: message },
+    data,
+  });
+  return true;
+};
+
+// Stores the notification for the in-app inbox and pushes it when a device is registered.
+// Push failures are reported, not thrown, so callers' state changes still go through.
+const notifyUser = async (db, userId, title, message, data) => {
+  const stored = await db.query(
+    'INSERT INTO notifications (user_id, title, message) VALUES ($1, $2, $3) RETURNING *',
+    [userId, title, message]
+  );
+  let pushed = false;
+  let pushError = null;
+  try {
+    pushed = await sendPush(db, userId, title, message, data);
+  } catch (err) {
+    pushError = err.message;
+  }
+  return { notification: stored.rows[0], pushed, push_error: pushError };
+};
+
+module.exports = { sendPush, notifyUser };
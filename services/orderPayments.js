@@ -0,0 +1,75 @@
+// File: services/orderPayments.js
+// What leaving the kitchen flow does to an order's payments. Cancelling cancels any card payment the
+// customer hasn't completed. Refunding hands cash back straight away, but a completed card payment is
+// refunded through Stripe and the order only becomes Refunded once Stripe confirms it (charge.refunded).
+const { cancelPaymentIntent, refundPaymentIntent } = require('./stripe');
+const { canTransition, changeOrderStatus } = require('./orderStatus');
+const { settleCardTips } = require('./tips');
+
+// Call inside the transaction that cancels the order, after its own changes, so a Stripe failure rolls
+// them back.
+const cancelOpenPayments = async (client, orderId) => {
+  const open = await client.query(
+    `SELECT id, stripe_payment_intent_id FROM payments
+     WHERE order_id = $1 AND stripe_payment_intent_id IS NOT NULL AND status IN ('pending', 'failed') FOR UPDATE`,
+    [orderId]
+  );
+  for (const payment of open.rows) {
+    await client.query("UPDATE payments SET status = 'canceled', updated_at = NOW() WHERE id = $1", [payment.id]);
+    await settleCardTips(client, payment.id, 'canceled');
+  }
+  for (const payment of open.rows) await cancelPaymentIntent(payment.stripe_payment_intent_id);
+  return open.rows.length;
+};
+
+// Asks Stripe to refund the order's completed card payment. Returns false when there is none (unpaid or
+// paid in cash), in which case the order can be marked Refunded right away. Call inside a transaction.
+const requestCardRefund = async (client, order, actor = {}) => {
+  const paid = await client.query(
+    `SELECT id, stripe_payment_intent_id FROM payments
+     WHERE order_id = $1 AND stripe_payment_intent_id IS NOT NULL AND status = 'succeeded' FOR UPDATE`,
+    [order.id]
+  );
+  if (paid.rowCount === 0) return false;
+  await client.query("UPDATE orders SET payment_status = 'refund_pending', updated_at = NOW() WHERE id = $1", [order.id]);
+  for (const payment of paid.rows) {
+    const refund = await refundPaymentIntent(payment.stripe_payment_intent_id, order.id);
+    await client.query(
+      'UPDATE payments SET stripe_refund_id = $2, refund_requested_by = $3, updated_at = NOW() WHERE id = $1',
+      [payment.id, refund.id, actor.employee_id || null]
+    );
+  }
+  return true;
+};
+
+// Cash handed back when an order without a card payment is refunded.
+const refundCashPayments = async (client, orderId) => {
+  const refunded = await client.query(
+    "UPDATE payments SET status = 'refunded', updated_at = NOW() WHERE order_id = $1 AND method = 'cash' AND status = 'succeeded'",
+    [orderId]
+  );
+  if (refunded.rowCount > 0) {
+    await client.query("UPDATE orders SET payment_status = 'refunded', updated_at = NOW() WHERE id = $1", [orderId]);
+  }
+};
+
+// Applies Stripe's confirmation of a full refund: the payment is refunded and the order moves to Refunded
+// when its status allows (refunds made from the Stripe dashboard may arrive for orders still in the
+// kitchen; those keep their status). Returns the status change, if any. Call inside a transaction.
+const confirmCardRefund = async (client, intentId) => {
+  const payment = await client.query(
+    `UPDATE payments SET status = 'refunded', updated_at = NOW()
+     WHERE stripe_payment_intent_id = $1 AND status = 'succeeded' RETURNING order_id, refund_requested_by`,
+    [intentId]
+  );
+  if (payment.rowCount === 0) return null;
+  const { order_id: orderId, refund_requested_by: employeeId } = payment.rows[0];
+  const order = await client.query(
+    "UPDATE orders SET payment_status = 'refunded', updated_at = NOW() WHERE id = $1 RETURNING status",
+    [orderId]
+  );
+  if (order.rowCount === 0 || !canTransition(order.rows[0].status, 'Refunded')) return null;
+  return changeOrderStatus(client, orderId, 'Refunded', { employee_id: employeeId, note: 'Refund confirmed by Stripe' });
+};
+
+module.exports = { cancelOpenPayments, requestCardRefund, refundCashPayments, confirmCardRefund };
@@ -0,0 +1,61 @@
+// File: services/orderStatus.js
+const httpError = require('./httpError');
+const { restockOrder } = require('./recipes');
+
+// Kitchen flow is forward-only apart from Ready → Preparing when a station ticket is recalled;
+// Cancelled/Refunded are the only exits.
+const transitions = {
+  Pending: ['Preparing', 'Cancelled'],
+  Preparing: ['Ready', 'Cancelled'],
+  Ready: ['Served', 'Preparing', 'Cancelled'],
+  Served: ['Completed'],
+  Completed: ['Refunded'],
+  Cancelled: ['Refunded'],
+  Refunded: [],
+};
+
+const statuses = Object.keys(transitions);
+
+const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+const recordStatus = (db, orderId, fromStatus, toStatus, actor = {}) =>
+  db.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, employee_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [orderId, fromStatus, toStatus, actor.uid || null, actor.employee_id || null, actor.note || null]
+  );
+
+// Must run inside a transaction: the order row is locked so concurrent bumps cannot skip a step.
+// Cancelling puts the order's ingredients back into stock.
+// actor: { uid, employee_id, note }
+const changeOrderStatus = async (client, orderId, toStatus, actor) => {
+  const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  if (current.rowCount === 0) throw httpError(404, 'Order not found');
+
+  const fromStatus = current.rows[0].status;
+  if (!canTransition(fromStatus, toStatus)) {
+    throw httpError(409, `Cannot change order from ${fromStatus} to ${toStatus}`, {
+      allowed: transitions[fromStatus] || [],
+    });
+  }
+
+  if (toStatus === 'Ready') {
+    const open = await client.query(
+      "SELECT COUNT(*)::int AS open FROM station_tickets WHERE order_id = $1 AND status = 'Open'",
+      [orderId]
+    );
+    if (open.rows[0].open > 0) {
+      throw httpError(409, 'Order cannot be Ready until all station tickets are bumped', { open_tickets: open.rows[0].open });
+    }
+  }
+
+  const updated = await client.query(
+    'UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [toStatus, orderId]
+  );
+  await recordStatus(client, orderId, fromStatus, toStatus, actor);
+  if (toStatus === 'Cancelled') await restockOrder(client, orderId);
+  return { order: updated.rows[0], from: fromStatus };
+};
+
+module.exports = { transitions, statuses, canTransition, recordStatus, changeOrderStatus };
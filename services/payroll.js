@@ -0,0 +1,363 @@
+// File: services/payroll.js
+// Payroll runs. A run pays one restaurant's staff for one pay period: hours come from the timesheets
+// (regular and overtime, see timeClock), pay from each employee's rate in effect on the period's last day,
+// plus tips not yet paid out. Deductions and tax tables are set per restaurant. The payroll rows a run
+// writes, each with its pay stub, are never changed afterwards; the database refuses to.
+const httpError = require('./httpError');
+const { isDate, addDays, businessToday } = require('./reportRange');
+const { roundMoney } = require('./pricing');
+const { timesheets } = require('./timeClock');
+const { notifyUser } = require('./notifications');
+
+// Pay periods per year.
+const frequencies = { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12 };
+
+const lastOfMonth = (date) => {
+  const d = new Date(`${date.slice(0, 7)}-01T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + 1, 0);
+  return d.toISOString().slice(0, 10);
+};
+
+// The pay period starting on `start`. Weekly and biweekly periods may start on any day; semimonthly ones
+// start on the 1st or the 16th, monthly ones on the 1st.
+const payPeriod = (frequency, start) => {
+  if (!isDate(start)) throw httpError(400, 'period_start must be a date (YYYY-MM-DD)');
+  const day = Number(start.slice(8));
+  if (frequency === 'weekly') return { start, end: addDays(start, 6) };
+  if (frequency === 'biweekly') return { start, end: addDays(start, 13) };
+  if (frequency === 'semimonthly') {
+    if (day === 1) return { start, end: `${start.slice(0, 8)}15` };
+    if (day === 16) return { start, end: lastOfMonth(start) };
+    throw httpError(400, 'Semimonthly pay periods start on the 1st or the 16th');
+  }
+  if (day !== 1) throw httpError(400, 'Monthly pay periods start on the 1st');
+  return { start, end: lastOfMonth(start) };
+};
+
+// Yearly tax on `annual` pay from one table of brackets sorted by threshold.
+const bracketTax = (brackets, annual) => brackets.reduce((sum, bracket, i) => {
+  const upper = i + 1 < brackets.length ? brackets[i + 1].threshold : Infinity;
+  return sum + Math.max(0, Math.min(annual, upper) - bracket.threshold) * bracket.rate;
+}, 0);
+
+// Deduction amounts, never taking pay below zero.
+const deduct = (deductions, gross, available) => deductions.map((d) => {
+  const wanted = d.calculation === 'Percent' ? (gross * Number(d.amount)) / 100 : Number(d.amount);
+  const amount = roundMoney(Math.min(wanted, available));
+  available -= amount;
+  return { name: d.name, pre_tax: d.pre_tax, amount };
+});
+
+const sum = (lines) => roundMoney(lines.reduce((total, line) => total + line.amount, 0));
+
+const loadRestaurant = async (db, restaurantId, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, name, timezone, pay_frequency, overtime_multiplier::float AS overtime_multiplier
+     FROM restaurants WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [restaurantId]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Restaurant not found');
+  return result.rows[0];
+};
+
+// Works out everyone's pay for the restaurant's period starting on periodStart, without saving anything.
+// Salaried staff are paid while on staff; everyone else when they have hours or tips to be paid.
+// Employees who need paying but have no pay rate are listed in missing_rates, and anyone still
+// clocked in during the period in open_entries.
+const calculatePayroll = async (db, restaurantId, periodStart, { lock = false } = {}) => {
+  const restaurant = await loadRestaurant(db, restaurantId, { lock });
+  const periodsPerYear = frequencies[restaurant.pay_frequency];
+  const period = payPeriod(restaurant.pay_frequency, periodStart);
+
+  const [sheets, rates, tips, deductions, brackets] = await Promise.all([
+    timesheets(db, [restaurantId], { from: period.start, to: period.end }),
+    db.query(
+      `SELECT DISTINCT ON (p.employee_id) p.employee_id, p.pay_type, p.rate::float AS rate
+       FROM employee_pay_rates p
+       WHERE p.restaurant_id = $1 AND p.effective_from <= $2
+       ORDER BY p.employee_id, p.effective_from DESC`,
+      [restaurantId, period.end]
+    ),
+    db.query(
+      `SELECT te.id, te.employee_id, te.amount::float AS amount
+       FROM tips_earnings te
+       WHERE te.payroll_id IS NULL
+         AND (te.restaurant_id = $1 OR (te.restaurant_id IS NULL AND EXISTS (
+               SELECT 1 FROM employee_restaurants er WHERE er.employee_id = te.employee_id AND er.restaurant_id = $1)))
+         AND (te.created_at::timestamptz AT TIME ZONE $3::varchar)::date <= $2`,
+      [restaurantId, period.end, restaurant.timezone]
+    ),
+    db.query('SELECT * FROM payroll_deductions WHERE restaurant_id = $1 AND active ORDER BY id ASC', [restaurantId]),
+    db.query(
+      'SELECT tax_name, threshold::float AS threshold, rate::float AS rate FROM payroll_tax_brackets WHERE restaurant_id = $1 ORDER BY tax_name ASC, threshold ASC',
+      [restaurantId]
+    ),
+  ]);
+
+  const rateOf = new Map(rates.rows.map(r => [r.employee_id, r]));
+  const sheetOf = new Map(sheets.map(s => [s.employee_id, s]));
+  const tipsOf = new Map();
+  for (const tip of tips.rows) tipsOf.set(tip.employee_id, [...(tipsOf.get(tip.employee_id) || []), tip]);
+  const taxTables = new Map();
+  for (const b of brackets.rows) taxTables.set(b.tax_name, [...(taxTables.get(b.tax_name) || []), b]);
+
+  const staff = await db.query(
+    `SELECT e.id, e.name, e.role, e.status IS NOT FALSE AND EXISTS (
+       SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id AND er.restaurant_id = $2) AS on_staff
+     FROM employees e WHERE e.id = ANY($1) ORDER BY e.name ASC, e.id ASC`,
+    [[...new Set([...rateOf.keys(), ...sheetOf.keys(), ...tipsOf.keys()])], restaurantId]
+  );
+
+  const lines = [];
+  const missingRates = [];
+  for (const employee of staff.rows) {
+    const rate = rateOf.get(employee.id);
+    const sheet = sheetOf.get(employee.id);
+    const theirTips = tipsOf.get(employee.id) || [];
+    const hours = sheet ? sheet.totals : { regular_hours: 0, overtime_hours: 0 };
+    const salaried = rate && rate.pay_type === 'Salary';
+    if (!(salaried && employee.on_staff) && !hours.regular_hours && !hours.overtime_hours && !theirTips.length) continue;
+    if (!rate) {
+      missingRates.push({ employee_id: employee.id, name: employee.name });
+      continue;
+    }
+
+    const regularPay = salaried ? 0 : roundMoney(hours.regular_hours * rate.rate);
+    const overtimePay = salaried ? 0 : roundMoney(hours.overtime_hours * rate.rate * restaurant.overtime_multiplier);
+    const salaryPay = salaried && employee.on_staff ? roundMoney(rate.rate / periodsPerYear) : 0;
+    const tipsPay = sum(theirTips);
+    const gross = roundMoney(regularPay + overtimePay + salaryPay + tipsPay);
+
+    const preTax = deduct(deductions.rows.filter(d => d.pre_tax), gross, gross);
+    const taxable = roundMoney(gross - sum(preTax));
+    let untaxed = taxable;
+    const taxes = [...taxTables].map(([name, table]) => {
+      const amount = roundMoney(Math.min(bracketTax(table, taxable * periodsPerYear) / periodsPerYear, untaxed));
+      untaxed -= amount;
+      return { name, amount };
+    });
+    const postTax = deduct(deductions.rows.filter(d => !d.pre_tax), gross, roundMoney(taxable - sum(taxes)));
+
+    lines.push({
+      employee_id: employee.id,
+      name: employee.name,
+      role: employee.role,
+      pay_type: rate.pay_type,
+      rate: rate.rate,
+      regular_hours: hours.regular_hours,
+      overtime_hours: hours.overtime_hours,
+      regular_pay: regularPay,
+      overtime_pay: overtimePay,
+      salary_pay: salaryPay,
+      tips: tipsPay,
+      gross_salary: gross,
+      pre_tax_deductions: sum(preTax),
+      taxable_pay: taxable,
+      taxes: sum(taxes),
+      post_tax_deductions: sum(postTax),
+      net_salary: roundMoney(taxable - sum(taxes) - sum(postTax)),
+      deductions: [...preTax, ...postTax],
+      tax_lines: taxes,
+      tip_ids: theirTips.map(t => t.id),
+    });
+  }
+
+  return {
+    restaurant: { id: restaurant.id, name: restaurant.name, timezone: restaurant.timezone },
+    period: { ...period, pay_frequency: restaurant.pay_frequency },
+    overtime_multiplier: restaurant.overtime_multiplier,
+    lines,
+    missing_rates: missingRates,
+    open_entries: sheets.filter(s => s.totals.open_entries).map(s => ({ employee_id: s.employee_id, name: s.name })),
+    totals: {
+      employees: lines.length,
+      gross: roundMoney(lines.reduce((total, l) => total + l.gross_salary, 0)),
+      net: roundMoney(lines.reduce((total, l) => total + l.net_salary, 0)),
+    },
+  };
+};
+
+// The pay stub as issued: earnings, deductions and taxes, and year-to-date totals at the restaurant.
+const payStub = (calc, line, runId, ytd) => {
+  const earnings = line.pay_type === 'Salary'
+    ? [{ description: 'Salary', hours: line.regular_hours + line.overtime_hours, rate: null, amount: line.salary_pay }]
+    : [{ description: 'Regular', hours: line.regular_hours, rate: line.rate, amount: line.regular_pay }];
+  if (line.overtime_hours && line.pay_type === 'Hourly') {
+    earnings.push({
+      description: 'Overtime', hours: line.overtime_hours, rate: roundMoney(line.rate * calc.overtime_multiplier), amount: line.overtime_pay,
+    });
+  }
+  if (line.tips) earnings.push({ description: 'Tips', hours: null, rate: null, amount: line.tips });
+  return {
+    payroll_run_id: runId,
+    employee: { id: line.employee_id, name: line.name, role: line.role },
+    restaurant: { id: calc.restaurant.id, name: calc.restaurant.name },
+    period: calc.period,
+    pay_type: line.pay_type,
+    earnings,
+    deductions: line.deductions,
+    taxes: line.tax_lines,
+    gross_pay: line.gross_salary,
+    taxable_pay: line.taxable_pay,
+    net_pay: line.net_salary,
+    year_to_date: {
+      gross_pay: roundMoney(ytd.gross + line.gross_salary),
+      taxes: roundMoney(ytd.taxes + line.taxes),
+      net_pay: roundMoney(ytd.net + line.net_salary),
+    },
+  };
+};
+
+// Runs payroll for the period and writes it: the run, one payroll row (with its pay stub) per employee,
+// and the tips it pays out. The period must have ended, not overlap an earlier run, and leave nobody
+// without a pay rate or still clocked in. Call inside a transaction.
+const createPayrollRun = async (client, restaurantId, periodStart, actor = {}) => {
+  const calc = await calculatePayroll(client, restaurantId, periodStart, { lock: true });
+  const { period } = calc;
+  if (period.end >= businessToday(calc.restaurant.timezone)) throw httpError(400, "The pay period hasn't ended yet");
+  const overlapping = await client.query(
+    'SELECT id FROM payroll_runs WHERE restaurant_id = $1 AND period_start <= $3 AND period_end >= $2',
+    [restaurantId, period.start, period.end]
+  );
+  if (overlapping.rowCount) {
+    throw httpError(409, `The period overlaps payroll run #${overlapping.rows[0].id}`, { payroll_run_id: overlapping.rows[0].id });
+  }
+  if (calc.missing_rates.length) throw httpError(409, 'Some employees have no pay rate', { missing_rates: calc.missing_rates });
+  if (calc.open_entries.length) {
+    throw httpError(409, 'Some employees are still clocked in during the period', { open_entries: calc.open_entries });
+  }
+  if (calc.lines.length === 0) throw httpError(409, 'Nobody is due pay for this period');
+
+  const run = await client.query(
+    `INSERT INTO payroll_runs (restaurant_id, period_start, period_end, pay_frequency, employees_count, gross_total, net_total, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+    [restaurantId, period.start, period.end, period.pay_frequency, calc.lines.length, calc.totals.gross, calc.totals.net,
+      actor.employee_id || null]
+  );
+  const runId = run.rows[0].id;
+  for (const line of calc.lines) {
+    const ytd = await client.query(
+      `SELECT COALESCE(SUM(gross_salary), 0)::float AS gross, COALESCE(SUM(taxes), 0)::float AS taxes,
+              COALESCE(SUM(net_salary), 0)::float AS net
+       FROM payroll
+       WHERE employee_id = $1 AND restaurant_id = $2 AND payroll_run_id IS NOT NULL
+         AND date_part('year', period_end) = date_part('year', $3::date)`,
+      [line.employee_id, restaurantId, period.end]
+    );
+    const inserted = await client.query(
+      `INSERT INTO payroll (employee_id, pay_period, gross_salary, net_salary, payroll_run_id, restaurant_id, period_start,
+         period_end, pay_type, rate, regular_hours, overtime_hours, regular_pay, overtime_pay, salary_pay, tips,
+         pre_tax_deductions, taxable_pay, taxes, post_tax_deductions, stub)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21) RETURNING id`,
+      [line.employee_id, `${period.start} to ${period.end}`, line.gross_salary, line.net_salary, runId, restaurantId,
+        period.start, period.end, line.pay_type, line.rate, line.regular_hours, line.overtime_hours, line.regular_pay,
+        line.overtime_pay, line.salary_pay, line.tips, line.pre_tax_deductions, line.taxable_pay, line.taxes,
+        line.post_tax_deductions, payStub(calc, line, runId, ytd.rows[0])]
+    );
+    if (line.tip_ids.length) {
+      await client.query('UPDATE tips_earnings SET payroll_id = $1 WHERE id = ANY($2)', [inserted.rows[0].id, line.tip_ids]);
+    }
+  }
+  return runId;
+};
+
+const runSelect = `SELECT pr.*, pr.period_start::text AS period_start, pr.period_end::text AS period_end, e.name AS created_by_name
+  FROM payroll_runs pr LEFT JOIN employees e ON e.id = pr.created_by`;
+const payrollColumns = `p.*, p.period_start::text AS period_start, p.period_end::text AS period_end, e.name AS employee_name`;
+
+const listPayrollRuns = async (db, restaurantIds) => {
+  const result = await db.query(
+    `${runSelect} WHERE pr.restaurant_id = ANY($1) ORDER BY pr.period_start DESC, pr.id DESC`,
+    [restaurantIds]
+  );
+  return result.rows;
+};
+
+const getPayrollRun = async (db, id, restaurantIds) => {
+  const run = await db.query(`${runSelect} WHERE pr.id = $1 AND pr.restaurant_id = ANY($2)`, [id, restaurantIds]);
+  if (run.rowCount === 0) throw httpError(404, 'Payroll run not found');
+  const rows = await db.query(
+    `SELECT ${payrollColumns} FROM payroll p JOIN employees e ON e.id = p.employee_id
+     WHERE p.payroll_run_id = $1 ORDER BY e.name ASC`,
+    [id]
+  );
+  return { ...run.rows[0], payroll: rows.rows };
+};
+
+// One payroll row from a run (with its stub). Pass employeeId to only find that employee's rows.
+const getPayStub = async (db, payrollId, { restaurantIds = null, employeeId = null } = {}) => {
+  const result = await db.query(
+    `SELECT ${payrollColumns} FROM payroll p JOIN employees e ON e.id = p.employee_id
+     WHERE p.id = $1 AND p.payroll_run_id IS NOT NULL
+       AND ($2::int[] IS NULL OR p.restaurant_id = ANY($2)) AND ($3::int IS NULL OR p.employee_id = $3)`,
+    [payrollId, restaurantIds, employeeId]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Pay stub not found');
+  return result.rows[0];
+};
+
+// The stub laid out as export tables (see reportExport).
+const stubTables = (stub) => [
+  {
+    name: 'Earnings',
+    columns: [['description', 'Earnings'], ['hours', 'Hours'], ['rate', 'Rate'], ['amount', 'Amount']],
+    rows: stub.earnings,
+  },
+  {
+    name: 'Deductions and taxes',
+    columns: [['name', 'Item'], ['kind', 'Type'], ['amount', 'Amount']],
+    rows: [
+      ...stub.deductions.map(d => ({ ...d, kind: d.pre_tax ? 'Pre-tax deduction' : 'Deduction' })),
+      ...stub.taxes.map(t => ({ ...t, kind: 'Tax' })),
+    ],
+  },
+  {
+    name: 'Summary',
+    columns: [['item', ''], ['current', 'This period'], ['year_to_date', 'Year to date']],
+    rows: [
+      { item: 'Gross pay', current: stub.gross_pay, year_to_date: stub.year_to_date.gross_pay },
+      { item: 'Taxable pay', current: stub.taxable_pay, year_to_date: null },
+      { item: 'Taxes', current: roundMoney(stub.taxes.reduce((total, t) => total + t.amount, 0)), year_to_date: stub.year_to_date.taxes },
+      { item: 'Net pay', current: stub.net_pay, year_to_date: stub.year_to_date.net_pay },
+    ],
+  },
+];
+
+// Lets each employee paid by the run know their pay stub is ready.
+const notifyPayStubs = async (db, runId) => {
+  const rows = await db.query(
+    `SELECT p.id, p.employee_id, p.net_salary, p.period_start::text AS period_start, p.period_end::text AS period_end,
+            e.user_id, r.name AS restaurant_name
+     FROM payroll p JOIN employees e ON e.id = p.employee_id JOIN restaurants r ON r.id = p.restaurant_id
+     WHERE p.payroll_run_id = $1`,
+    [runId]
+  );
+  const notices = [];
+  for (const row of rows.rows) {
+    if (!row.user_id) {
+      notices.push({ employee_id: row.employee_id, pushed: false, push_error: 'No linked user account' });
+      continue;
+    }
+    const notice = await notifyUser(
+      db,
+      row.user_id,
+      'Pay stub ready',
+      `Your pay from ${row.restaurant_name} for ${row.period_start} to ${row.period_end}: ${Number(row.net_salary).toFixed(2)} net.`,
+      { type: 'pay_stub', payroll_id: String(row.id), payroll_run_id: String(runId) }
+    );
+    notices.push({ employee_id: row.employee_id, pushed: notice.pushed, push_error: notice.push_error });
+  }
+  return notices;
+};
+
+module.exports = {
+  frequencies,
+  payPeriod,
+  calculatePayroll,
+  createPayrollRun,
+  listPayrollRuns,
+  getPayrollRun,
+  getPayStub,
+  stubTables,
+  notifyPayStubs,
+};
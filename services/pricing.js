@@ -0,0 +1,71 @@
+// File: services/pricing.js
+// Prices an order from the menu and menu_modifiers tables; client-sent prices are never trusted.
+const httpError = require('./httpError');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeItems = (items) => items.map((item, index) => {
+  const modifierIds = item.modifier_ids || [];
+  if (!Number.isInteger(item.menu_id) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+    throw httpError(400, `Item ${index} needs an integer menu_id and a positive integer quantity`);
+  }
+  if (!Array.isArray(modifierIds) || !modifierIds.every(Number.isInteger)) {
+    throw httpError(400, `Item ${index} modifier_ids must be an array of integers`);
+  }
+  return { menu_id: item.menu_id, quantity: item.quantity, modifier_ids: modifierIds };
+});
+
+// db may be the pool or a client inside an open transaction.
+const quoteOrder = async (db, restaurantId, rawItems) => {
+  if (rawItems.length === 0) throw httpError(400, 'Order must contain at least one item');
+  const items = normalizeItems(rawItems);
+
+  const menuIds = [...new Set(items.map(i => i.menu_id))];
+  const menuResult = await db.query(
+    'SELECT id, name, price, available FROM menu WHERE restaurant_id = $1 AND id = ANY($2::int[])',
+    [restaurantId, menuIds]
+  );
+  const menu = new Map(menuResult.rows.map(m => [m.id, m]));
+
+  const missing = menuIds.filter(id => !menu.has(id));
+  if (missing.length) throw httpError(400, 'Menu items not found for this restaurant', { menu_ids: missing });
+
+  const unavailable = menuIds.filter(id => menu.get(id).available === false);
+  if (unavailable.length) throw httpError(409, 'Some menu items are unavailable', { menu_ids: unavailable });
+
+  const modifierIds = [...new Set(items.flatMap(i => i.modifier_ids))];
+  const modifierResult = modifierIds.length
+    ? await db.query('SELECT id, menu_id, name, price FROM menu_modifiers WHERE id = ANY($1::int[])', [modifierIds])
+    : { rows: [] };
+  const modifiers = new Map(modifierResult.rows.map(m => [m.id, m]));
+
+  const lines = items.map(item => {
+    const menuItem = menu.get(item.menu_id);
+    const selected = item.modifier_ids.map(id => {
+      const modifier = modifiers.get(id);
+      if (!modifier || modifier.menu_id !== item.menu_id) {
+        throw httpError(400, `Modifier ${id} does not apply to menu item ${item.menu_id}`);
+      }
+      return { id: modifier.id, name: modifier.name, price: Number(modifier.price) };
+    });
+    const unitPrice = roundMoney(Number(menuItem.price) + selected.reduce((sum, m) => sum + m.price, 0));
+    return {
+      menu_id: item.menu_id,
+      name: menuItem.name,
+      quantity: item.quantity,
+      base_price: Number(menuItem.price),
+      modifiers: selected,
+      unit_price: unitPrice,
+      line_total: roundMoney(unitPrice * item.quantity),
+    };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+  return { items: lines, subtotal, total: subtotal };
+};
+
+// A client-supplied total is optional, but when present it must match the server quote to the cent.
+const matchesQuote = (quote, clientTotal) =>
+  clientTotal == null || Math.round(clientTotal * 100) === Math.round(quote.total * 100);
+
+module.exports = { quoteOrder, matchesQuote, roundMoney };
@@ -0,0 +1,192 @@
+// File: services/purchasing.js
+// Purchase orders to suppliers: structured lines, an enforced status flow and receiving into stock.
+const httpError = require('./httpError');
+const { recordMovement, roundQuantity } = require('./stockLedger');
+const { refreshAvailability } = require('./recipes');
+const { roundMoney } = require('./pricing');
+
+// 'Partially Received' and 'Received' are normally reached by receiving deliveries; a manager may
+// also close a partially received order as Received when the rest won't come.
+const transitions = {
+  Draft: ['Sent', 'Cancelled'],
+  Sent: ['Partially Received', 'Received', 'Cancelled'],
+  'Partially Received': ['Partially Received', 'Received', 'Cancelled'],
+  Received: [],
+  Cancelled: [],
+};
+const manualTransitions = {
+  Draft: ['Sent', 'Cancelled'],
+  Sent: ['Cancelled'],
+  'Partially Received': ['Received', 'Cancelled'],
+};
+
+const lineSelect = `
+  SELECT l.*, i.name AS item_name, i.unit,
+         ROUND(l.pack_price * l.quantity_ordered, 2) AS line_total,
+         l.quantity_received - l.quantity_ordered AS variance
+  FROM supplier_order_lines l JOIN inventory i ON i.id = l.inventory_id`;
+
+const getPurchaseOrder = async (db, orderId, restaurantIds) => {
+  const order = await db.query(
+    `SELECT po.*, s.name AS supplier_name FROM supplier_orders po
+     LEFT JOIN suppliers s ON s.id = po.supplier_id
+     WHERE po.id = $1 AND po.restaurant_id = ANY($2)`,
+    [orderId, restaurantIds]
+  );
+  if (order.rowCount === 0) throw httpError(404, 'Order not found');
+  const lines = await db.query(`${lineSelect} WHERE l.supplier_order_id = $1 ORDER BY l.id`, [orderId]);
+  return {
+    ...order.rows[0],
+    lines: lines.rows,
+    total: roundMoney(lines.rows.reduce((sum, l) => sum + Number(l.line_total), 0)),
+  };
+};
+
+const lockPurchaseOrder = async (client, orderId, restaurantIds) => {
+  const result = await client.query(
+    'SELECT * FROM supplier_orders WHERE id = $1 AND restaurant_id = ANY($2) FOR UPDATE',
+    [orderId, restaurantIds]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Order not found');
+  return result.rows[0];
+};
+
+// lines: [{ supplier_item_id, quantity, pack_price? }], quantity in packs. Call inside a transaction.
+const addLines = async (client, order, lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) throw httpError(400, 'Purchase orders need at least one line');
+  lines.forEach((line, index) => {
+    if (!Number.isInteger(line.supplier_item_id) || typeof line.quantity !== 'number' || !(line.quantity > 0)) {
+      throw httpError(400, `Line ${index} needs an integer supplier_item_id and a positive quantity`);
+    }
+    if (line.pack_price != null && (typeof line.pack_price !== 'number' || line.pack_price < 0)) {
+      throw httpError(400, `Line ${index} pack_price must be a non-negative number`);
+    }
+  });
+  const catalog = await client.query(
+    'SELECT * FROM supplier_items WHERE supplier_id = $1 AND id = ANY($2::int[])',
+    [order.supplier_id, lines.map(l => l.supplier_item_id)]
+  );
+  const items = new Map(catalog.rows.map(i => [i.id, i]));
+  const missing = lines.map(l => l.supplier_item_id).filter(id => !items.has(id));
+  if (missing.length) throw httpError(400, 'Items not in this supplier\'s catalog', { supplier_item_ids: missing });
+
+  for (const line of lines) {
+    const item = items.get(line.supplier_item_id);
+    await client.query(
+      `INSERT INTO supplier_order_lines
+         (supplier_order_id, supplier_item_id, inventory_id, sku, pack_unit, pack_quantity, pack_price, quantity_ordered)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [order.id, item.id, item.inventory_id, item.sku, item.pack_unit, item.pack_quantity,
+        line.pack_price == null ? item.pack_price : line.pack_price, line.quantity]
+    );
+  }
+};
+
+// Creates a Draft purchase order. Call inside a transaction.
+const createPurchaseOrder = async (client, { restaurantId, supplierId, lines, notes, expectedAt }) => {
+  const supplier = await client.query(
+    'SELECT * FROM suppliers WHERE id = $1 AND restaurant_id = $2',
+    [supplierId, restaurantId]
+  );
+  if (supplier.rowCount === 0) throw httpError(404, 'Supplier not found');
+  const order = await client.query(
+    `INSERT INTO supplier_orders (restaurant_id, supplier_id, order_status, notes, expected_at)
+     VALUES ($1, $2, 'Draft', $3, COALESCE($4::date, CURRENT_DATE + $5::int)) RETURNING *`,
+    [restaurantId, supplierId, notes || null, expectedAt || null, supplier.rows[0].lead_time_days]
+  );
+  await addLines(client, order.rows[0], lines);
+  return order.rows[0];
+};
+
+const changePurchaseOrderStatus = async (client, order, toStatus) => {
+  if (!(manualTransitions[order.order_status] || []).includes(toStatus)) {
+    throw httpError(409, `Cannot change purchase order from ${order.order_status} to ${toStatus}`, {
+      allowed: manualTransitions[order.order_status] || [],
+    });
+  }
+  if (toStatus === 'Sent') {
+    const lines = await client.query('SELECT 1 FROM supplier_order_lines WHERE supplier_order_id = $1 LIMIT 1', [order.id]);
+    if (lines.rowCount === 0) throw httpError(409, 'Cannot send a purchase order without lines');
+  }
+  await client.query(
+    `UPDATE supplier_orders SET order_status = $1::varchar, updated_at = NOW(),
+       sent_at = CASE WHEN $1::varchar = 'Sent' THEN NOW() ELSE sent_at END,
+       received_at = CASE WHEN $1::varchar = 'Received' THEN NOW() ELSE received_at END
+     WHERE id = $2`,
+    [toStatus, order.id]
+  );
+};
+
+// receipts: [{ line_id, quantity }] in packs delivered now. Posts the stock, moves the order to
+// Partially Received or Received, and reports lines delivered short or over so far.
+const receivePurchaseOrder = async (client, order, receipts, actor) => {
+  if (!['Sent', 'Partially Received'].includes(order.order_status)) {
+    throw httpError(409, `Cannot receive a purchase order that is ${order.order_status}`);
+  }
+  if (!Array.isArray(receipts) || receipts.length === 0) throw httpError(400, 'lines must be a non-empty array');
+  receipts.forEach((r, index) => {
+    if (!Number.isInteger(r.line_id) || typeof r.quantity !== 'number' || r.quantity < 0) {
+      throw httpError(400, `Line ${index} needs an integer line_id and a non-negative quantity`);
+    }
+  });
+
+  const lines = await client.query(
+    'SELECT * FROM supplier_order_lines WHERE supplier_order_id = $1 ORDER BY inventory_id FOR UPDATE',
+    [order.id]
+  );
+  const byId = new Map(lines.rows.map(l => [l.id, l]));
+  const unknown = receipts.map(r => r.line_id).filter(id => !byId.has(id));
+  if (unknown.length) throw httpError(400, 'Lines not on this purchase order', { line_ids: unknown });
+
+  // Post in inventory id order so concurrent receipts lock items consistently.
+  const sorted = [...receipts].sort((a, b) => byId.get(a.line_id).inventory_id - byId.get(b.line_id).inventory_id);
+  for (const receipt of sorted) {
+    if (receipt.quantity === 0) continue;
+    const line = byId.get(receipt.line_id);
+    await client.query(
+      'UPDATE supplier_order_lines SET quantity_received = quantity_received + $1 WHERE id = $2',
+      [receipt.quantity, line.id]
+    );
+    await recordMovement(client, line.inventory_id, 'received', roundQuantity(receipt.quantity * Number(line.pack_quantity)), {
+      reason: `Purchase order ${order.id}`,
+      supplier_order_id: order.id,
+      entered_quantity: receipt.quantity,
+      entered_unit: line.pack_unit,
+      actor,
+    });
+  }
+
+  const after = await client.query(`${lineSelect} WHERE l.supplier_order_id = $1 ORDER BY l.id`, [order.id]);
+  const complete = after.rows.every(l => Number(l.quantity_received) >= Number(l.quantity_ordered));
+  const status = complete ? 'Received' : 'Partially Received';
+  await client.query(
+    `UPDATE supplier_orders SET order_status = $1::varchar, updated_at = NOW(),
+       received_at = CASE WHEN $1::varchar = 'Received' THEN NOW() ELSE received_at END
+     WHERE id = $2`,
+    [status, order.id]
+  );
+  const availability = await refreshAvailability(client, { inventoryIds: after.rows.map(l => l.inventory_id) });
+
+  const discrepancies = after.rows
+    .filter(l => Number(l.variance) !== 0)
+    .map(l => ({
+      line_id: l.id,
+      sku: l.sku,
+      item_name: l.item_name,
+      ordered: Number(l.quantity_ordered),
+      received: Number(l.quantity_received),
+      flag: Number(l.variance) < 0 ? 'short' : 'over',
+    }));
+  return { status, lines: after.rows, discrepancies, back_in_stock: availability.back_in_stock };
+};
+
+module.exports = {
+  transitions,
+  manualTransitions,
+  getPurchaseOrder,
+  lockPurchaseOrder,
+  addLines,
+  createPurchaseOrder,
+  changePurchaseOrderStatus,
+  receivePurchaseOrder,
+};
@@ -0,0 +1,152 @@
+// File: services/recipes.js
+// Recipes link menu items and modifiers to inventory; orders deplete stock through them.
+const httpError = require('./httpError');
+const { recordMovement } = require('./stockLedger');
+
+// Menu items needing more of some ingredient than is on hand for one portion.
+const shortOfStock = `EXISTS (
+  SELECT 1 FROM recipe_items r JOIN inventory i ON i.id = r.inventory_id
+  WHERE r.menu_id = m.id AND COALESCE(i.quantity, 0) < r.quantity
+)`;
+const touchedBy = `(m.id = ANY($2::int[]) OR EXISTS (
+  SELECT 1 FROM recipe_items r WHERE r.menu_id = m.id AND r.inventory_id = ANY($1::int[])
+))`;
+
+// Switches menu items off when an ingredient can't cover one portion, and back on once stock
+// returns. Items switched off by hand (out_of_stock false) are never switched back on here.
+const refreshAvailability = async (db, { inventoryIds = [], menuIds = [] }) => {
+  const outOfStock = await db.query(
+    `UPDATE menu m SET available = false, out_of_stock = true
+     WHERE m.available IS NOT FALSE AND ${touchedBy} AND ${shortOfStock}
+     RETURNING m.id, m.name, m.restaurant_id`,
+    [inventoryIds, menuIds]
+  );
+  const backInStock = await db.query(
+    `UPDATE menu m SET available = true, out_of_stock = false
+     WHERE m.out_of_stock AND ${touchedBy} AND NOT ${shortOfStock}
+     RETURNING m.id, m.name, m.restaurant_id`,
+    [inventoryIds, menuIds]
+  );
+  return { out_of_stock: outOfStock.rows, back_in_stock: backInStock.rows };
+};
+
+// owner is { menu_id } or { modifier_id }.
+const getRecipe = async (db, owner) => {
+  const result = await db.query(
+    `SELECT r.inventory_id, i.name, i.unit, r.quantity
+     FROM recipe_items r JOIN inventory i ON i.id = r.inventory_id
+     WHERE ${owner.menu_id ? 'r.menu_id' : 'r.modifier_id'} = $1
+     ORDER BY i.name ASC`,
+    [owner.menu_id || owner.modifier_id]
+  );
+  return result.rows;
+};
+
+// Replaces a recipe. Ingredients must be inventory items of the same restaurant. Call inside a transaction.
+const setRecipe = async (client, owner, restaurantId, ingredients) => {
+  if (!Array.isArray(ingredients)) throw httpError(400, 'ingredients must be an array');
+  ingredients.forEach((line, index) => {
+    if (!Number.isInteger(line.inventory_id) || typeof line.quantity !== 'number' || !(line.quantity > 0)) {
+      throw httpError(400, `Ingredient ${index} needs an integer inventory_id and a positive quantity`);
+    }
+  });
+  const inventoryIds = ingredients.map(line => line.inventory_id);
+  if (new Set(inventoryIds).size !== inventoryIds.length) {
+    throw httpError(400, 'Each inventory item may appear only once in a recipe');
+  }
+
+  const known = await client.query(
+    'SELECT id FROM inventory WHERE id = ANY($1::int[]) AND restaurant_id = $2',
+    [inventoryIds, restaurantId]
+  );
+  const found = new Set(known.rows.map(r => r.id));
+  const missing = inventoryIds.filter(id => !found.has(id));
+  if (missing.length) throw httpError(400, 'Inventory items not found for this restaurant', { inventory_ids: missing });
+
+  const column = owner.menu_id ? 'menu_id' : 'modifier_id';
+  const ownerId = owner.menu_id || owner.modifier_id;
+  await client.query(`DELETE FROM recipe_items WHERE ${column} = $1`, [ownerId]);
+  for (const line of ingredients) {
+    await client.query(
+      `INSERT INTO recipe_items (${column}, inventory_id, quantity) VALUES ($1, $2, $3)`,
+      [ownerId, line.inventory_id, line.quantity]
+    );
+  }
+  if (owner.menu_id) await refreshAvailability(client, { menuIds: [owner.menu_id] });
+  return getRecipe(client, owner);
+};
+
+// Total stock an order's items and their modifiers need, per inventory item.
+const orderRequirements = async (db, orderId) => {
+  const result = await db.query(
+    `WITH needs AS (
+       SELECT r.inventory_id, r.quantity * oi.quantity AS quantity
+       FROM order_items oi JOIN recipe_items r ON r.menu_id = oi.menu_id
+       WHERE oi.order_id = $1
+       UNION ALL
+       SELECT r.inventory_id, r.quantity * oi.quantity
+       FROM order_items oi
+       CROSS JOIN LATERAL jsonb_array_elements(COALESCE(oi.modifiers, '[]'::jsonb)) AS mod
+       JOIN recipe_items r ON r.modifier_id = (mod->>'id')::int
+       WHERE oi.order_id = $1
+     )
+     SELECT inventory_id, SUM(quantity) AS quantity FROM needs GROUP BY inventory_id ORDER BY inventory_id`,
+    [orderId]
+  );
+  return result.rows.map(r => ({ inventory_id: r.inventory_id, quantity: Number(r.quantity) }));
+};
+
+// Takes the order's ingredients out of stock, or rejects with 409 if any is short.
+// Call inside the order transaction, after its order_items are written.
+const depleteStock = async (client, orderId) => {
+  const needs = await orderRequirements(client, orderId);
+  if (needs.length === 0) return { usage: [], out_of_stock: [] };
+  const inventoryIds = needs.map(n => n.inventory_id);
+
+  // Lock in id order so concurrent orders sharing ingredients can't deadlock or oversell.
+  const stock = await client.query(
+    'SELECT id, name, quantity, unit FROM inventory WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+    [inventoryIds]
+  );
+  const onHand = new Map(stock.rows.map(r => [r.id, r]));
+  const shortages = needs
+    .filter(n => Number(onHand.get(n.inventory_id).quantity || 0) < n.quantity)
+    .map(n => {
+      const item = onHand.get(n.inventory_id);
+      return { inventory_id: item.id, name: item.name, unit: item.unit, needed: n.quantity, on_hand: Number(item.quantity || 0) };
+    });
+  if (shortages.length) throw httpError(409, 'Not enough stock to make this order', { shortages });
+
+  await client.query(
+    `INSERT INTO order_stock_usage (order_id, inventory_id, quantity)
+     SELECT $1::int, * FROM unnest($2::int[], $3::numeric[])`,
+    [orderId, inventoryIds, needs.map(n => n.quantity)]
+  );
+  for (const n of needs) {
+    await recordMovement(client, n.inventory_id, 'sold', -n.quantity, { order_id: orderId, reason: `Order ${orderId}` });
+  }
+  const { out_of_stock } = await refreshAvailability(client, { inventoryIds });
+  return { usage: needs, out_of_stock };
+};
+
+// Puts back whatever the order took. Safe to call for orders that never depleted stock.
+const restockOrder = async (client, orderId) => {
+  const returned = await client.query(
+    'DELETE FROM order_stock_usage WHERE order_id = $1 RETURNING inventory_id, quantity',
+    [orderId]
+  );
+  if (returned.rowCount === 0) return { restocked: [], back_in_stock: [] };
+  for (const row of [...returned.rows].sort((a, b) => a.inventory_id - b.inventory_id)) {
+    await recordMovement(client, row.inventory_id, 'sold', Number(row.quantity), {
+      order_id: orderId,
+      reason: `Returned from order ${orderId}`,
+    });
+  }
+  const { back_in_stock } = await refreshAvailability(client, { inventoryIds: returned.rows.map(r => r.inventory_id) });
+  return {
+    restocked: returned.rows.map(r => ({ inventory_id: r.inventory_id, quantity: Number(r.quantity) })),
+    back_in_stock,
+  };
+};
+
+module.exports = { refreshAvailability, getRecipe, setRecipe, orderRequirements, depleteStock, restockOrder };
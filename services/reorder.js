@@ -0,0 +1,137 @@
+// File: services/reorder.js
+// Reorder suggestions from stock on hand, open purchase orders, recent usage and supplier lead times.
+const httpError = require('./httpError');
+const { roundQuantity } = require('./stockLedger');
+const { roundMoney } = require('./pricing');
+const { createPurchaseOrder, changePurchaseOrderStatus } = require('./purchasing');
+
+const DEFAULT_USAGE_DAYS = 14;
+const DEFAULT_COVER_DAYS = 7;
+
+// One row per inventory item with its usage over the window, stock already on order and the
+// cheapest catalog item (per unit, then shortest lead time) to buy it from.
+const stockPositions = async (db, restaurantIds, usageDays) => {
+  const result = await db.query(
+    `WITH usage AS (
+       SELECT inventory_id, -SUM(quantity) AS used
+       FROM inventory_movements
+       WHERE movement_type IN ('sold', 'wasted') AND created_at >= NOW() - make_interval(days => $2)
+       GROUP BY inventory_id
+     ), on_order AS (
+       SELECT l.inventory_id, SUM(GREATEST(l.quantity_ordered - l.quantity_received, 0) * l.pack_quantity) AS quantity
+       FROM supplier_order_lines l JOIN supplier_orders po ON po.id = l.supplier_order_id
+       WHERE po.order_status IN ('Draft', 'Sent', 'Partially Received')
+       GROUP BY l.inventory_id
+     ), source AS (
+       SELECT DISTINCT ON (si.inventory_id) si.*, s.name AS supplier_name, s.lead_time_days
+       FROM supplier_items si JOIN suppliers s ON s.id = si.supplier_id
+       ORDER BY si.inventory_id, si.pack_price / si.pack_quantity, s.lead_time_days
+     )
+     SELECT i.id, i.restaurant_id, i.name, i.unit, COALESCE(i.quantity, 0) AS on_hand,
+            COALESCE(i.low_stock_threshold, 0) AS low_stock_threshold, i.par_level,
+            COALESCE(u.used, 0) AS used, COALESCE(o.quantity, 0) AS on_order,
+            src.id AS supplier_item_id, src.supplier_id, src.supplier_name, src.lead_time_days,
+            src.sku, src.pack_unit, src.pack_quantity, src.pack_price
+     FROM inventory i
+     LEFT JOIN usage u ON u.inventory_id = i.id
+     LEFT JOIN on_order o ON o.inventory_id = i.id
+     LEFT JOIN source src ON src.inventory_id = i.id
+     WHERE i.restaurant_id = ANY($1)
+     ORDER BY i.name ASC`,
+    [restaurantIds, usageDays]
+  );
+  return result.rows;
+};
+
+// Reorder when stock on hand plus on order won't outlast the supplier's lead time with the low-stock
+// threshold kept as safety stock; then order up to the par level, or enough to cover `coverDays` more.
+const assess = (row, usageDays, coverDays) => {
+  const dailyUsage = Math.max(Number(row.used), 0) / usageDays;
+  const leadTime = row.lead_time_days == null ? 0 : row.lead_time_days;
+  const available = Number(row.on_hand) + Number(row.on_order);
+  const reorderPoint = Number(row.low_stock_threshold) + dailyUsage * leadTime;
+  const target = Math.max(row.par_level == null ? 0 : Number(row.par_level), reorderPoint + dailyUsage * coverDays);
+  const needed = available <= reorderPoint ? target - available : 0;
+  return {
+    inventory_id: row.id,
+    name: row.name,
+    unit: row.unit,
+    on_hand: Number(row.on_hand),
+    on_order: Number(row.on_order),
+    daily_usage: roundQuantity(dailyUsage),
+    reorder_point: roundQuantity(reorderPoint),
+    target: roundQuantity(target),
+    needed: roundQuantity(Math.max(needed, 0)),
+  };
+};
+
+// Suggestions grouped by supplier; items that need stock but have no catalog entry come back as unsourced.
+const suggestReorders = async (db, restaurantIds, { usageDays = DEFAULT_USAGE_DAYS, coverDays = DEFAULT_COVER_DAYS } = {}) => {
+  const rows = await stockPositions(db, restaurantIds, usageDays);
+  const bySupplier = new Map();
+  const unsourced = [];
+
+  for (const row of rows) {
+    const item = assess(row, usageDays, coverDays);
+    if (item.needed <= 0) continue;
+    if (!row.supplier_item_id) {
+      unsourced.push({ ...item, restaurant_id: row.restaurant_id });
+      continue;
+    }
+    const packs = Math.ceil(item.needed / Number(row.pack_quantity));
+    if (!bySupplier.has(row.supplier_id)) {
+      bySupplier.set(row.supplier_id, {
+        supplier_id: row.supplier_id,
+        supplier_name: row.supplier_name,
+        restaurant_id: row.restaurant_id,
+        lead_time_days: row.lead_time_days,
+        lines: [],
+        total: 0,
+      });
+    }
+    const group = bySupplier.get(row.supplier_id);
+    const lineTotal = roundMoney(packs * Number(row.pack_price));
+    group.lines.push({
+      ...item,
+      supplier_item_id: row.supplier_item_id,
+      sku: row.sku,
+      pack_unit: row.pack_unit,
+      pack_quantity: Number(row.pack_quantity),
+      pack_price: Number(row.pack_price),
+      quantity: packs,
+      line_total: lineTotal,
+    });
+    group.total = roundMoney(group.total + lineTotal);
+  }
+  return { usage_days: usageDays, cover_days: coverDays, suppliers: [...bySupplier.values()], unsourced };
+};
+
+// Turns the current suggestions for one restaurant into Draft (or Sent) purchase orders, one per supplier.
+// adjustments: { [supplier_item_id]: packs } overrides suggested quantities; 0 drops the line.
+const approveSuggestions = async (client, restaurantId, { supplierIds, adjustments = {}, send = false, ...options } = {}) => {
+  const { suppliers } = await suggestReorders(client, [restaurantId], options);
+  const chosen = supplierIds ? suppliers.filter(s => supplierIds.includes(s.supplier_id)) : suppliers;
+
+  const orders = [];
+  for (const supplier of chosen) {
+    const lines = supplier.lines
+      .map(line => ({
+        supplier_item_id: line.supplier_item_id,
+        quantity: adjustments[line.supplier_item_id] == null ? line.quantity : adjustments[line.supplier_item_id],
+      }))
+      .filter(line => line.quantity > 0);
+    if (lines.length === 0) continue;
+    const order = await createPurchaseOrder(client, {
+      restaurantId,
+      supplierId: supplier.supplier_id,
+      lines,
+      notes: 'Created from reorder suggestions',
+    });
+    if (send) await changePurchaseOrderStatus(client, order, 'Sent');
+    orders.push(order.id);
+  }
+  if (orders.length === 0) throw httpError(409, 'Nothing to reorder');
+  return orders;
+};
+
+module.exports = { DEFAULT_USAGE_DAYS, DEFAULT_COVER_DAYS, suggestReorders, approveSuggestions };
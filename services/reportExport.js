@@ -0,0 +1,171 @@
+// File: services/reportExport.js
+// Writes reports as CSV, XLSX or PDF straight to a writable stream. Rows of query-backed reports are read
+// through a cursor and written as they arrive, so large exports are never held in memory.
+const { once } = require('events');
+const { Writable } = require('stream');
+const QueryStream = require('pg-query-stream');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { runReport } = require('./reports');
+
+const formats = {
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { type: 'application/pdf', extension: 'pdf' },
+};
+
+// Tables to export: [{ name, columns: [[key, header]], rows }], rows being an array or an async iterable.
+// Query-backed reports stream from `client`, which must stay checked out until the export is written.
+const exportTables = async (client, report, restaurantIds, range) => {
+  if (report.query) {
+    const { text, values } = report.query(restaurantIds, range);
+    return [{ name: report.title, columns: report.columns, rows: client.query(new QueryStream(text, values)) }];
+  }
+  return report.tables(await runReport(client, report, restaurantIds, range));
+};
+
+// Download filename (named after the report and its dates) and the title lines printed on the export.
+const describeExport = (name, report, range, format) => {
+  const stem = name.replace(/\//g, '-');
+  return {
+    filename: `${report.snapshot ? `${stem}_${range.to}` : `${stem}_${range.from}_${range.to}`}.${formats[format].extension}`,
+    title: report.title,
+    subtitle: report.snapshot ? `As of ${range.to} (${range.zone})` : `${range.from} to ${range.to} (${range.zone})`,
+  };
+};
+
+const display = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Waits while the destination is backed up. A client that hangs up ends the export (and, through the
+// abandoned iterator, the database cursor) instead of leaving it waiting forever.
+const drained = async (out) => {
+  if (out.writableNeedDrain) {
+    await new Promise((resolve) => {
+      const done = () => {
+        out.off('drain', done);
+        out.off('close', done);
+        resolve();
+      };
+      out.on('drain', done);
+      out.on('close', done);
+    });
+  }
+  if (out.destroyed) throw new Error('Export destination closed');
+};
+
+const write = async (out, chunk) => {
+  out.write(chunk);
+  await drained(out);
+};
+
+// Cells a spreadsheet would run as a formula are prefixed with a quote.
+const csvCell = (value) => {
+  let text = display(value);
+  if (/^[=+@\t\r]/.test(text) || /^-[^\d.]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Several tables are separated by a blank line and a line naming the table.
+const writeCsv = async (out, tables) => {
+  for (const [index, table] of tables.entries()) {
+    if (tables.length > 1) await write(out, `${index ? '\r\n' : ''}${csvCell(table.name)}\r\n`);
+    await write(out, `${table.columns.map(([, header]) => csvCell(header)).join(',')}\r\n`);
+    for await (const row of table.rows) {
+      await write(out, `${table.columns.map(([key]) => csvCell(row[key])).join(',')}\r\n`);
+    }
+  }
+  out.end();
+};
+
+// pg returns NUMERIC columns as strings; spreadsheets should get numbers.
+const xlsxCell = (value) => {
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value == null ? null : value;
+};
+
+const writeXlsx = async (out, tables) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  for (const table of tables) {
+    const sheet = workbook.addWorksheet(table.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    sheet.columns = table.columns.map(([key, header]) => ({ key, header, width: Math.max(header.length + 2, 12) }));
+    sheet.getRow(1).font = { bold: true };
+    for await (const row of table.rows) {
+      const cells = {};
+      for (const [key] of table.columns) cells[key] = xlsxCell(row[key]);
+      sheet.addRow(cells).commit();
+      await drained(out);
+    }
+    sheet.commit();
+  }
+  await workbook.commit();
+};
+
+// A plain printable layout: landscape A4, one line per row, headings repeated on every page.
+const writePdf = async (out, tables, { title, subtitle }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  const done = once(out, 'finish');
+  doc.pipe(out);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const rowHeight = 14;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  if (subtitle) doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle).fillColor('black');
+
+  const line = (cells, bold) => {
+    const y = doc.y;
+    const cellWidth = width / cells.length;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, i) => {
+      doc.text(display(cell), left + i * cellWidth, y, { width: cellWidth - 4, height: rowHeight, ellipsis: true, lineBreak: false });
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  for (const table of tables) {
+    const headers = table.columns.map(([, header]) => header);
+    if (doc.y + 4 * rowHeight > bottom) doc.addPage();
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text(table.name, left);
+    doc.moveDown(0.3);
+    line(headers, true);
+    for await (const row of table.rows) {
+      if (doc.y + rowHeight > bottom) {
+        doc.addPage();
+        line(headers, true);
+      }
+      line(table.columns.map(([key]) => row[key]), false);
+      await drained(out);
+    }
+  }
+  doc.end();
+  await done;
+};
+
+const writers = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf };
+
+// Writes `tables` to `out` in `format`; resolves once everything has been handed to the stream.
+const writeExport = (format, out, tables, meta) => writers[format](out, tables, meta);
+
+// The same export as a Buffer, for attaching to an email.
+const exportBuffer = async (format, tables, meta) => {
+  const chunks = [];
+  const out = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  const finished = once(out, 'finish');
+  await writeExport(format, out, tables, meta);
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+module.exports = { formats, describeExport, exportTables, writeExport, exportBuffer };
@@ -0,0 +1,90 @@
+// File: services/reportRange.js
+// The from / to / tz / granularity parameters shared by every report. Dates are business days: local
+// dates in each restaurant's timezone (or ?tz=) that roll over at the restaurant's day_cutoff.
+const httpError = require('./httpError');
+
+const granularities = ['hour', 'day', 'week', 'month'];
+
+const isDate = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const cutoffMinutes = (cutoff) => {
+  const [hours, minutes] = String(cutoff || '00:00').split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Today's business date in a timezone with the given cutoff ('HH:MM[:SS]').
+const businessToday = (timeZone, cutoff) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(Date.now() - cutoffMinutes(cutoff) * 60000));
+
+// Validates the report parameters and fills in defaults: `to` is today and `from` covers `days` days.
+// "Today" is taken in ?tz=, else in the restaurants' own timezone when they all share one, else UTC.
+// Returns { from, to, tz, zone, granularity }: tz is the override (or null), zone the timezone the
+// dates were resolved in.
+const reportRange = async (db, restaurantIds, params = {}, { granularity = 'day', days = 30 } = {}) => {
+  const { from, to, tz } = params;
+  if ((from != null && !isDate(from)) || (to != null && !isDate(to))) {
+    throw httpError(400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+  if (from && to && from > to) throw httpError(400, 'from must not be after to');
+  if (tz != null && !isTimeZone(tz)) throw httpError(400, 'tz must be an IANA time zone such as Europe/Paris');
+  const grain = params.granularity || granularity;
+  if (!granularities.includes(grain)) throw httpError(400, `granularity must be one of ${granularities.join(', ')}`);
+
+  const restaurants = await db.query(
+    'SELECT DISTINCT timezone, day_cutoff FROM restaurants WHERE id = ANY($1::int[])',
+    [restaurantIds]
+  );
+  const shared = restaurants.rows.length === 1 ? restaurants.rows[0] : null;
+  const zone = tz || (shared ? shared.timezone : 'UTC');
+  const resolvedTo = to || businessToday(zone, shared && shared.day_cutoff);
+  return {
+    from: from || addDays(resolvedTo, -(days - 1)),
+    to: resolvedTo,
+    tz: tz || null,
+    zone,
+    granularity: grain,
+  };
+};
+
+// Cancelled and refunded orders brought in no money, so sales figures leave them out (orders as `o`).
+const countsAsSale = "o.status NOT IN ('Cancelled', 'Refunded')";
+
+// SQL fragments for a range. Queries must join restaurants as `r`; params are appended after `offset`
+// existing ones: $offset+1 from, $offset+2 to, $offset+3 tz override.
+const reportSql = (range, offset) => {
+  const [from, to, tz] = [1, 2, 3].map(i => `$${offset + i}`);
+  const zone = `COALESCE(${tz}::varchar, r.timezone)`;
+  const local = (column) => `(${column}::timestamptz AT TIME ZONE ${zone})`;
+  const businessDate = (column) => `(${local(column)} - r.day_cutoff::interval)::date`;
+  return {
+    params: [range.from, range.to, range.tz],
+    local,
+    businessDate,
+    // The plain bounds on the column (two days of slack either side) let indexes narrow the scan.
+    inRange: (column) => `${column} >= ${from}::date - 2 AND ${column} < ${to}::date + 3
+      AND ${businessDate(column)} BETWEEN ${from}::date AND ${to}::date`,
+    // Period labels as text ('YYYY-MM-DD', or 'YYYY-MM-DD HH:00' for hours) so no client timezone shifts
+    // them. Hours are local clock hours; days, weeks and months are business days.
+    bucket: (column) => (range.granularity === 'hour'
+      ? `to_char(date_trunc('hour', ${local(column)}), 'YYYY-MM-DD HH24:00')`
+      : `to_char(date_trunc('${range.granularity}', ${businessDate(column)}::timestamp), 'YYYY-MM-DD')`),
+  };
+};
+
+module.exports = { granularities, isDate, isTimeZone, addDays, businessToday, reportRange, reportSql, countsAsSale };
@@ -0,0 +1,242 @@
+// File: services/reportSubscriptions.js
+// Reports emailed on a schedule. Each subscription belongs to a restaurant and names a report, its
+// parameters, an export format, a cron schedule (in the restaurant's timezone) and the recipients. The
+// in-process scheduler claims due subscriptions by moving next_run_at forward, so running several app
+// instances doesn't send twice, and every attempt is recorded in report_runs.
+const httpError = require('./httpError');
+const { parseCron, nextRun } = require('./cron');
+const { reports } = require('./reports');
+const { granularities, isTimeZone, addDays, reportRange } = require('./reportRange');
+const { formats, describeExport, exportTables, exportBuffer } = require('./reportExport');
+const { sendMail } = require('./mailer');
+
+const paramKeys = ['days', 'tz', 'granularity'];
+const isEmail = (v) => typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+
+// Validates a subscription body, filling gaps from `current` (when updating) and then from the defaults.
+const subscriptionFields = (body, current = {}) => {
+  const pick = (key, fallback) => {
+    if (body[key] !== undefined) return body[key];
+    return current[key] !== undefined ? current[key] : fallback;
+  };
+  const fields = {
+    report: pick('report'),
+    params: pick('params', {}),
+    format: pick('format', 'pdf'),
+    schedule: pick('schedule'),
+    recipients: pick('recipients'),
+    active: pick('active', true),
+  };
+  if (!reports[fields.report]) throw httpError(400, `report must be one of ${Object.keys(reports).join(', ')}`);
+  if (!formats[fields.format]) throw httpError(400, `format must be one of ${Object.keys(formats).join(', ')}`);
+  if (!fields.schedule) throw httpError(400, 'schedule is required');
+  if (!nextRun(parseCron(fields.schedule), new Date(), 'UTC')) throw httpError(400, 'schedule never fires');
+  if (!Array.isArray(fields.recipients) || fields.recipients.length === 0 || !fields.recipients.every(isEmail)) {
+    throw httpError(400, 'recipients must be a non-empty array of email addresses');
+  }
+  if (typeof fields.active !== 'boolean') throw httpError(400, 'active must be true or false');
+
+  const { params } = fields;
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) throw httpError(400, 'params must be an object');
+  const unknown = Object.keys(params).filter(key => !paramKeys.includes(key));
+  if (unknown.length) throw httpError(400, `params may only contain ${paramKeys.join(', ')}`, { unknown });
+  if (params.days !== undefined && !(Number.isInteger(params.days) && params.days >= 1 && params.days <= 366)) {
+    throw httpError(400, 'params.days must be a whole number of days between 1 and 366');
+  }
+  if (params.tz !== undefined && !isTimeZone(params.tz)) throw httpError(400, 'params.tz must be an IANA time zone such as Europe/Paris');
+  if (params.granularity !== undefined && !granularities.includes(params.granularity)) {
+    throw httpError(400, `params.granularity must be one of ${granularities.join(', ')}`);
+  }
+  return fields;
+};
+
+const restaurantTimeZone = async (db, restaurantId) => {
+  const result = await db.query('SELECT timezone FROM restaurants WHERE id = $1', [restaurantId]);
+  if (result.rowCount === 0) throw httpError(404, 'Restaurant not found');
+  return result.rows[0].timezone;
+};
+
+const nextRunOf = (fields, timeZone, after = new Date()) =>
+  (fields.active ? nextRun(fields.schedule, after, timeZone) : null);
+
+const subscriptionSelect = `SELECT s.*, e.name AS created_by_name,
+    lr.status AS last_run_status, lr.started_at AS last_run_at, lr.error AS last_run_error
+  FROM report_subscriptions s
+  LEFT JOIN employees e ON e.id = s.created_by
+  LEFT JOIN LATERAL (
+    SELECT status, started_at, error FROM report_runs WHERE subscription_id = s.id ORDER BY started_at DESC, id DESC LIMIT 1
+  ) lr ON true`;
+
+const listSubscriptions = async (db, restaurantIds) => {
+  const result = await db.query(
+    `${subscriptionSelect} WHERE s.restaurant_id = ANY($1) ORDER BY s.restaurant_id, s.id`,
+    [restaurantIds]
+  );
+  return result.rows;
+};
+
+const getSubscription = async (db, id, restaurantIds) => {
+  const result = await db.query(`${subscriptionSelect} WHERE s.id = $1 AND s.restaurant_id = ANY($2)`, [id, restaurantIds]);
+  if (result.rowCount === 0) throw httpError(404, 'Report subscription not found');
+  return result.rows[0];
+};
+
+const createSubscription = async (db, restaurantId, body, actor = {}) => {
+  const fields = subscriptionFields(body);
+  const nextRunAt = nextRunOf(fields, await restaurantTimeZone(db, restaurantId));
+  const result = await db.query(
+    `INSERT INTO report_subscriptions (restaurant_id, report, params, format, schedule, recipients, active, next_run_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+    [restaurantId, fields.report, fields.params, fields.format, fields.schedule, fields.recipients, fields.active, nextRunAt, actor.employee_id || null]
+  );
+  return getSubscription(db, result.rows[0].id, [restaurantId]);
+};
+
+// Partial update; the next run is worked out again when the schedule or active flag changes.
+const updateSubscription = async (db, id, restaurantIds, body) => {
+  const current = await getSubscription(db, id, restaurantIds);
+  const fields = subscriptionFields(body, current);
+  const nextRunAt = fields.schedule !== current.schedule || fields.active !== current.active
+    ? nextRunOf(fields, await restaurantTimeZone(db, current.restaurant_id))
+    : current.next_run_at;
+  await db.query(
+    `UPDATE report_subscriptions
+     SET report = $1, params = $2, format = $3, schedule = $4, recipients = $5, active = $6, next_run_at = $7, updated_at = NOW()
+     WHERE id = $8`,
+    [fields.report, fields.params, fields.format, fields.schedule, fields.recipients, fields.active, nextRunAt, id]
+  );
+  return getSubscription(db, id, restaurantIds);
+};
+
+// After a restaurant's timezone changes its schedules fire at different instants.
+const rescheduleSubscriptions = async (db, restaurantId) => {
+  const timeZone = await restaurantTimeZone(db, restaurantId);
+  const subs = await db.query('SELECT * FROM report_subscriptions WHERE restaurant_id = $1 AND active', [restaurantId]);
+  for (const sub of subs.rows) {
+    await db.query('UPDATE report_subscriptions SET next_run_at = $1 WHERE id = $2', [nextRunOf(sub, timeZone), sub.id]);
+  }
+};
+
+const listRuns = async (db, id, restaurantIds, limit = 50) => {
+  await getSubscription(db, id, restaurantIds);
+  const result = await db.query(
+    'SELECT * FROM report_runs WHERE subscription_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2',
+    [id, limit]
+  );
+  return result.rows;
+};
+
+// Scheduled reports cover whole business days: the `days` (default 1) ending yesterday, so a morning run
+// reports on the day that just closed. Snapshot reports (stock levels) are as of the run.
+const subscriptionRange = async (db, sub, report) => {
+  const { days = 1, ...params } = sub.params || {};
+  if (report.snapshot) return reportRange(db, [sub.restaurant_id], params, report);
+  const today = await reportRange(db, [sub.restaurant_id], { tz: params.tz }, report);
+  const to = addDays(today.to, -1);
+  return reportRange(db, [sub.restaurant_id], { ...params, from: addDays(to, -(days - 1)), to }, report);
+};
+
+// Renders the report and emails it. Failures are recorded on the run rather than thrown, so one broken
+// subscription doesn't hold up the others. Resolves with the finished run.
+const deliverSubscription = async (pool, sub, { trigger = 'schedule', scheduledFor = null } = {}) => {
+  const started = await pool.query(
+    'INSERT INTO report_runs (subscription_id, trigger, scheduled_for, recipients) VALUES ($1, $2, $3, $4) RETURNING id',
+    [sub.id, trigger, scheduledFor, sub.recipients]
+  );
+  const runId = started.rows[0].id;
+  try {
+    const report = reports[sub.report];
+    if (!report) throw new Error(`Unknown report "${sub.report}"`);
+    const range = await subscriptionRange(pool, sub, report);
+    const restaurant = await pool.query('SELECT name FROM restaurants WHERE id = $1', [sub.restaurant_id]);
+    const restaurantName = restaurant.rows[0].name;
+    const { filename, title, subtitle } = describeExport(sub.report, report, range, sub.format);
+
+    const client = await pool.connect();
+    let content;
+    try {
+      const tables = await exportTables(client, report, [sub.restaurant_id], range);
+      content = await exportBuffer(sub.format, tables, { title: `${title} - ${restaurantName}`, subtitle });
+    } finally {
+      client.release();
+    }
+
+    const period = report.snapshot || range.from === range.to ? range.to : `${range.from} to ${range.to}`;
+    const info = await sendMail({
+      to: sub.recipients,
+      subject: `${title} - ${restaurantName} - ${period}`,
+      text: `${title} for ${restaurantName}, ${subtitle}, is attached.\n\n`
+        + `Sent by report subscription #${sub.id} (schedule "${sub.schedule}").`,
+      attachments: [{ filename, content, contentType: formats[sub.format].type }],
+    });
+    const finished = await pool.query(
+      `UPDATE report_runs SET status = 'Sent', report_from = $2, report_to = $3, attachment = $4, message_id = $5, finished_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [runId, report.snapshot ? null : range.from, range.to, filename, info.messageId || null]
+    );
+    return finished.rows[0];
+  } catch (err) {
+    const failed = await pool.query(
+      "UPDATE report_runs SET status = 'Failed', error = $2, finished_at = NOW() WHERE id = $1 RETURNING *",
+      [runId, err.message]
+    );
+    return failed.rows[0];
+  }
+};
+
+// Delivers every subscription whose next run is due. A subscription is claimed by moving next_run_at
+// past `now` first; runs missed while the app was down are caught up with a single delivery.
+const runDueSubscriptions = async (pool, now = new Date()) => {
+  const due = await pool.query(
+    `SELECT s.*, r.timezone FROM report_subscriptions s
+     JOIN restaurants r ON r.id = s.restaurant_id
+     WHERE s.active AND s.next_run_at <= $1
+     ORDER BY s.next_run_at ASC`,
+    [now]
+  );
+  const runs = [];
+  for (const sub of due.rows) {
+    const claimed = await pool.query(
+      'UPDATE report_subscriptions SET next_run_at = $1 WHERE id = $2 AND next_run_at = $3',
+      [nextRunOf(sub, sub.timezone, now), sub.id, sub.next_run_at]
+    );
+    if (claimed.rowCount === 0) continue;
+    runs.push(await deliverSubscription(pool, sub, { trigger: 'schedule', scheduledFor: sub.next_run_at }));
+  }
+  return runs;
+};
+
+// Checks for due subscriptions every `interval` ms (default a minute) until stopped. Set
+// REPORT_SCHEDULER=off to leave scheduled delivery to another instance.
+const startReportScheduler = (pool, { interval = 60000 } = {}) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const run of await runDueSubscriptions(pool)) {
+        if (run.status === 'Failed') console.error(`❌ Report subscription #${run.subscription_id} failed:`, run.error);
+      }
+    } catch (err) {
+      console.error('❌ Report scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  rescheduleSubscriptions,
+  listRuns,
+  deliverSubscription,
+  runDueSubscriptions,
+  startReportScheduler,
+};
@@ -0,0 +1,284 @@
+// File: services/reports.js
+// Report definitions shared by the report routes. Each report runs over a resolved range (see reportRange)
+// for a set of restaurants. Tabular reports are a single `query` so exports can stream their rows; the
+// others `run` to a value and list the `tables` an export is made of.
+const { reportSql, countsAsSale } = require('./reportRange');
+const { unitCostSelect } = require('./costing');
+const { menuEngineering } = require('./menuEngineering');
+const { timesheets } = require('./timeClock');
+
+// Orders of the restaurants in range that count as sales; $1 is the restaurant ids, the range params follow.
+const ordersInRange = (sql) => `FROM orders o
+  JOIN restaurants r ON r.id = o.restaurant_id
+  WHERE o.restaurant_id = ANY($1) AND ${countsAsSale} AND ${sql.inRange('o.created_at')}`;
+
+const salesByPeriod = (restaurantIds, range) => {
+  const sql = reportSql(range, 1);
+  return {
+    text: `SELECT ${sql.bucket('o.created_at')} AS date, COUNT(*)::int AS orders_count, SUM(o.total_price) AS total_sales
+           ${ordersInRange(sql)}
+           GROUP BY 1 ORDER BY 1 DESC`,
+    values: [restaurantIds, ...sql.params],
+  };
+};
+const salesColumns = [['date', 'Period'], ['orders_count', 'Orders'], ['total_sales', 'Sales']];
+
+const reports = {
+  'sales/daily': {
+    key: 'daily_sales',
+    title: 'Daily sales',
+    granularity: 'day',
+    days: 30,
+    columns: salesColumns,
+    query: salesByPeriod,
+  },
+
+  'sales/custom': {
+    key: 'custom_sales',
+    title: 'Sales',
+    granularity: 'day',
+    days: 30,
+    columns: salesColumns,
+    query: salesByPeriod,
+  },
+
+  'revenue/weekly': {
+    key: 'weekly_revenue',
+    title: 'Weekly revenue',
+    granularity: 'week',
+    days: 56,
+    columns: [['week', 'Period'], ['revenue', 'Revenue']],
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT ${sql.bucket('o.created_at')} AS week, SUM(o.total_price) AS revenue
+               ${ordersInRange(sql)}
+               GROUP BY 1 ORDER BY 1 DESC`,
+        values: [restaurantIds, ...sql.params],
+      };
+    },
+  },
+
+  // Tip shares are dated in the report's timezone without a cutoff. Shares from before tips were kept per
+  // restaurant have none and count wherever the employee works.
+  'employees/performance': {
+    key: 'performance',
+    title: 'Employee performance',
+    days: 30,
+    columns: [['id', 'Employee ID'], ['name', 'Name'], ['orders_handled', 'Orders handled'], ['total_tips', 'Tips']],
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT e.id, e.name,
+                      (SELECT COUNT(*)::int FROM orders o JOIN restaurants r ON r.id = o.restaurant_id
+                       WHERE o.assigned_chef_id = e.id AND o.restaurant_id = ANY($1) AND ${sql.inRange('o.created_at')}) AS orders_handled,
+                      (SELECT COALESCE(SUM(te.amount), 0) FROM tips_earnings te
+                       WHERE te.employee_id = e.id AND (te.restaurant_id = ANY($1) OR te.restaurant_id IS NULL)
+                         AND (te.created_at::timestamptz AT TIME ZONE $5::varchar)::date BETWEEN $2::date AND $3::date) AS total_tips
+               FROM employees e
+               WHERE EXISTS (SELECT 1 FROM employee_restaurants er WHERE er.employee_id = e.id AND er.restaurant_id = ANY($1))
+               ORDER BY orders_handled DESC, e.name ASC`,
+        values: [restaurantIds, ...sql.params, range.zone],
+      };
+    },
+  },
+
+  'top-items': {
+    key: 'top_items',
+    title: 'Top items',
+    days: 30,
+    columns: [['item_name', 'Item'], ['order_count', 'Orders']],
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT m.name AS item_name, COUNT(*)::int AS order_count
+               FROM order_items oi
+               JOIN menu m ON oi.menu_id = m.id
+               JOIN orders o ON o.id = oi.order_id
+               JOIN restaurants r ON r.id = o.restaurant_id
+               WHERE o.restaurant_id = ANY($1) AND ${countsAsSale} AND ${sql.inRange('o.created_at')}
+               GROUP BY m.name
+               ORDER BY order_count DESC
+               LIMIT 10`,
+        values: [restaurantIds, ...sql.params],
+      };
+    },
+  },
+
+  'revenue/by-restaurant': {
+    key: 'revenue_by_restaurant',
+    title: 'Revenue by restaurant',
+    days: 30,
+    columns: [['restaurant', 'Restaurant'], ['revenue', 'Revenue']],
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT r.name AS restaurant, SUM(o.total_price) AS revenue
+               ${ordersInRange(sql)}
+               GROUP BY r.id, r.name
+               ORDER BY revenue DESC`,
+        values: [restaurantIds, ...sql.params],
+      };
+    },
+  },
+
+  // Hour of the day on the restaurant's local clock.
+  'trends/hourly': {
+    key: 'hourly_trends',
+    title: 'Orders by hour',
+    days: 30,
+    columns: [['hour', 'Hour'], ['orders', 'Orders']],
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT EXTRACT(HOUR FROM ${sql.local('o.created_at')})::int AS hour, COUNT(*)::int AS orders
+               ${ordersInRange(sql)}
+               GROUP BY 1 ORDER BY 1 ASC`,
+        values: [restaurantIds, ...sql.params],
+      };
+    },
+  },
+
+  'orders/average-value': {
+    key: 'avg_order_value',
+    title: 'Average order value',
+    days: 30,
+    columns: [['avg_order_value', 'Average order value']],
+    single: true,
+    query: (restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      return {
+        text: `SELECT AVG(o.total_price) AS avg_order_value ${ordersInRange(sql)}`,
+        values: [restaurantIds, ...sql.params],
+      };
+    },
+  },
+
+  // Entries without a known cost count towards quantities but not towards cost.
+  waste: {
+    key: 'waste',
+    title: 'Waste',
+    granularity: 'day',
+    days: 30,
+    run: async (db, restaurantIds, range) => {
+      const sql = reportSql(range, 1);
+      const from = `FROM waste_entries w
+        JOIN restaurants r ON r.id = w.restaurant_id
+        WHERE w.restaurant_id = ANY($1) AND ${sql.inRange('w.created_at')}`;
+      const measures = `COUNT(*)::int AS entries, COALESCE(SUM(w.cost), 0) AS cost,
+        COUNT(*) FILTER (WHERE w.cost IS NULL)::int AS uncosted_entries`;
+      const params = [restaurantIds, ...sql.params];
+      const [totals, byReason, byItem, byPeriod] = await Promise.all([
+        db.query(`SELECT ${measures} ${from}`, params),
+        db.query(`SELECT w.reason_code, ${measures} ${from} GROUP BY w.reason_code ORDER BY cost DESC`, params),
+        db.query(
+          `SELECT w.item_type, w.inventory_id, w.menu_id, w.item_name, w.unit, SUM(w.quantity) AS quantity, ${measures}
+           ${from}
+           GROUP BY w.item_type, w.inventory_id, w.menu_id, w.item_name, w.unit
+           ORDER BY cost DESC, w.item_name ASC`,
+          params
+        ),
+        db.query(`SELECT ${sql.bucket('w.created_at')} AS date, ${measures} ${from} GROUP BY 1 ORDER BY 1 DESC`, params),
+      ]);
+      return { ...totals.rows[0], by_reason: byReason.rows, by_item: byItem.rows, by_day: byPeriod.rows };
+    },
+    tables: (data) => {
+      const measures = [['entries', 'Entries'], ['cost', 'Cost'], ['uncosted_entries', 'Uncosted entries']];
+      return [
+        { name: 'By reason', columns: [['reason_code', 'Reason'], ...measures], rows: data.by_reason },
+        {
+          name: 'By item',
+          columns: [['item_type', 'Type'], ['item_name', 'Item'], ['quantity', 'Quantity'], ['unit', 'Unit'], ...measures],
+          rows: data.by_item,
+        },
+        { name: 'By day', columns: [['date', 'Period'], ...measures], rows: data.by_day },
+      ];
+    },
+  },
+
+  'menu-engineering': {
+    key: 'menu_engineering',
+    title: 'Menu engineering',
+    days: 30,
+    run: async (db, restaurantIds, range) => ({ restaurants: await menuEngineering(db, restaurantIds, range) }),
+    tables: (data) => [{
+      name: 'Menu engineering',
+      columns: [
+        ['restaurant_name', 'Restaurant'], ['name', 'Item'], ['category', 'Category'], ['units', 'Units'],
+        ['revenue', 'Revenue'], ['food_cost', 'Food cost'], ['food_cost_pct', 'Food cost %'], ['margin', 'Margin'],
+        ['contribution_margin', 'Margin per unit'], ['menu_mix_pct', 'Menu mix %'], ['classification', 'Class'],
+      ],
+      rows: data.restaurants.flatMap(r => r.items.map(item => ({ restaurant_name: r.restaurant_name, ...item }))),
+    }],
+  },
+
+  // Days are each restaurant's local dates, so the tz parameter doesn't apply.
+  timesheets: {
+    key: 'timesheets',
+    title: 'Timesheets',
+    days: 7,
+    run: timesheets,
+    tables: (data) => {
+      const hours = [
+        ['scheduled_hours', 'Scheduled'], ['actual_hours', 'Worked'], ['break_hours', 'Breaks'],
+        ['regular_hours', 'Regular'], ['overtime_hours', 'Overtime'], ['variance_hours', 'Variance'],
+      ];
+      return [
+        {
+          name: 'Employees',
+          columns: [['name', 'Employee'], ['role', 'Role'], ...hours, ['open_entries', 'Open entries']],
+          rows: data.map(sheet => ({ name: sheet.name, role: sheet.role, ...sheet.totals })),
+        },
+        {
+          name: 'Days',
+          columns: [['name', 'Employee'], ['date', 'Date'], ...hours, ['open', 'Still clocked in']],
+          rows: data.flatMap(sheet => sheet.days.map(day => ({ name: sheet.name, ...day }))),
+        },
+      ];
+    },
+  },
+
+  // Stock on hand now; the range parameters don't apply.
+  inventory: {
+    key: 'inventory_report',
+    title: 'Inventory',
+    snapshot: true,
+    columns: [
+      ['item_name', 'Item'], ['quantity', 'Quantity'], ['unit', 'Unit'], ['low_stock_threshold', 'Low stock at'],
+      ['low_stock', 'Low stock'], ['unit_cost', 'Unit cost'], ['stock_value', 'Stock value'], ['last_counted_at', 'Last counted'],
+    ],
+    query: (restaurantIds) => ({
+      text: `SELECT i.id AS inventory_id, i.restaurant_id, i.name AS item_name, i.quantity, i.unit, i.low_stock_threshold,
+               (CASE WHEN i.quantity <= i.low_stock_threshold THEN true ELSE false END) AS low_stock,
+               ROUND(c.unit_cost, 4)::float AS unit_cost, ROUND(COALESCE(i.quantity, 0) * c.unit_cost, 2)::float AS stock_value,
+               (SELECT MAX(sc.finalized_at) FROM stock_count_items ci JOIN stock_counts sc ON sc.id = ci.stock_count_id
+                WHERE ci.inventory_id = i.id AND ci.counted_quantity IS NOT NULL) AS last_counted_at
+             FROM inventory i
+             LEFT JOIN (${unitCostSelect} WHERE i.restaurant_id = ANY($1)) c ON c.inventory_id = i.id
+             WHERE i.restaurant_id = ANY($1)
+             ORDER BY i.name ASC`,
+      values: [restaurantIds],
+    }),
+  },
+
+  'low-stock': {
+    key: 'low_stock_items',
+    title: 'Low stock',
+    snapshot: true,
+    columns: [['name', 'Item'], ['quantity', 'Quantity'], ['unit', 'Unit'], ['low_stock_threshold', 'Low stock at'], ['par_level', 'Par level']],
+    query: (restaurantIds) => ({
+      text: 'SELECT * FROM inventory WHERE quantity <= low_stock_threshold AND restaurant_id = ANY($1) ORDER BY name ASC',
+      values: [restaurantIds],
+    }),
+  },
+};
+
+// The report's JSON value.
+const runReport = async (db, report, restaurantIds, range) => {
+  if (!report.query) return report.run(db, restaurantIds, range);
+  const { text, values } = report.query(restaurantIds, range);
+  const result = await db.query(text, values);
+  return report.single ? result.rows[0][report.columns[0][0]] : result.rows;
+};
+
+module.exports = { reports, runReport };
@@ -0,0 +1,427 @@
+// File: services/scheduling.js
+// Weekly shift scheduling. Shift times are wall-clock times at the restaurant, so the arithmetic is done
+// in plain minutes since the epoch with no timezone involved. Checks run against everything the person
+// works, across restaurants: overlapping shifts and approved time off are conflicts that stop a shift
+// being saved; pending time off, shifts outside availability, short rest and overtime are warnings.
+const httpError = require('./httpError');
+const { isDate, addDays } = require('./reportRange');
+const { notifyUser } = require('./notifications');
+
+const MAX_SHIFT_HOURS = 16;
+const DAY = 24 * 60;
+
+// Restaurants without rules of their own (and shifts without a restaurant) use these.
+const defaultRules = { min_rest_hours: 10, overtime_weekly_hours: 40, overtime_daily_hours: null };
+
+const isTime = (v) => typeof v === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(v);
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const dayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / 86400000;
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const hhmm = (time) => String(time).slice(0, 5);
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Monday to Sunday of the week holding `value`, a date (YYYY-MM-DD) or an ISO week (YYYY-Www);
+// this week when omitted.
+const weekOf = (value) => {
+  let date;
+  if (value == null || value === '') {
+    date = new Date().toISOString().slice(0, 10);
+  } else if (isDate(value)) {
+    date = value;
+  } else if (/^\d{4}-W(0[1-9]|[1-4]\d|5[0-3])$/.test(value)) {
+    const [year, week] = value.split('-W').map(Number);
+    // Week 1 is the one with January 4th in it.
+    date = addDays(`${year}-01-04`, (week - 1) * 7);
+  } else {
+    throw httpError(400, 'week must be a date (YYYY-MM-DD) or an ISO week (YYYY-Www)');
+  }
+  const start = addDays(date, -((weekdayOf(date) + 6) % 7));
+  return { start, end: addDays(start, 6) };
+};
+
+// Validates the times of a shift body. A shift past midnight ends on the next day and must say so with
+// ends_next_day, so an end before the start is never taken as an overnight shift by accident.
+const shiftFields = (body) => {
+  const { shift_date, start_time, end_time, ends_next_day = false, position, notes } = body;
+  if (!isDate(shift_date)) throw httpError(400, 'shift_date must be a date (YYYY-MM-DD)');
+  if (!isTime(start_time) || !isTime(end_time)) throw httpError(400, 'start_time and end_time must be times (HH:MM)');
+  if (typeof ends_next_day !== 'boolean') throw httpError(400, 'ends_next_day must be true or false');
+  const length = minutesOf(end_time) + (ends_next_day ? DAY : 0) - minutesOf(start_time);
+  if (length <= 0) {
+    throw httpError(400, 'end_time must be after start_time (set ends_next_day for shifts that run past midnight)');
+  }
+  if (length > MAX_SHIFT_HOURS * 60) throw httpError(400, `Shifts can't be longer than ${MAX_SHIFT_HOURS} hours`);
+  return { shift_date, start_time, end_time, ends_next_day, position: position || null, notes: notes || null };
+};
+
+// Start and end in minutes since the epoch, plus the length in hours.
+const span = (shift) => {
+  const day = dayNumber(shift.shift_date) * DAY;
+  const start = day + minutesOf(shift.start_time);
+  const end = day + minutesOf(shift.end_time) + (shift.ends_next_day ? DAY : 0);
+  return { start, end, hours: roundHours(end - start) };
+};
+
+const describe = (shift) =>
+  `shift #${shift.id} on ${shift.shift_date} ${hhmm(shift.start_time)}-${hhmm(shift.end_time)}${shift.ends_next_day ? ' (+1 day)' : ''}`;
+
+const shiftColumns = `s.id, s.employee_id, s.restaurant_id, s.shift_date::text AS shift_date, s.start_time::text AS start_time,
+  s.end_time::text AS end_time, s.ends_next_day, s.position, s.notes, s.status, s.published_at, s.created_at`;
+
+// Everything the checks need for some employees around [from, to]: their shifts (a day either side for
+// rest across the edges), availability, live time-off requests and the rules of the restaurants involved.
+const loadContext = async (db, employeeIds, from, to) => {
+  const [shifts, availability, timeOff, rules] = await Promise.all([
+    db.query(
+      `SELECT ${shiftColumns} FROM shifts s
+       WHERE s.employee_id = ANY($1) AND s.shift_date BETWEEN $2::date - 1 AND $3::date + 1
+       ORDER BY s.shift_date, s.start_time`,
+      [employeeIds, from, to]
+    ),
+    db.query(
+      `SELECT employee_id, weekday, start_time::text AS start_time, end_time::text AS end_time
+       FROM employee_availability WHERE employee_id = ANY($1)`,
+      [employeeIds]
+    ),
+    db.query(
+      `SELECT id, employee_id, start_date::text AS start_date, end_date::text AS end_date, status, reason
+       FROM time_off_requests
+       WHERE employee_id = ANY($1) AND status <> 'Denied' AND start_date <= $3::date + 1 AND end_date >= $2::date`,
+      [employeeIds, from, to]
+    ),
+    db.query(
+      `SELECT r.id, r.min_rest_hours, r.overtime_weekly_hours, r.overtime_daily_hours FROM restaurants r
+       WHERE r.id IN (SELECT restaurant_id FROM shifts WHERE employee_id = ANY($1) AND shift_date BETWEEN $2::date - 1 AND $3::date + 1)
+          OR r.id IN (SELECT restaurant_id FROM employee_restaurants WHERE employee_id = ANY($1))`,
+      [employeeIds, from, to]
+    ),
+  ]);
+  const byEmployee = (rows) => {
+    const map = new Map(employeeIds.map(id => [Number(id), []]));
+    for (const row of rows) map.get(row.employee_id).push(row);
+    return map;
+  };
+  const rulesById = new Map(rules.rows.map(r => [r.id, {
+    min_rest_hours: Number(r.min_rest_hours),
+    overtime_weekly_hours: Number(r.overtime_weekly_hours),
+    overtime_daily_hours: r.overtime_daily_hours == null ? null : Number(r.overtime_daily_hours),
+  }]));
+  return {
+    shifts: byEmployee(shifts.rows),
+    availability: byEmployee(availability.rows),
+    timeOff: byEmployee(timeOff.rows),
+    rulesFor: (restaurantId) => rulesById.get(restaurantId) || defaultRules,
+  };
+};
+
+// The week's hours (Monday to Sunday, by shift date) of a set of shifts.
+const weekHours = (shifts, date) => {
+  const { start, end } = weekOf(date);
+  return shifts.filter(s => s.shift_date >= start && s.shift_date <= end).reduce((sum, s) => sum + span(s).hours, 0);
+};
+
+// Conflicts and warnings for `shift` given the person's other shifts. Overtime is left out with
+// { overtime: false } (the week view reports it per person instead).
+const shiftIssues = (shift, { others, availability, timeOff, rules }, { overtime = true } = {}) => {
+  const conflicts = [];
+  const warnings = [];
+  const own = span(shift);
+
+  let before = null;
+  let after = null;
+  for (const other of others) {
+    const theirs = span(other);
+    if (theirs.start < own.end && own.start < theirs.end) {
+      conflicts.push({ type: 'overlap', shift_id: other.id, restaurant_id: other.restaurant_id, message: `Overlaps ${describe(other)}` });
+    } else if (theirs.end <= own.start && (!before || theirs.end > before.end)) {
+      before = { shift: other, end: theirs.end };
+    } else if (theirs.start >= own.end && (!after || theirs.start < after.start)) {
+      after = { shift: other, start: theirs.start };
+    }
+  }
+  const minRest = rules.min_rest_hours * 60;
+  for (const [neighbour, gap] of [[before, before && own.start - before.end], [after, after && after.start - own.end]]) {
+    if (neighbour && gap < minRest) {
+      warnings.push({
+        type: 'rest',
+        shift_id: neighbour.shift.id,
+        rest_hours: roundHours(gap),
+        min_rest_hours: rules.min_rest_hours,
+        message: `Only ${roundHours(gap)} hours off next to ${describe(neighbour.shift)} (minimum ${rules.min_rest_hours})`,
+      });
+    }
+  }
+
+  const lastDay = shift.ends_next_day && minutesOf(shift.end_time) > 0 ? addDays(shift.shift_date, 1) : shift.shift_date;
+  for (const request of timeOff) {
+    if (request.start_date > lastDay || request.end_date < shift.shift_date) continue;
+    const entry = {
+      type: request.status === 'Approved' ? 'time_off' : 'time_off_pending',
+      time_off_id: request.id,
+      message: `${request.status} time off ${request.start_date} to ${request.end_date}`,
+    };
+    (request.status === 'Approved' ? conflicts : warnings).push(entry);
+  }
+
+  // Each calendar day the shift touches has to sit inside one of that weekday's windows.
+  if (availability.length) {
+    const segments = [[shift.shift_date, minutesOf(shift.start_time), shift.ends_next_day ? DAY : minutesOf(shift.end_time)]];
+    if (shift.ends_next_day && minutesOf(shift.end_time) > 0) segments.push([lastDay, 0, minutesOf(shift.end_time)]);
+    const outside = segments.filter(([date, start, end]) => !availability.some(w =>
+      w.weekday === weekdayOf(date) && minutesOf(w.start_time) <= start && minutesOf(w.end_time) >= end));
+    if (outside.length) {
+      warnings.push({ type: 'unavailable', message: `Outside the employee's availability on ${outside.map(([date]) => date).join(', ')}` });
+    }
+  }
+
+  if (overtime) {
+    const all = [...others, shift];
+    const week = weekHours(all, shift.shift_date);
+    if (week > rules.overtime_weekly_hours) {
+      warnings.push({
+        type: 'overtime',
+        period: 'week',
+        hours: roundHours(week * 60),
+        threshold: rules.overtime_weekly_hours,
+        message: `${roundHours(week * 60)} hours scheduled this week (overtime after ${rules.overtime_weekly_hours})`,
+      });
+    }
+    if (rules.overtime_daily_hours != null) {
+      const day = all.filter(s => s.shift_date === shift.shift_date).reduce((sum, s) => sum + span(s).hours, 0);
+      if (day > rules.overtime_daily_hours) {
+        warnings.push({
+          type: 'overtime',
+          period: 'day',
+          hours: roundHours(day * 60),
+          threshold: rules.overtime_daily_hours,
+          message: `${roundHours(day * 60)} hours scheduled on ${shift.shift_date} (overtime after ${rules.overtime_daily_hours})`,
+        });
+      }
+    }
+  }
+  return { conflicts, warnings };
+};
+
+// Checks a new or changed shift (`excludeId` being the shift it replaces) for an employee. Call inside the
+// transaction that saves it, after lockEmployee.
+const checkShift = async (db, employeeId, shift, { excludeId = null } = {}) => {
+  const week = weekOf(shift.shift_date);
+  const context = await loadContext(db, [Number(employeeId)], week.start, week.end);
+  const others = context.shifts.get(Number(employeeId)).filter(s => s.id !== Number(excludeId));
+  const issues = shiftIssues({ id: excludeId, ...shift }, {
+    others,
+    availability: context.availability.get(Number(employeeId)),
+    timeOff: context.timeOff.get(Number(employeeId)),
+    rules: context.rulesFor(Number(shift.restaurant_id)),
+  });
+  return { ...issues, week_hours: roundHours(weekHours([...others, shift], shift.shift_date) * 60) };
+};
+
+// Serializes shift changes per employee so two concurrent saves can't both pass the overlap check.
+const lockEmployee = (client, employeeId) =>
+  client.query('SELECT id FROM employees WHERE id = $1 FOR UPDATE', [employeeId]);
+
+const getShift = async (db, shiftId, employeeId, restaurantIds) => {
+  const result = await db.query(
+    `SELECT ${shiftColumns} FROM shifts s WHERE s.id = $1 AND s.employee_id = $2 AND s.restaurant_id = ANY($3)`,
+    [shiftId, employeeId, restaurantIds]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Shift not found');
+  return result.rows[0];
+};
+
+// Saves a shift (new, or replacing `existing`) after checking it. Conflicts are answered with 409 and
+// nothing is saved; warnings are returned alongside the shift. Call inside a transaction.
+const saveShift = async (client, employeeId, restaurantId, body, { existing = null, actor = {} } = {}) => {
+  const fields = shiftFields(existing ? { ...existing, ...body } : body);
+  await lockEmployee(client, employeeId);
+  const check = await checkShift(client, employeeId, { ...fields, restaurant_id: Number(restaurantId) }, {
+    excludeId: existing && existing.id,
+  });
+  if (check.conflicts.length) {
+    throw httpError(409, 'Shift conflicts with the schedule', { conflicts: check.conflicts, warnings: check.warnings });
+  }
+  const values = [fields.shift_date, fields.start_time, fields.end_time, fields.ends_next_day, fields.position, fields.notes];
+  const saved = existing
+    ? await client.query(
+      `UPDATE shifts SET shift_date = $1, start_time = $2, end_time = $3, ends_next_day = $4, position = $5, notes = $6
+       WHERE id = $7 RETURNING id`,
+      [...values, existing.id]
+    )
+    : await client.query(
+      `INSERT INTO shifts (shift_date, start_time, end_time, ends_next_day, position, notes, employee_id, restaurant_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [...values, employeeId, restaurantId, actor.employee_id || null]
+    );
+  const shift = await getShift(client, saved.rows[0].id, employeeId, [Number(restaurantId)]);
+  return { shift: { ...shift, hours: span(shift).hours }, warnings: check.warnings, week_hours: check.week_hours };
+};
+
+// The week's schedule for each restaurant. Managers get drafts too, every shift's warnings and a line per
+// staff member (hours, overtime, time off); other staff see the published shifts only.
+const scheduleWeek = async (db, restaurantIds, week, { manager = false } = {}) => {
+  const [restaurants, staff] = await Promise.all([
+    db.query('SELECT id, name FROM restaurants WHERE id = ANY($1) ORDER BY name ASC', [restaurantIds]),
+    db.query(
+      `SELECT e.id, e.name, e.role, er.restaurant_id FROM employee_restaurants er
+       JOIN employees e ON e.id = er.employee_id
+       WHERE er.restaurant_id = ANY($1) AND e.status IS NOT FALSE
+       ORDER BY e.name ASC`,
+      [restaurantIds]
+    ),
+  ]);
+  const scheduled = await db.query(
+    'SELECT DISTINCT employee_id FROM shifts WHERE restaurant_id = ANY($1) AND shift_date BETWEEN $2 AND $3',
+    [restaurantIds, week.start, week.end]
+  );
+  const employeeIds = [...new Set([...staff.rows.map(e => e.id), ...scheduled.rows.map(r => r.employee_id)])];
+  const context = await loadContext(db, employeeIds, week.start, week.end);
+  const names = new Map(staff.rows.map(e => [e.id, e.name]));
+  const inWeek = (s) => s.shift_date >= week.start && s.shift_date <= week.end;
+
+  const schedules = restaurants.rows.map((restaurant) => {
+    const rules = context.rulesFor(restaurant.id);
+    const shifts = [];
+    for (const [employeeId, theirs] of context.shifts) {
+      for (const shift of theirs) {
+        if (shift.restaurant_id !== restaurant.id || !inWeek(shift)) continue;
+        if (!manager && shift.status !== 'Published') continue;
+        const entry = { ...shift, employee_name: names.get(employeeId) || null, hours: span(shift).hours };
+        if (manager) {
+          const { conflicts, warnings } = shiftIssues(shift, {
+            others: theirs.filter(s => s.id !== shift.id),
+            availability: context.availability.get(employeeId),
+            timeOff: context.timeOff.get(employeeId),
+            rules,
+          }, { overtime: false });
+          entry.conflicts = conflicts;
+          entry.warnings = warnings;
+        }
+        shifts.push(entry);
+      }
+    }
+    shifts.sort((a, b) => span(a).start - span(b).start || a.employee_id - b.employee_id);
+
+    const schedule = {
+      restaurant_id: restaurant.id,
+      restaurant_name: restaurant.name,
+      shifts,
+      totals: {
+        shifts: shifts.length,
+        hours: roundHours(shifts.reduce((sum, s) => sum + s.hours * 60, 0)),
+        draft: shifts.filter(s => s.status === 'Draft').length,
+        published: shifts.filter(s => s.status === 'Published').length,
+      },
+    };
+    if (manager) {
+      schedule.employees = staff.rows.filter(e => e.restaurant_id === restaurant.id).map((employee) => {
+        const theirs = context.shifts.get(employee.id).filter(inWeek);
+        const total = theirs.reduce((sum, s) => sum + span(s).hours, 0);
+        return {
+          employee_id: employee.id,
+          name: employee.name,
+          role: employee.role,
+          hours: roundHours(theirs.filter(s => s.restaurant_id === restaurant.id).reduce((sum, s) => sum + span(s).hours * 60, 0)),
+          week_hours: roundHours(total * 60),
+          overtime_hours: roundHours(Math.max(0, total - rules.overtime_weekly_hours) * 60),
+          time_off: context.timeOff.get(employee.id).filter(t => t.start_date <= week.end && t.end_date >= week.start),
+        };
+      });
+    }
+    return schedule;
+  });
+  return { week, schedules };
+};
+
+// Publishes the week's draft shifts at a restaurant. Refuses while any draft still has a conflict (such
+// as time off approved after the shift was drafted). Call inside a transaction; returns the shifts.
+const publishWeek = async (client, restaurantId, week) => {
+  const view = await scheduleWeek(client, [restaurantId], week, { manager: true });
+  const drafts = view.schedules.length ? view.schedules[0].shifts.filter(s => s.status === 'Draft') : [];
+  if (drafts.length === 0) throw httpError(409, 'No draft shifts to publish for this week');
+  const conflicting = drafts.filter(s => s.conflicts.length);
+  if (conflicting.length) {
+    throw httpError(409, 'Resolve the conflicting shifts before publishing', {
+      shifts: conflicting.map(s => ({ shift_id: s.id, employee_id: s.employee_id, conflicts: s.conflicts })),
+    });
+  }
+  const published = await client.query(
+    `UPDATE shifts s SET status = 'Published', published_at = NOW() WHERE s.id = ANY($1) AND s.status = 'Draft'
+     RETURNING ${shiftColumns}`,
+    [drafts.map(s => s.id)]
+  );
+  return published.rows.map(shift => ({ ...shift, hours: span(shift).hours }))
+    .sort((a, b) => span(a).start - span(b).start || a.employee_id - b.employee_id);
+};
+
+// Shifts of an employee that fall on days from..to, including overnight shifts running into `from`.
+const shiftsDuring = async (db, employeeId, from, to) => {
+  const result = await db.query(
+    `SELECT ${shiftColumns} FROM shifts s
+     WHERE s.employee_id = $1
+       AND (s.shift_date BETWEEN $2 AND $3 OR (s.ends_next_day AND s.end_time > '00:00' AND s.shift_date = $2::date - 1))
+     ORDER BY s.shift_date, s.start_time`,
+    [employeeId, from, to]
+  );
+  return result.rows;
+};
+
+// Tells each person their shifts for the week once it's published. Staff without a linked account are
+// skipped; push failures are reported, not thrown.
+const notifyPublished = async (db, restaurantId, week, shifts) => {
+  const restaurant = await db.query('SELECT name FROM restaurants WHERE id = $1', [restaurantId]);
+  const byEmployee = new Map();
+  for (const shift of shifts) byEmployee.set(shift.employee_id, [...(byEmployee.get(shift.employee_id) || []), shift]);
+  const accounts = await db.query('SELECT id, user_id FROM employees WHERE id = ANY($1)', [[...byEmployee.keys()]]);
+  const notices = [];
+  for (const { id, user_id } of accounts.rows) {
+    if (!user_id) {
+      notices.push({ employee_id: id, pushed: false, push_error: 'No linked user account' });
+      continue;
+    }
+    const theirs = byEmployee.get(id);
+    const hours = roundHours(theirs.reduce((sum, s) => sum + span(s).hours * 60, 0));
+    const notice = await notifyUser(
+      db,
+      user_id,
+      'Schedule published',
+      `Your schedule at ${restaurant.rows[0].name} for the week of ${week.start}: ${theirs.length} shift${theirs.length === 1 ? '' : 's'}, ${hours} hours.`,
+      { type: 'schedule_published', restaurant_id: String(restaurantId), week: week.start }
+    );
+    notices.push({ employee_id: id, pushed: notice.pushed, push_error: notice.push_error });
+  }
+  return notices;
+};
+
+// Lets someone know a shift of theirs that was already published has changed or been cancelled.
+const notifyShiftChange = async (db, shift, change) => {
+  const account = await db.query('SELECT user_id FROM employees WHERE id = $1', [shift.employee_id]);
+  if (!account.rows.length || !account.rows[0].user_id) return null;
+  const title = change === 'cancelled' ? 'Shift cancelled' : 'Shift changed';
+  const message = change === 'cancelled'
+    ? `Your shift on ${shift.shift_date} ${hhmm(shift.start_time)}-${hhmm(shift.end_time)} has been cancelled.`
+    : `Your shift is now on ${shift.shift_date} ${hhmm(shift.start_time)}-${hhmm(shift.end_time)}.`;
+  const notice = await notifyUser(db, account.rows[0].user_id, title, message, { type: 'shift_' + change, shift_id: String(shift.id) });
+  return { pushed: notice.pushed, push_error: notice.push_error };
+};
+
+module.exports = {
+  MAX_SHIFT_HOURS,
+  weekOf,
+  shiftFields,
+  span,
+  describe,
+  shiftColumns,
+  checkShift,
+  lockEmployee,
+  getShift,
+  saveShift,
+  scheduleWeek,
+  publishWeek,
+  shiftsDuring,
+  notifyPublished,
+  notifyShiftChange,
+};
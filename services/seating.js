@@ -0,0 +1,171 @@
+// File: services/seating.js
+// Table capacity, double-booking rules and automatic table assignment for reservations.
+const httpError = require('./httpError');
+
+const MAX_COMBINED_TABLES = 3;
+
+// True when reservation rv holds table t during [start, start + minutes); combined bookings hold every joined table.
+const overlapSql = (tableRef, startRef, minutesRef, fallbackMinutesRef = minutesRef) => `
+  (rv.table_id = ${tableRef} OR ${tableRef} = ANY(rv.extra_table_ids))
+  AND rv.reservation_time < ${startRef} + make_interval(mins => ${minutesRef})
+  AND rv.reservation_time + make_interval(mins => COALESCE(rv.duration_minutes, ${fallbackMinutesRef})) > ${startRef}`;
+
+// Pass forUpdate inside a transaction to serialize bookings for the restaurant.
+const getSeatingRules = async (db, restaurantId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, seating_minutes, slot_interval_minutes, opening_time, closing_time
+     FROM restaurants WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [restaurantId]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Restaurant not found');
+  return result.rows[0];
+};
+
+const findConflicts = async (db, tableId, start, minutes, excludeReservationId = null) => {
+  const result = await db.query(
+    `SELECT rv.id, rv.reservation_time, rv.num_guests,
+            rv.reservation_time + make_interval(mins => COALESCE(rv.duration_minutes, r.seating_minutes)) AS ends_at
+     FROM reservations rv
+     JOIN restaurants r ON r.id = rv.restaurant_id
+     WHERE ($4::int IS NULL OR rv.id <> $4)
+       AND ${overlapSql('$1::int', '$2::timestamp', '$3::int', 'r.seating_minutes')}`,
+    [tableId, start, minutes, excludeReservationId]
+  );
+  return result.rows;
+};
+
+// Call inside a transaction after getSeatingRules(..., { forUpdate: true }).
+const assertTableBookable = async (client, { tableId, restaurantId, numGuests, start, minutes, excludeReservationId }) => {
+  const table = await client.query('SELECT * FROM tables WHERE id = $1', [tableId]);
+  if (table.rowCount === 0 || Number(table.rows[0].restaurant_id) !== Number(restaurantId)) {
+    throw httpError(404, 'Table not found for this restaurant');
+  }
+  if (numGuests > table.rows[0].capacity) {
+    throw httpError(400, `Table ${table.rows[0].table_number} seats ${table.rows[0].capacity}; party of ${numGuests} does not fit`);
+  }
+  const conflicts = await findConflicts(client, tableId, start, minutes, excludeReservationId);
+  if (conflicts.length) {
+    throw httpError(409, 'Table is already booked for that time', { conflicts });
+  }
+  return table.rows[0];
+};
+
+// All tables free for a whole seating starting at `start`, smallest first.
+const freeTables = async (db, restaurantId, start, minutes, { minCapacity = 1, excludeReservationId = null } = {}) => {
+  const result = await db.query(
+    `SELECT t.* FROM tables t
+     WHERE t.restaurant_id = $1 AND t.capacity >= $2
+       AND NOT EXISTS (
+         SELECT 1 FROM reservations rv
+         WHERE ($5::int IS NULL OR rv.id <> $5)
+           AND ${overlapSql('t.id', '$3::timestamp', '$4::int')}
+       )
+     ORDER BY t.capacity ASC, t.table_number ASC`,
+    [restaurantId, minCapacity, start, minutes, excludeReservationId]
+  );
+  return result.rows;
+};
+
+const availableTables = async (db, restaurantId, start, partySize) => {
+  const rules = await getSeatingRules(db, restaurantId);
+  return freeTables(db, restaurantId, start, rules.seating_minutes, { minCapacity: partySize });
+};
+
+// Best fit among free tables: the smallest single table that seats the party, otherwise the
+// smallest run of adjacent tables (same section, consecutive positions), fewest tables first.
+const pickTables = (tables, partySize, section = null) => {
+  const candidates = section ? tables.filter(t => t.section === section) : tables;
+
+  const single = candidates
+    .filter(t => t.capacity >= partySize)
+    .sort((a, b) => a.capacity - b.capacity || a.table_number - b.table_number)[0];
+  if (single) return [single];
+
+  const bySection = new Map();
+  for (const t of candidates) {
+    if (t.position == null) continue;
+    const key = t.section || '';
+    if (!bySection.has(key)) bySection.set(key, []);
+    bySection.get(key).push(t);
+  }
+
+  let best = null;
+  for (const run of bySection.values()) {
+    run.sort((a, b) => a.position - b.position);
+    for (let i = 0; i < run.length; i++) {
+      let capacity = 0;
+      for (let j = i; j < run.length && j - i < MAX_COMBINED_TABLES; j++) {
+        if (j > i && run[j].position !== run[j - 1].position + 1) break;
+        capacity += run[j].capacity;
+        if (capacity >= partySize) {
+          const combo = run.slice(i, j + 1);
+          if (!best || capacity < best.capacity || (capacity === best.capacity && combo.length < best.tables.length)) {
+            best = { tables: combo, capacity };
+          }
+          break;
+        }
+      }
+    }
+  }
+  return best ? best.tables : null;
+};
+
+// Chooses tables for a party; call inside a transaction holding the restaurant lock.
+const allocateTables = async (db, { restaurantId, partySize, start, minutes, section, excludeReservationId }) => {
+  const tables = await freeTables(db, restaurantId, start, minutes, { excludeReservationId });
+  const picked = pickTables(tables, partySize, section);
+  if (!picked) return null;
+  return {
+    table_id: picked[0].id,
+    extra_table_ids: picked.slice(1).map(t => t.id),
+    capacity: picked.reduce((sum, t) => sum + t.capacity, 0),
+    tables: picked,
+  };
+};
+
+// Start times on `date` (between opening and last seating) where the party can be seated,
+// each with the tables the allocator would pick.
+const availableSlots = async (db, restaurantId, date, partySize) => {
+  const rules = await getSeatingRules(db, restaurantId);
+  const tables = await db.query('SELECT * FROM tables WHERE restaurant_id = $1', [restaurantId]);
+  const busy = await db.query(
+    `WITH slots AS (
+       SELECT slot FROM generate_series(
+         $2::date + $3::time,
+         $2::date + $4::time
+           + CASE WHEN $4::time <= $3::time THEN INTERVAL '1 day' ELSE INTERVAL '0' END
+           - make_interval(mins => $5),
+         make_interval(mins => $6)
+       ) AS slot
+       WHERE slot > NOW()
+     )
+     SELECT s.slot AS start_time,
+            COALESCE(array_agg(t.id) FILTER (WHERE EXISTS (
+              SELECT 1 FROM reservations rv WHERE ${overlapSql('t.id', 's.slot', '$5::int')}
+            )), '{}') AS busy_table_ids
+     FROM slots s
+     LEFT JOIN tables t ON t.restaurant_id = $1
+     GROUP BY s.slot
+     ORDER BY s.slot ASC`,
+    [restaurantId, date, rules.opening_time, rules.closing_time, rules.seating_minutes, rules.slot_interval_minutes]
+  );
+
+  const slots = [];
+  for (const row of busy.rows) {
+    const taken = new Set(row.busy_table_ids);
+    const picked = pickTables(tables.rows.filter(t => !taken.has(t.id)), partySize);
+    if (picked) slots.push({ start_time: row.start_time, table_ids: picked.map(t => t.id) });
+  }
+  return { seating_minutes: rules.seating_minutes, slots };
+};
+
+module.exports = {
+  getSeatingRules,
+  findConflicts,
+  assertTableBookable,
+  freeTables,
+  availableTables,
+  pickTables,
+  allocateTables,
+  availableSlots,
+};
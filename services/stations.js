@@ -0,0 +1,84 @@
+// File: services/stations.js
+// Splits orders into per-station tickets and drives the order to Ready as tickets are bumped.
+const httpError = require('./httpError');
+const { changeOrderStatus } = require('./orderStatus');
+
+// Rebuilds the open tickets for an order from its current order_items. Call inside the order transaction.
+const createStationTickets = async (client, orderId) => {
+  await client.query("DELETE FROM station_tickets WHERE order_id = $1 AND status = 'Open'", [orderId]);
+  const tickets = await client.query(
+    `INSERT INTO station_tickets (order_id, station_id)
+     SELECT DISTINCT $1::int, m.station_id
+     FROM order_items oi
+     JOIN menu m ON m.id = oi.menu_id
+     WHERE oi.order_id = $1
+     RETURNING *`,
+    [orderId]
+  );
+  await client.query(
+    `UPDATE order_items oi SET station_ticket_id = t.id
+     FROM menu m, station_tickets t
+     WHERE oi.order_id = $1 AND m.id = oi.menu_id
+       AND t.order_id = $1 AND t.status = 'Open' AND t.station_id IS NOT DISTINCT FROM m.station_id`,
+    [orderId]
+  );
+  return tickets.rows;
+};
+
+const lockTicket = async (client, ticketId) => {
+  const result = await client.query('SELECT * FROM station_tickets WHERE id = $1 FOR UPDATE', [ticketId]);
+  if (result.rowCount === 0) throw httpError(404, 'Ticket not found');
+  return result.rows[0];
+};
+
+// actor: { uid, employee_id }
+const bumpTicket = async (client, ticketId, actor) => {
+  const ticket = await lockTicket(client, ticketId);
+  if (ticket.status === 'Bumped') throw httpError(409, 'Ticket already bumped');
+
+  const order = await client.query('SELECT * FROM orders WHERE id = $1', [ticket.order_id]);
+  if (!['Pending', 'Preparing'].includes(order.rows[0].status)) {
+    throw httpError(409, `Order is ${order.rows[0].status}; its tickets can no longer be bumped`);
+  }
+
+  const updated = await client.query(
+    "UPDATE station_tickets SET status = 'Bumped', bumped_at = NOW(), bumped_by = $1 WHERE id = $2 RETURNING *",
+    [actor.employee_id, ticketId]
+  );
+
+  let current = order.rows[0];
+  if (current.status === 'Pending') {
+    current = (await changeOrderStatus(client, current.id, 'Preparing', actor)).order;
+  }
+  const open = await client.query(
+    "SELECT 1 FROM station_tickets WHERE order_id = $1 AND status = 'Open' LIMIT 1",
+    [current.id]
+  );
+  if (open.rowCount === 0) {
+    current = (await changeOrderStatus(client, current.id, 'Ready', { ...actor, note: 'All station tickets bumped' })).order;
+  }
+  return { ticket: updated.rows[0], order: current };
+};
+
+const recallTicket = async (client, ticketId, actor) => {
+  const ticket = await lockTicket(client, ticketId);
+  if (ticket.status !== 'Bumped') throw httpError(409, 'Ticket is not bumped');
+
+  const order = await client.query('SELECT * FROM orders WHERE id = $1', [ticket.order_id]);
+  if (!['Preparing', 'Ready'].includes(order.rows[0].status)) {
+    throw httpError(409, `Order is ${order.rows[0].status}; its tickets can no longer be recalled`);
+  }
+
+  const updated = await client.query(
+    "UPDATE station_tickets SET status = 'Open', bumped_at = NULL, bumped_by = NULL WHERE id = $1 RETURNING *",
+    [ticketId]
+  );
+
+  let current = order.rows[0];
+  if (current.status === 'Ready') {
+    current = (await changeOrderStatus(client, current.id, 'Preparing', { ...actor, note: 'Station ticket recalled' })).order;
+  }
+  return { ticket: updated.rows[0], order: current };
+};
+
+module.exports = { createStationTickets, bumpTicket, recallTicket };
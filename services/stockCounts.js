@@ -0,0 +1,187 @@
+// File: services/stockCounts.js
+// Physical stock count sessions. Opening a count snapshots the expected quantity of every item; staff
+// submit what they find (several devices may count the same item in different storage areas and their
+// figures are summed); finalizing posts the difference to the ledger and freezes the variance report.
+const httpError = require('./httpError');
+const { lockItem, convertForItem, recordMovement, roundQuantity } = require('./stockLedger');
+const { unitCosts } = require('./costing');
+const { roundMoney } = require('./pricing');
+
+const lockStockCount = async (client, countId, restaurantIds) => {
+  const result = await client.query(
+    'SELECT * FROM stock_counts WHERE id = $1 AND restaurant_id = ANY($2) FOR UPDATE',
+    [countId, restaurantIds]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Stock count not found');
+  return result.rows[0];
+};
+
+const assertOpen = (count) => {
+  if (count.status !== 'Open') throw httpError(409, `Stock count is ${count.status}`);
+};
+
+// Call inside a transaction.
+const openStockCount = async (client, { restaurantId, notes, actor = {} }) => {
+  const open = await client.query(
+    "SELECT id FROM stock_counts WHERE restaurant_id = $1 AND status = 'Open'",
+    [restaurantId]
+  );
+  if (open.rowCount > 0) {
+    throw httpError(409, 'A stock count is already open for this restaurant', { stock_count_id: open.rows[0].id });
+  }
+  const count = await client.query(
+    'INSERT INTO stock_counts (restaurant_id, notes, opened_by) VALUES ($1, $2, $3) RETURNING *',
+    [restaurantId, notes || null, actor.employee_id || null]
+  );
+  await client.query(
+    `INSERT INTO stock_count_items (stock_count_id, inventory_id, expected_quantity)
+     SELECT $1, id, COALESCE(quantity, 0) FROM inventory WHERE restaurant_id = $2`,
+    [count.rows[0].id, restaurantId]
+  );
+  return count.rows[0];
+};
+
+// The count sheet: expected vs counted per item, valued at unit cost. While the count is open the
+// figures are live; once finalized they are the ones that were posted.
+const getStockCount = async (db, countId, restaurantIds) => {
+  const count = await db.query(
+    `SELECT sc.*, o.name AS opened_by_name, f.name AS finalized_by_name
+     FROM stock_counts sc
+     LEFT JOIN employees o ON o.id = sc.opened_by
+     LEFT JOIN employees f ON f.id = sc.finalized_by
+     WHERE sc.id = $1 AND sc.restaurant_id = ANY($2)`,
+    [countId, restaurantIds]
+  );
+  if (count.rowCount === 0) throw httpError(404, 'Stock count not found');
+  const rows = await db.query(
+    `SELECT ci.inventory_id, i.name AS item_name, i.unit, ci.expected_quantity,
+            COALESCE(ci.counted_quantity, e.counted) AS counted_quantity, ci.unit_cost,
+            COALESCE(e.devices, '{}') AS devices, e.last_counted_at
+     FROM stock_count_items ci
+     JOIN inventory i ON i.id = ci.inventory_id
+     LEFT JOIN (
+       SELECT inventory_id, SUM(quantity) AS counted, ARRAY_AGG(DISTINCT device_id) AS devices,
+              MAX(counted_at) AS last_counted_at
+       FROM stock_count_entries WHERE stock_count_id = $1
+       GROUP BY inventory_id
+     ) e ON e.inventory_id = ci.inventory_id
+     WHERE ci.stock_count_id = $1
+     ORDER BY i.name ASC`,
+    [countId]
+  );
+  const open = count.rows[0].status === 'Open';
+  const costs = open ? await unitCosts(db, rows.rows.map(r => r.inventory_id)) : null;
+
+  const summary = { items: rows.rows.length, counted_items: 0, shortage_value: 0, overage_value: 0, net_variance_value: 0 };
+  const items = rows.rows.map(row => {
+    const expected = Number(row.expected_quantity);
+    const counted = row.counted_quantity == null ? null : Number(row.counted_quantity);
+    const unitCost = open ? costs.get(row.inventory_id) : (row.unit_cost == null ? null : Number(row.unit_cost));
+    const variance = counted == null ? null : roundQuantity(counted - expected);
+    const varianceValue = variance == null || unitCost == null ? null : roundMoney(variance * unitCost);
+    if (counted != null) summary.counted_items += 1;
+    if (varianceValue != null) {
+      if (varianceValue < 0) summary.shortage_value = roundMoney(summary.shortage_value - varianceValue);
+      else summary.overage_value = roundMoney(summary.overage_value + varianceValue);
+      summary.net_variance_value = roundMoney(summary.net_variance_value + varianceValue);
+    }
+    return {
+      inventory_id: row.inventory_id,
+      item_name: row.item_name,
+      unit: row.unit,
+      expected_quantity: expected,
+      counted_quantity: counted,
+      variance,
+      unit_cost: unitCost,
+      variance_value: varianceValue,
+      devices: row.devices,
+      last_counted_at: row.last_counted_at,
+    };
+  });
+  summary.uncounted_items = summary.items - summary.counted_items;
+  return { ...count.rows[0], items, summary };
+};
+
+// entries: [{ inventory_id, quantity, unit? }]; each replaces this device's earlier figure for the item.
+const submitCounts = async (client, count, entries, { deviceId, actor = {} } = {}) => {
+  assertOpen(count);
+  if (!Array.isArray(entries) || entries.length === 0) throw httpError(400, 'items must be a non-empty array');
+  entries.forEach((entry, index) => {
+    if (!Number.isInteger(entry.inventory_id) || typeof entry.quantity !== 'number' || entry.quantity < 0) {
+      throw httpError(400, `Item ${index} needs an integer inventory_id and a non-negative quantity`);
+    }
+  });
+  const result = await client.query(
+    `SELECT i.* FROM stock_count_items ci JOIN inventory i ON i.id = ci.inventory_id
+     WHERE ci.stock_count_id = $1 AND ci.inventory_id = ANY($2::int[])`,
+    [count.id, entries.map(e => e.inventory_id)]
+  );
+  const items = new Map(result.rows.map(i => [i.id, i]));
+  const missing = entries.map(e => e.inventory_id).filter(id => !items.has(id));
+  if (missing.length) throw httpError(400, 'Items not part of this count', { inventory_ids: missing });
+
+  for (const entry of entries) {
+    const quantity = await convertForItem(client, items.get(entry.inventory_id), entry.quantity, entry.unit);
+    await client.query(
+      `INSERT INTO stock_count_entries
+         (stock_count_id, inventory_id, device_id, quantity, entered_quantity, entered_unit, employee_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (stock_count_id, inventory_id, device_id) DO UPDATE SET
+         quantity = EXCLUDED.quantity, entered_quantity = EXCLUDED.entered_quantity,
+         entered_unit = EXCLUDED.entered_unit, employee_id = EXCLUDED.employee_id, counted_at = NOW()`,
+      [count.id, entry.inventory_id, deviceId || 'default', quantity, entry.quantity, entry.unit || null,
+        actor.employee_id || null]
+    );
+  }
+};
+
+// Posts each counted item's variance as a 'counted' movement. The count stands for the stock at the
+// moment the count was opened, so sales or deliveries booked since then stay on top of it.
+// Items nobody counted are left alone. Call inside a transaction with the count locked.
+const finalizeStockCount = async (client, count, actor = {}) => {
+  assertOpen(count);
+  const counted = await client.query(
+    `SELECT ci.inventory_id, ci.expected_quantity, SUM(e.quantity) AS counted
+     FROM stock_count_items ci
+     JOIN stock_count_entries e ON e.stock_count_id = ci.stock_count_id AND e.inventory_id = ci.inventory_id
+     WHERE ci.stock_count_id = $1
+     GROUP BY ci.inventory_id, ci.expected_quantity
+     ORDER BY ci.inventory_id`,
+    [count.id]
+  );
+  if (counted.rowCount === 0) throw httpError(409, 'Nothing has been counted yet');
+
+  for (const row of counted.rows) {
+    await lockItem(client, row.inventory_id);
+    const variance = roundQuantity(Number(row.counted) - Number(row.expected_quantity));
+    if (variance !== 0) {
+      await recordMovement(client, row.inventory_id, 'counted', variance, {
+        reason: `Stock count ${count.id}`,
+        stock_count_id: count.id,
+        actor,
+      });
+    }
+    await client.query(
+      'UPDATE stock_count_items SET counted_quantity = $1 WHERE stock_count_id = $2 AND inventory_id = $3',
+      [row.counted, count.id, row.inventory_id]
+    );
+  }
+
+  // Freeze the costs the report was valued at.
+  const all = await client.query('SELECT inventory_id FROM stock_count_items WHERE stock_count_id = $1', [count.id]);
+  const costs = await unitCosts(client, all.rows.map(r => r.inventory_id));
+  for (const [inventoryId, unitCost] of costs) {
+    if (unitCost == null) continue;
+    await client.query(
+      'UPDATE stock_count_items SET unit_cost = $1 WHERE stock_count_id = $2 AND inventory_id = $3',
+      [unitCost, count.id, inventoryId]
+    );
+  }
+  await client.query(
+    "UPDATE stock_counts SET status = 'Finalized', finalized_by = $1, finalized_at = NOW() WHERE id = $2",
+    [actor.employee_id || null, count.id]
+  );
+  return counted.rows.map(r => r.inventory_id);
+};
+
+module.exports = { lockStockCount, openStockCount, getStockCount, submitCounts, finalizeStockCount };
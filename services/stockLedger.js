@@ -0,0 +1,83 @@
+// File: services/stockLedger.js
+// Append-only stock movements. inventory.quantity is only ever changed through recordMovement,
+// so it always equals the sum of the item's ledger.
+const httpError = require('./httpError');
+const { toItemUnit } = require('./units');
+
+const movementTypes = ['received', 'sold', 'wasted', 'counted', 'transferred'];
+
+// Matches the NUMERIC(14, 4) ledger columns so balances never drift from rounding.
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+// Locks the item row for the rest of the transaction.
+const lockItem = async (client, inventoryId, restaurantIds) => {
+  const result = await client.query(
+    `SELECT * FROM inventory WHERE id = $1 ${restaurantIds ? 'AND restaurant_id = ANY($2)' : ''} FOR UPDATE`,
+    restaurantIds ? [inventoryId, restaurantIds] : [inventoryId]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Inventory item not found');
+  return result.rows[0];
+};
+
+const itemPacks = async (db, inventoryId) =>
+  (await db.query('SELECT unit, quantity FROM inventory_units WHERE inventory_id = $1', [inventoryId])).rows;
+
+// Entered amount in the item's own unit (pack sizes and standard conversions applied).
+const convertForItem = async (db, item, quantity, unit) =>
+  roundQuantity(toItemUnit(quantity, unit, item, await itemPacks(db, item.id)));
+
+// Applies a signed change (in the item's unit) and writes its ledger row. Call inside a transaction.
+// details: { reason, order_id, supplier_order_id, stock_count_id, waste_entry_id, transfer_inventory_id,
+//            entered_quantity, entered_unit, actor: { uid, employee_id } }
+const recordMovement = async (client, inventoryId, type, change, details = {}) => {
+  if (!movementTypes.includes(type)) throw httpError(400, `Unknown movement type ${type}`);
+  const actor = details.actor || {};
+  const item = await client.query(
+    'UPDATE inventory SET quantity = COALESCE(quantity, 0) + $1 WHERE id = $2 RETURNING quantity',
+    [roundQuantity(change), inventoryId]
+  );
+  if (item.rowCount === 0) throw httpError(404, 'Inventory item not found');
+  const movement = await client.query(
+    `INSERT INTO inventory_movements
+       (inventory_id, movement_type, quantity, balance_after, entered_quantity, entered_unit, reason,
+        order_id, supplier_order_id, stock_count_id, waste_entry_id, transfer_inventory_id, employee_id, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+    [
+      inventoryId, type, roundQuantity(change), item.rows[0].quantity,
+      details.entered_quantity == null ? null : details.entered_quantity, details.entered_unit || null,
+      details.reason || null, details.order_id || null, details.supplier_order_id || null,
+      details.stock_count_id || null, details.waste_entry_id || null, details.transfer_inventory_id || null,
+      actor.employee_id || null, actor.uid || null,
+    ]
+  );
+  return movement.rows[0];
+};
+
+// A physical count: records the difference between the counted and the expected quantity.
+// `counted` is in the item's unit.
+const recordCount = async (client, item, counted, details = {}) => {
+  const expected = Number(item.quantity || 0);
+  return recordMovement(client, item.id, 'counted', counted - expected, details);
+};
+
+// Moves stock between two items (e.g. the same product at two restaurants). quantity is in the source's unit.
+const recordTransfer = async (client, from, to, quantity, details = {}) => {
+  if (Number(from.quantity || 0) < quantity) {
+    throw httpError(409, `Only ${Number(from.quantity || 0)} ${from.unit} of ${from.name} on hand`);
+  }
+  const received = await convertForItem(client, to, quantity, from.unit);
+  const out = await recordMovement(client, from.id, 'transferred', -quantity, { ...details, transfer_inventory_id: to.id });
+  const into = await recordMovement(client, to.id, 'transferred', received, { ...details, transfer_inventory_id: from.id });
+  return [out, into];
+};
+
+module.exports = {
+  movementTypes,
+  roundQuantity,
+  lockItem,
+  itemPacks,
+  convertForItem,
+  recordMovement,
+  recordCount,
+  recordTransfer,
+};
@@ -0,0 +1,53 @@
+// File: services/stripe.js
+const Stripe = require('stripe');
+
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stripe-mock instead of api.stripe.com.
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder', {
+  host: process.env.STRIPE_API_HOST || undefined,
+  port: process.env.STRIPE_API_PORT || undefined,
+  protocol: process.env.STRIPE_API_PROTOCOL || undefined,
+});
+
+const currency = process.env.STRIPE_CURRENCY || 'usd';
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+// The intent charges the order total plus any card tip.
+const createOrderPaymentIntent = (order, tip = 0) =>
+  stripe.paymentIntents.create(
+    {
+      amount: toMinorUnits(Number(order.total_price) + tip),
+      currency,
+      metadata: { order_id: String(order.id), restaurant_id: String(order.restaurant_id), tip: String(tip) },
+      automatic_payment_methods: { enabled: true },
+    },
+    { idempotencyKey: `order-${order.id}-payment` }
+  );
+
+const updatePaymentIntentAmount = (intentId, amount) =>
+  stripe.paymentIntents.update(intentId, { amount: toMinorUnits(amount) });
+
+const cancelPaymentIntent = (intentId) => stripe.paymentIntents.cancel(intentId);
+
+// Refunds the whole charge; Stripe reports completion with a charge.refunded webhook.
+const refundPaymentIntent = (intentId, orderId) =>
+  stripe.refunds.create({ payment_intent: intentId }, { idempotencyKey: `order-${orderId}-refund` });
+
+// payments.status keeps the app's own vocabulary (pending, succeeded, failed, canceled, refunded) rather
+// than Stripe's intent statuses; everything still awaiting the customer is pending.
+const intentStatuses = { succeeded: 'succeeded', canceled: 'canceled' };
+const paymentStatusOf = (intent) => intentStatuses[intent.status] || 'pending';
+
+const constructWebhookEvent = (rawBody, signature) =>
+  stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+
+module.exports = {
+  stripe,
+  toMinorUnits,
+  createOrderPaymentIntent,
+  updatePaymentIntentAmount,
+  cancelPaymentIntent,
+  refundPaymentIntent,
+  paymentStatusOf,
+  constructWebhookEvent,
+};
@@ -0,0 +1,392 @@
+// File: services/timeClock.js
+// Clock-in/out and breaks for the signed-in employee, manager corrections with an audit trail, and
+// timesheets comparing the published schedule with the hours actually worked. Punch times come from
+// the database clock, never the device. A punch is linked to the published shift it falls in (or starts
+// within SHIFT_MATCH_MINUTES of), so scheduled and actual hours can be compared shift by shift.
+const httpError = require('./httpError');
+const { lockEmployee, span, weekOf } = require('./scheduling');
+
+const SHIFT_MATCH_MINUTES = 120;
+const MAX_ENTRY_HOURS = 24;
+
+const roundHours = (ms) => Math.round(ms / 36000) / 100;
+const isTimestamp = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v));
+const iso = (v) => (v == null ? null : new Date(v).toISOString());
+
+// work_date is the restaurant-local date the entry started on; timesheets file hours under it.
+const entrySelect = `SELECT t.*, e.name AS employee_name, (t.clock_in AT TIME ZONE r.timezone)::date::text AS work_date,
+    COALESCE((SELECT json_agg(json_build_object('id', b.id, 'started_at', b.started_at, 'ended_at', b.ended_at, 'paid', b.paid)
+                              ORDER BY b.started_at)
+              FROM time_entry_breaks b WHERE b.time_entry_id = t.id), '[]') AS breaks
+  FROM time_entries t
+  JOIN employees e ON e.id = t.employee_id
+  JOIN restaurants r ON r.id = t.restaurant_id`;
+
+// Adds break_hours and worked_hours (unpaid breaks taken off); open entries and breaks run to `now`.
+const withHours = (row, now = new Date()) => {
+  const entry = { ...row, breaks: row.breaks.map(b => ({ ...b, started_at: iso(b.started_at), ended_at: iso(b.ended_at) })) };
+  const end = entry.clock_out ? new Date(entry.clock_out) : now;
+  const length = (b) => (b.ended_at ? new Date(b.ended_at) : end) - new Date(b.started_at);
+  const unpaid = entry.breaks.filter(b => !b.paid).reduce((sum, b) => sum + length(b), 0);
+  return {
+    ...entry,
+    on_break: entry.breaks.some(b => !b.ended_at),
+    break_hours: roundHours(entry.breaks.reduce((sum, b) => sum + length(b), 0)),
+    worked_hours: roundHours(end - new Date(entry.clock_in) - unpaid),
+  };
+};
+
+const getEntry = async (db, id, restaurantIds) => {
+  const result = await db.query(`${entrySelect} WHERE t.id = $1 AND t.restaurant_id = ANY($2)`, [id, restaurantIds]);
+  if (result.rowCount === 0) throw httpError(404, 'Time entry not found');
+  return withHours(result.rows[0]);
+};
+
+const openEntry = async (db, employeeId) => {
+  const result = await db.query(`${entrySelect} WHERE t.employee_id = $1 AND t.clock_out IS NULL`, [employeeId]);
+  return result.rows.length ? withHours(result.rows[0]) : null;
+};
+
+// Great-circle distance in metres.
+const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+// The restaurant's optional device and geofence checks.
+const checkPunch = async (db, restaurantId, { device_id, latitude, longitude }) => {
+  const result = await db.query(
+    'SELECT latitude, longitude, clock_geofence_meters, clock_device_ids FROM restaurants WHERE id = $1',
+    [restaurantId]
+  );
+  const restaurant = result.rows[0];
+  if (restaurant.clock_device_ids && restaurant.clock_device_ids.length && !restaurant.clock_device_ids.includes(device_id)) {
+    throw httpError(403, 'This device is not registered for the time clock');
+  }
+  if (restaurant.clock_geofence_meters && restaurant.latitude != null && restaurant.longitude != null) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw httpError(400, 'latitude and longitude are required to punch at this restaurant');
+    }
+    const distance = Math.round(distanceMeters(restaurant.latitude, restaurant.longitude, latitude, longitude));
+    if (distance > restaurant.clock_geofence_meters) {
+      throw httpError(403, `Punches must be made within ${restaurant.clock_geofence_meters} m of the restaurant`, { distance_meters: distance });
+    }
+  }
+};
+
+// The published shift being started: not yet worked, and under way or starting within SHIFT_MATCH_MINUTES.
+const matchShift = async (db, employeeId, restaurantId) => {
+  const result = await db.query(
+    `SELECT s.id FROM shifts s
+     JOIN restaurants r ON r.id = s.restaurant_id
+     WHERE s.employee_id = $1 AND s.restaurant_id = $2 AND s.status = 'Published'
+       AND NOT EXISTS (SELECT 1 FROM time_entries t WHERE t.shift_id = s.id)
+       AND s.shift_date BETWEEN (NOW() AT TIME ZONE r.timezone)::date - 1 AND (NOW() AT TIME ZONE r.timezone)::date + 1
+       AND NOW() >= ((s.shift_date + s.start_time) AT TIME ZONE r.timezone) - make_interval(mins => $3)
+       AND NOW() < ((s.shift_date + s.end_time + CASE WHEN s.ends_next_day THEN interval '1 day' ELSE interval '0 days' END)
+                    AT TIME ZONE r.timezone)
+     ORDER BY ABS(EXTRACT(EPOCH FROM ((s.shift_date + s.start_time) AT TIME ZONE r.timezone) - NOW())) ASC
+     LIMIT 1`,
+    [employeeId, restaurantId, SHIFT_MATCH_MINUTES]
+  );
+  return result.rows.length ? result.rows[0].id : null;
+};
+
+// Call the punch functions inside a transaction.
+const clockIn = async (client, employeeId, restaurantId, { device_id, latitude, longitude, notes } = {}) => {
+  await lockEmployee(client, employeeId);
+  const open = await openEntry(client, employeeId);
+  if (open) throw httpError(409, 'Already clocked in', { time_entry_id: open.id });
+  await checkPunch(client, restaurantId, { device_id, latitude, longitude });
+  const shiftId = await matchShift(client, employeeId, restaurantId);
+  const inserted = await client.query(
+    `INSERT INTO time_entries (employee_id, restaurant_id, shift_id, clock_in, clock_in_device, clock_in_latitude, clock_in_longitude, notes)
+     VALUES ($1, $2, $3, NOW(), $4, $5, $6, $7) RETURNING id`,
+    [employeeId, restaurantId, shiftId, device_id || null,
+      typeof latitude === 'number' ? latitude : null, typeof longitude === 'number' ? longitude : null, notes || null]
+  );
+  return getEntry(client, inserted.rows[0].id, [restaurantId]);
+};
+
+// Clocking out ends a break still running.
+const clockOut = async (client, employeeId, { device_id, latitude, longitude } = {}) => {
+  await lockEmployee(client, employeeId);
+  const open = await openEntry(client, employeeId);
+  if (!open) throw httpError(409, 'Not clocked in');
+  await checkPunch(client, open.restaurant_id, { device_id, latitude, longitude });
+  await client.query('UPDATE time_entry_breaks SET ended_at = NOW() WHERE time_entry_id = $1 AND ended_at IS NULL', [open.id]);
+  await client.query('UPDATE time_entries SET clock_out = NOW(), clock_out_device = $2 WHERE id = $1', [open.id, device_id || null]);
+  return getEntry(client, open.id, [open.restaurant_id]);
+};
+
+const startBreak = async (client, employeeId, { paid = false } = {}) => {
+  if (typeof paid !== 'boolean') throw httpError(400, 'paid must be true or false');
+  await lockEmployee(client, employeeId);
+  const open = await openEntry(client, employeeId);
+  if (!open) throw httpError(409, 'Not clocked in');
+  if (open.on_break) throw httpError(409, 'Already on a break');
+  await client.query('INSERT INTO time_entry_breaks (time_entry_id, started_at, paid) VALUES ($1, NOW(), $2)', [open.id, paid]);
+  return getEntry(client, open.id, [open.restaurant_id]);
+};
+
+const endBreak = async (client, employeeId) => {
+  await lockEmployee(client, employeeId);
+  const open = await openEntry(client, employeeId);
+  if (!open || !open.on_break) throw httpError(409, 'Not on a break');
+  await client.query('UPDATE time_entry_breaks SET ended_at = NOW() WHERE time_entry_id = $1 AND ended_at IS NULL', [open.id]);
+  return getEntry(client, open.id, [open.restaurant_id]);
+};
+
+// Validates the times of a manager-entered entry: clock_in, an optional clock_out and breaks inside the
+// entry that don't overlap (only the last may be open, and only while the entry is).
+const entryTimes = ({ clock_in, clock_out = null, breaks = [] }) => {
+  if (!isTimestamp(clock_in)) throw httpError(400, 'clock_in must be an ISO timestamp');
+  if (clock_out != null && !isTimestamp(clock_out)) throw httpError(400, 'clock_out must be an ISO timestamp');
+  const start = Date.parse(clock_in);
+  const end = clock_out == null ? null : Date.parse(clock_out);
+  if (end != null && end <= start) throw httpError(400, 'clock_out must be after clock_in');
+  if (end != null && end - start > MAX_ENTRY_HOURS * 3600000) {
+    throw httpError(400, `Time entries can't be longer than ${MAX_ENTRY_HOURS} hours`);
+  }
+  if (!Array.isArray(breaks)) throw httpError(400, 'breaks must be an array');
+  const sorted = breaks.map((b) => {
+    if (!b || !isTimestamp(b.started_at) || (b.ended_at != null && !isTimestamp(b.ended_at))) {
+      throw httpError(400, 'Each break needs a started_at (and ended_at) ISO timestamp');
+    }
+    if (b.paid != null && typeof b.paid !== 'boolean') throw httpError(400, 'break paid must be true or false');
+    return { started_at: iso(b.started_at), ended_at: iso(b.ended_at), paid: b.paid === true };
+  }).sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+  let previousEnd = start;
+  sorted.forEach((b, i) => {
+    const bStart = Date.parse(b.started_at);
+    const bEnd = b.ended_at == null ? null : Date.parse(b.ended_at);
+    const last = i === sorted.length - 1;
+    if (bStart < previousEnd || (bEnd != null && bEnd <= bStart) || (end != null && (bEnd == null || bEnd > end))
+      || (bEnd == null && !last)) {
+      throw httpError(400, 'Breaks must fall inside the entry without overlapping each other');
+    }
+    previousEnd = bEnd;
+  });
+  return { clock_in: iso(clock_in), clock_out: iso(clock_out), breaks: sorted };
+};
+
+const assertNoOverlap = async (db, employeeId, times, excludeId = null) => {
+  const result = await db.query(
+    `SELECT id FROM time_entries
+     WHERE employee_id = $1 AND ($2::int IS NULL OR id <> $2)
+       AND clock_in < COALESCE($4::timestamptz, 'infinity') AND COALESCE(clock_out, 'infinity') > $3::timestamptz`,
+    [employeeId, excludeId, times.clock_in, times.clock_out]
+  );
+  if (result.rowCount) throw httpError(409, `Overlaps time entry #${result.rows[0].id}`, { time_entry_id: result.rows[0].id });
+};
+
+const snapshot = (entry) => ({
+  clock_in: iso(entry.clock_in),
+  clock_out: iso(entry.clock_out),
+  shift_id: entry.shift_id,
+  notes: entry.notes,
+  breaks: entry.breaks.map(b => ({ started_at: iso(b.started_at), ended_at: iso(b.ended_at), paid: b.paid })),
+});
+
+const writeTimes = async (client, entryId, times, notes) => {
+  await client.query(
+    'UPDATE time_entries SET clock_in = $2, clock_out = $3, notes = $4, edited = true WHERE id = $1',
+    [entryId, times.clock_in, times.clock_out, notes]
+  );
+  await client.query('DELETE FROM time_entry_breaks WHERE time_entry_id = $1', [entryId]);
+  for (const b of times.breaks) {
+    await client.query(
+      'INSERT INTO time_entry_breaks (time_entry_id, started_at, ended_at, paid) VALUES ($1, $2, $3, $4)',
+      [entryId, b.started_at, b.ended_at, b.paid]
+    );
+  }
+};
+
+const audit = (client, entry, action, reason, before, after, actor) => client.query(
+  `INSERT INTO time_entry_edits (time_entry_id, employee_id, restaurant_id, action, reason, before, after, edited_by)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+  [action === 'delete' ? null : entry.id, entry.employee_id, entry.restaurant_id, action, reason, before, after, actor.employee_id || null]
+);
+
+const requireReason = (reason) => {
+  if (typeof reason !== 'string' || !reason.trim()) throw httpError(400, 'A reason is required for time clock corrections');
+  return reason.trim();
+};
+
+// Manager corrections. Each one records the entry before and after with the reason. Call inside a transaction.
+const createEntry = async (client, restaurantId, body, actor) => {
+  const reason = requireReason(body.reason);
+  const works = await client.query(
+    'SELECT 1 FROM employee_restaurants WHERE employee_id = $1 AND restaurant_id = $2',
+    [body.employee_id, restaurantId]
+  );
+  if (works.rowCount === 0) throw httpError(404, 'Employee not found');
+  const times = entryTimes(body);
+  await lockEmployee(client, body.employee_id);
+  await assertNoOverlap(client, body.employee_id, times);
+  const inserted = await client.query(
+    `INSERT INTO time_entries (employee_id, restaurant_id, shift_id, clock_in, clock_out, notes, edited)
+     VALUES ($1, $2, $3, $4, $5, $6, true) RETURNING id`,
+    [body.employee_id, restaurantId, body.shift_id || null, times.clock_in, times.clock_out, body.notes || null]
+  );
+  await writeTimes(client, inserted.rows[0].id, times, body.notes || null);
+  const entry = await getEntry(client, inserted.rows[0].id, [restaurantId]);
+  await audit(client, entry, 'create', reason, null, snapshot(entry), actor);
+  return entry;
+};
+
+// Fields left out of the body keep their current values.
+const updateEntry = async (client, id, restaurantIds, body, actor) => {
+  const reason = requireReason(body.reason);
+  const current = await getEntry(client, id, restaurantIds);
+  await lockEmployee(client, current.employee_id);
+  const before = snapshot(current);
+  const times = entryTimes({
+    clock_in: body.clock_in !== undefined ? body.clock_in : before.clock_in,
+    clock_out: body.clock_out !== undefined ? body.clock_out : before.clock_out,
+    breaks: body.breaks !== undefined ? body.breaks : before.breaks,
+  });
+  await assertNoOverlap(client, current.employee_id, times, current.id);
+  await writeTimes(client, current.id, times, body.notes !== undefined ? body.notes : current.notes);
+  const entry = await getEntry(client, current.id, restaurantIds);
+  await audit(client, entry, 'update', reason, before, snapshot(entry), actor);
+  return entry;
+};
+
+const deleteEntry = async (client, id, restaurantIds, reason, actor) => {
+  const why = requireReason(reason);
+  const entry = await getEntry(client, id, restaurantIds);
+  await audit(client, entry, 'delete', why, snapshot(entry), null, actor);
+  await client.query('DELETE FROM time_entries WHERE id = $1', [entry.id]);
+};
+
+// Entries by the restaurant-local date they started on.
+const listEntries = async (db, restaurantIds, { from, to, employeeId = null }) => {
+  const result = await db.query(
+    `${entrySelect}
+     WHERE t.restaurant_id = ANY($1) AND (t.clock_in AT TIME ZONE r.timezone)::date BETWEEN $2 AND $3
+       AND ($4::int IS NULL OR t.employee_id = $4)
+     ORDER BY t.clock_in DESC`,
+    [restaurantIds, from, to, employeeId]
+  );
+  const now = new Date();
+  return result.rows.map(entry => withHours(entry, now));
+};
+
+// Scheduled (published shifts) against actual hours per employee and day, dates being restaurant-local.
+// Overtime follows the restaurants' rules: hours past the daily threshold, then past the weekly one
+// (counting from the Monday of the week `from` falls in). Staff at several of the restaurants get the
+// strictest of their rules. Open entries count up to now and are flagged.
+const timesheets = async (db, restaurantIds, { from, to }) => {
+  const weekStart = weekOf(from).start;
+  const [entries, shifts] = await Promise.all([
+    db.query(
+      `${entrySelect}
+       WHERE t.restaurant_id = ANY($1) AND (t.clock_in AT TIME ZONE r.timezone)::date BETWEEN $2 AND $3`,
+      [restaurantIds, weekStart, to]
+    ),
+    db.query(
+      `SELECT s.employee_id, s.shift_date::text AS shift_date, s.start_time::text AS start_time,
+              s.end_time::text AS end_time, s.ends_next_day
+       FROM shifts s WHERE s.restaurant_id = ANY($1) AND s.status = 'Published' AND s.shift_date BETWEEN $2 AND $3`,
+      [restaurantIds, from, to]
+    ),
+  ]);
+  const employeeIds = [...new Set([...entries.rows.map(e => e.employee_id), ...shifts.rows.map(s => s.employee_id)])];
+  const [people, rules] = await Promise.all([
+    db.query('SELECT id, name, role FROM employees WHERE id = ANY($1) ORDER BY name ASC', [employeeIds]),
+    db.query(
+      `SELECT er.employee_id, MIN(r.overtime_weekly_hours) AS weekly, MIN(r.overtime_daily_hours) AS daily
+       FROM employee_restaurants er JOIN restaurants r ON r.id = er.restaurant_id
+       WHERE er.employee_id = ANY($1) AND er.restaurant_id = ANY($2)
+       GROUP BY er.employee_id`,
+      [employeeIds, restaurantIds]
+    ),
+  ]);
+  const rulesOf = new Map(rules.rows.map(r => [r.employee_id, {
+    weekly: Number(r.weekly),
+    daily: r.daily == null ? null : Number(r.daily),
+  }]));
+
+  const now = new Date();
+  return people.rows.map((person) => {
+    const days = new Map();
+    const day = (date) => {
+      if (!days.has(date)) {
+        days.set(date, { date, scheduled_hours: 0, actual_hours: 0, break_hours: 0, time_entry_ids: [], open: false });
+      }
+      return days.get(date);
+    };
+    for (const shift of shifts.rows.filter(s => s.employee_id === person.id)) {
+      day(shift.shift_date).scheduled_hours += span(shift).hours;
+    }
+    for (const entry of entries.rows.filter(e => e.employee_id === person.id)) {
+      const worked = withHours(entry, now);
+      const d = day(entry.work_date);
+      d.actual_hours += worked.worked_hours;
+      d.break_hours += worked.break_hours;
+      d.time_entry_ids.push(entry.id);
+      if (!entry.clock_out) d.open = true;
+    }
+
+    const { weekly, daily } = rulesOf.get(person.id) || { weekly: 40, daily: null };
+    const ordered = [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+    let week = null;
+    let regularThisWeek = 0;
+    for (const d of ordered) {
+      const thisWeek = weekOf(d.date).start;
+      if (thisWeek !== week) {
+        week = thisWeek;
+        regularThisWeek = 0;
+      }
+      let regular = daily == null ? d.actual_hours : Math.min(d.actual_hours, daily);
+      const pastWeekly = Math.max(0, regularThisWeek + regular - weekly);
+      regular -= pastWeekly;
+      regularThisWeek += regular;
+      d.regular_hours = regular;
+      d.overtime_hours = d.actual_hours - regular;
+    }
+
+    const shown = ordered.filter(d => d.date >= from && d.date <= to).map(d => ({
+      ...d,
+      scheduled_hours: roundHours(d.scheduled_hours * 3600000),
+      actual_hours: roundHours(d.actual_hours * 3600000),
+      break_hours: roundHours(d.break_hours * 3600000),
+      regular_hours: roundHours(d.regular_hours * 3600000),
+      overtime_hours: roundHours(d.overtime_hours * 3600000),
+      variance_hours: roundHours((d.actual_hours - d.scheduled_hours) * 3600000),
+    }));
+    const total = (key) => roundHours(shown.reduce((sum, d) => sum + d[key], 0) * 3600000);
+    return {
+      employee_id: person.id,
+      name: person.name,
+      role: person.role,
+      days: shown,
+      totals: {
+        scheduled_hours: total('scheduled_hours'),
+        actual_hours: total('actual_hours'),
+        break_hours: total('break_hours'),
+        regular_hours: total('regular_hours'),
+        overtime_hours: total('overtime_hours'),
+        variance_hours: total('variance_hours'),
+        open_entries: shown.filter(d => d.open).length,
+      },
+    };
+  }).filter(sheet => sheet.days.length);
+};
+
+module.exports = {
+  getEntry,
+  openEntry,
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  listEntries,
+  timesheets,
+};
@@ -0,0 +1,207 @@
+// File: services/tips.js
+// Tip capture and pooling. Card tips are charged with the order's payment and count once it succeeds;
+// cash tips are declared by staff when they settle a cash payment. A distribution shares out each
+// business day's tips between the staff who worked that day: every role in the pool earns its weight
+// in points per hour clocked, and each person's share of the day is their points over everyone's.
+// Shares land in tips_earnings (one row per person per distribution), which payroll pays out.
+const httpError = require('./httpError');
+const { reportSql } = require('./reportRange');
+const { roundMoney } = require('./pricing');
+const { timesheets } = require('./timeClock');
+
+// Whole cents, allowing for binary floating point (4.35 * 100 is 434.99999999999994).
+const isTip = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && Math.abs(Math.round(v * 100) - v * 100) < 1e-6;
+
+// Records the card tip charged with a payment; it stays Pending until the payment succeeds.
+const recordCardTip = (db, order, paymentId, amount) => db.query(
+  `INSERT INTO tips (restaurant_id, order_id, payment_id, source, amount)
+   VALUES ($1, $2, $3, 'card', $4)`,
+  [order.restaurant_id, order.id, paymentId, amount]
+);
+
+// Follows the payment outcome: tips on succeeded payments are Captured, on failed ones Void.
+const settleCardTips = (db, paymentId, paymentStatus) => db.query(
+  'UPDATE tips SET status = $1 WHERE payment_id = $2 AND tip_distribution_id IS NULL',
+  [paymentStatus === 'succeeded' ? 'Captured' : 'Void', paymentId]
+);
+
+// Marks a cash payment as received and records the cash tip declared with it. Call inside a transaction.
+const settleCashPayment = async (client, paymentId, restaurantIds, tip, actor = {}) => {
+  if (!isTip(tip)) throw httpError(400, 'tip must be an amount of at least 0');
+  const found = await client.query(
+    `SELECT p.*, o.restaurant_id FROM payments p JOIN orders o ON o.id = p.order_id
+     WHERE p.id = $1 AND o.restaurant_id = ANY($2) FOR UPDATE OF p`,
+    [paymentId, restaurantIds]
+  );
+  if (found.rowCount === 0) throw httpError(404, 'Payment not found');
+  const payment = found.rows[0];
+  if (payment.method !== 'cash') throw httpError(409, 'Only cash payments are settled at checkout');
+  if (payment.status === 'succeeded') throw httpError(409, 'Payment already settled');
+
+  const updated = await client.query(
+    "UPDATE payments SET status = 'succeeded', tip_amount = $2, updated_at = NOW() WHERE id = $1 RETURNING *",
+    [paymentId, tip]
+  );
+  await client.query("UPDATE orders SET payment_status = 'paid', updated_at = NOW() WHERE id = $1", [payment.order_id]);
+  if (tip > 0) {
+    await client.query(
+      `INSERT INTO tips (restaurant_id, order_id, payment_id, source, amount, status, declared_by)
+       VALUES ($1, $2, $3, 'cash', $4, 'Captured', $5)`,
+      [payment.restaurant_id, payment.order_id, paymentId, tip, actor.employee_id || null]
+    );
+  }
+  return updated.rows[0];
+};
+
+// Splits `total` by points in whole cents, handing leftover cents to the largest remainders.
+const splitCents = (total, points) => {
+  const cents = Math.round(total * 100);
+  const sumPoints = points.reduce((s, p) => s + p, 0);
+  const exact = points.map(p => (cents * p) / sumPoints);
+  const shares = exact.map(Math.floor);
+  let left = cents - shares.reduce((s, c) => s + c, 0);
+  const order = exact.map((e, i) => [e - shares[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of order) {
+    if (left <= 0) break;
+    shares[i] += 1;
+    left -= 1;
+  }
+  return shares.map(c => c / 100);
+};
+
+// Works out how the restaurant's captured, undistributed tips of business days from..to would be shared,
+// without saving. Days with tips but nobody in the pool on the clock stay undistributed; so do days
+// where someone in the pool is still clocked in, as their hours aren't final.
+const tipPool = async (db, restaurantId, { from, to }) => {
+  const sql = reportSql({ from, to, tz: null }, 1);
+  const [tips, rules, sheets] = await Promise.all([
+    db.query(
+      `SELECT t.id, t.amount::float AS amount, ${sql.businessDate('t.created_at')}::text AS date
+       FROM tips t JOIN restaurants r ON r.id = t.restaurant_id
+       WHERE t.restaurant_id = $1 AND t.status = 'Captured' AND t.tip_distribution_id IS NULL
+         AND ${sql.inRange('t.created_at')}`,
+      [restaurantId, ...sql.params]
+    ),
+    db.query('SELECT role, weight::float AS weight FROM tip_pool_rules WHERE restaurant_id = $1', [restaurantId]),
+    timesheets(db, [restaurantId], { from, to }),
+  ]);
+  const weightOf = new Map(rules.rows.map(r => [r.role, r.weight]));
+
+  const byDate = new Map();
+  for (const tip of tips.rows) {
+    const day = byDate.get(tip.date) || { date: tip.date, total: 0, tip_ids: [] };
+    day.total += tip.amount;
+    day.tip_ids.push(tip.id);
+    byDate.set(tip.date, day);
+  }
+
+  const days = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1)).map((day) => {
+    const total = roundMoney(day.total);
+    const pool = [];
+    let open = false;
+    for (const sheet of sheets) {
+      const worked = sheet.days.find(d => d.date === day.date);
+      if (!worked || !weightOf.has(sheet.role)) continue;
+      if (worked.open) open = true;
+      if (worked.actual_hours > 0) {
+        const weight = weightOf.get(sheet.role);
+        pool.push({
+          employee_id: sheet.employee_id, name: sheet.name, role: sheet.role,
+          hours: worked.actual_hours, weight, points: roundMoney(worked.actual_hours * weight),
+        });
+      }
+    }
+    if (open || pool.length === 0) {
+      return {
+        date: day.date, tips_total: total, tip_ids: day.tip_ids, shares: [],
+        undistributed_reason: open ? 'Someone in the pool is still clocked in' : 'Nobody in the pool worked this day',
+      };
+    }
+    const totalPoints = pool.reduce((s, p) => s + p.points, 0);
+    const amounts = splitCents(total, pool.map(p => p.points));
+    return {
+      date: day.date,
+      tips_total: total,
+      tip_ids: day.tip_ids,
+      total_points: roundMoney(totalPoints),
+      shares: pool.map((p, i) => ({ ...p, share_of_pool: Math.round((p.points / totalPoints) * 10000) / 10000, amount: amounts[i] })),
+    };
+  });
+
+  const employees = new Map();
+  for (const day of days) {
+    for (const share of day.shares) {
+      const person = employees.get(share.employee_id)
+        || { employee_id: share.employee_id, name: share.name, role: share.role, amount: 0, days: [] };
+      person.amount = roundMoney(person.amount + share.amount);
+      person.days.push({
+        date: day.date, tips_total: day.tips_total, hours: share.hours, weight: share.weight, points: share.points,
+        total_points: day.total_points, share_of_pool: share.share_of_pool, amount: share.amount,
+      });
+      employees.set(share.employee_id, person);
+    }
+  }
+  const distributed = days.filter(d => d.shares.length);
+  return {
+    restaurant_id: restaurantId,
+    from,
+    to,
+    rules: rules.rows,
+    days,
+    employees: [...employees.values()].sort((a, b) => b.amount - a.amount),
+    total: roundMoney(distributed.reduce((s, d) => s + d.tips_total, 0)),
+    undistributed: roundMoney(days.filter(d => !d.shares.length).reduce((s, d) => s + d.tips_total, 0)),
+  };
+};
+
+// Shares out the pool: records the distribution, one tips_earnings row per person with their day-by-day
+// breakdown, and marks the tips shared. Call inside a transaction.
+const distributeTips = async (client, restaurantId, range, actor = {}) => {
+  await client.query('SELECT id FROM restaurants WHERE id = $1 FOR UPDATE', [restaurantId]);
+  const pool = await tipPool(client, restaurantId, range);
+  if (pool.total === 0) {
+    throw httpError(409, 'No tips to distribute', { days: pool.days.map(({ tip_ids, ...day }) => day) });
+  }
+  const run = await client.query(
+    `INSERT INTO tip_distributions (restaurant_id, from_date, to_date, total, created_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [restaurantId, range.from, range.to, pool.total, actor.employee_id || null]
+  );
+  const distributionId = run.rows[0].id;
+  for (const person of pool.employees) {
+    await client.query(
+      `INSERT INTO tips_earnings (employee_id, amount, restaurant_id, tip_distribution_id, breakdown)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [person.employee_id, person.amount, restaurantId, distributionId, { role: person.role, days: person.days }]
+    );
+  }
+  const shared = pool.days.filter(d => d.shares.length).flatMap(d => d.tip_ids);
+  await client.query('UPDATE tips SET tip_distribution_id = $1 WHERE id = ANY($2)', [distributionId, shared]);
+  return distributionId;
+};
+
+const getDistribution = async (db, id, restaurantIds) => {
+  const run = await db.query(
+    `SELECT d.*, d.from_date::text AS from_date, d.to_date::text AS to_date, e.name AS created_by_name
+     FROM tip_distributions d LEFT JOIN employees e ON e.id = d.created_by
+     WHERE d.id = $1 AND d.restaurant_id = ANY($2)`,
+    [id, restaurantIds]
+  );
+  if (run.rowCount === 0) throw httpError(404, 'Tip distribution not found');
+  const earnings = await db.query(
+    `SELECT te.*, e.name AS employee_name FROM tips_earnings te JOIN employees e ON e.id = te.employee_id
+     WHERE te.tip_distribution_id = $1 ORDER BY te.amount DESC, e.name ASC`,
+    [id]
+  );
+  return { ...run.rows[0], tips_earnings: earnings.rows };
+};
+
+module.exports = {
+  isTip,
+  recordCardTip,
+  settleCardTips,
+  settleCashPayment,
+  tipPool,
+  distributeTips,
+  getDistribution,
+};
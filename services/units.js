@@ -0,0 +1,58 @@
+// File: services/units.js
+// Converts entered quantities into an inventory item's own unit.
+const httpError = require('./httpError');
+
+// Size of each standard unit in the base unit of its dimension (g, ml, each).
+const standardUnits = {
+  mg: ['mass', 0.001],
+  g: ['mass', 1],
+  kg: ['mass', 1000],
+  oz: ['mass', 28.349523125],
+  lb: ['mass', 453.59237],
+  ml: ['volume', 1],
+  cl: ['volume', 10],
+  dl: ['volume', 100],
+  l: ['volume', 1000],
+  floz: ['volume', 29.5735295625],
+  gal: ['volume', 3785.411784],
+  each: ['count', 1],
+  dozen: ['count', 12],
+};
+
+const aliases = {
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  lbs: 'lb', pound: 'lb', pounds: 'lb', ounce: 'oz', ounces: 'oz',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml',
+  'fl oz': 'floz', gallon: 'gal', gallons: 'gal',
+  ea: 'each', pc: 'each', pcs: 'each', piece: 'each', pieces: 'each', unit: 'each', units: 'each',
+};
+
+const normalizeUnit = (unit) => {
+  const key = String(unit).trim().toLowerCase();
+  return aliases[key] || key;
+};
+
+// How many of `toUnit` make one `fromUnit`, or null when the two can't be converted.
+const standardFactor = (fromUnit, toUnit) => {
+  const from = standardUnits[normalizeUnit(fromUnit)];
+  const to = standardUnits[normalizeUnit(toUnit)];
+  if (!from || !to || from[0] !== to[0]) return null;
+  return from[1] / to[1];
+};
+
+// packs: the item's inventory_units rows ({ unit, quantity } in the item's unit).
+// Pack units win over standard ones, so a 'case' or even a custom 'kg' bag size can be defined per item.
+const toItemUnit = (quantity, unit, item, packs = []) => {
+  if (unit == null || normalizeUnit(unit) === normalizeUnit(item.unit)) return quantity;
+  const pack = packs.find(p => normalizeUnit(p.unit) === normalizeUnit(unit));
+  if (pack) return quantity * Number(pack.quantity);
+  const factor = standardFactor(unit, item.unit);
+  if (factor == null) {
+    throw httpError(400, `Cannot convert ${unit} to ${item.unit} for ${item.name}`, {
+      units: [item.unit, ...packs.map(p => p.unit)],
+    });
+  }
+  return quantity * factor;
+};
+
+module.exports = { standardUnits, normalizeUnit, standardFactor, toItemUnit };
@@ -0,0 +1,85 @@
+// File: services/waitlist.js
+// Wait quotes and queue positions for walk-in parties.
+const httpError = require('./httpError');
+const { getSeatingRules } = require('./seating');
+
+const activeStatuses = ['waiting', 'notified'];
+
+// Allowed manual status changes; 'notified' is set by the seat-next action.
+const transitions = {
+  waiting: ['notified', 'seated', 'no_show'],
+  notified: ['seated', 'no_show'],
+  seated: [],
+  no_show: [],
+};
+
+// Each table that fits the party, with the minutes until its current seating ends.
+const tableFreeTimes = async (db, restaurantId, partySize, seatingMinutes) => {
+  const result = await db.query(
+    `SELECT t.id, t.capacity,
+            GREATEST(0, EXTRACT(EPOCH FROM MAX(
+              rv.reservation_time + make_interval(mins => COALESCE(rv.duration_minutes, $3))
+            ) - LOCALTIMESTAMP) / 60) AS minutes_until_free
+     FROM tables t
+     LEFT JOIN reservations rv
+       ON (rv.table_id = t.id OR t.id = ANY(rv.extra_table_ids))
+      AND rv.reservation_time <= LOCALTIMESTAMP
+      AND rv.reservation_time + make_interval(mins => COALESCE(rv.duration_minutes, $3)) > LOCALTIMESTAMP
+     WHERE t.restaurant_id = $1 AND t.capacity >= $2
+     GROUP BY t.id`,
+    [restaurantId, partySize, seatingMinutes]
+  );
+  return result.rows.map(r => ({ capacity: r.capacity, minutes: Number(r.minutes_until_free) || 0 }));
+};
+
+// Estimated minutes until a party of partySize is seated. Every party ahead in the queue that
+// could sit at one of those tables is assumed to take it first for a full seating, so quotes err long.
+// Returns null when no single table is large enough (the host has to combine tables).
+const estimateWait = async (db, restaurantId, partySize, { before = null } = {}) => {
+  const rules = await getSeatingRules(db, restaurantId);
+  const tables = await tableFreeTimes(db, restaurantId, partySize, rules.seating_minutes);
+  if (tables.length === 0) return null;
+
+  const ahead = await db.query(
+    `SELECT COUNT(*)::int AS parties FROM waitlist
+     WHERE restaurant_id = $1 AND status = 'waiting' AND num_guests <= $2
+       AND ($3::timestamp IS NULL OR created_at < $3)`,
+    [restaurantId, Math.max(...tables.map(t => t.capacity)), before]
+  );
+
+  const queue = tables.map(t => t.minutes).sort((a, b) => a - b);
+  for (let i = 0; i < ahead.rows[0].parties; i++) {
+    const next = queue.shift() + rules.seating_minutes;
+    const at = queue.findIndex(m => m > next);
+    queue.splice(at === -1 ? queue.length : at, 0, next);
+  }
+  return Math.ceil(queue[0]);
+};
+
+// Position counts only active parties that joined earlier at the same restaurant.
+const waitlistStatus = async (db, entryId) => {
+  const result = await db.query(
+    `SELECT w.*,
+            (SELECT COUNT(*)::int FROM waitlist a
+             WHERE a.restaurant_id = w.restaurant_id AND a.status = ANY($2) AND a.created_at < w.created_at) + 1 AS position
+     FROM waitlist w WHERE w.id = $1`,
+    [entryId, activeStatuses]
+  );
+  if (result.rowCount === 0) throw httpError(404, 'Waitlist entry not found');
+  const entry = result.rows[0];
+  const estimated = entry.status === 'waiting'
+    ? await estimateWait(db, entry.restaurant_id, entry.num_guests, { before: entry.created_at })
+    : null;
+  return {
+    id: entry.id,
+    status: entry.status,
+    num_guests: entry.num_guests,
+    position: activeStatuses.includes(entry.status) ? entry.position : null,
+    quoted_minutes: entry.quoted_minutes,
+    estimated_minutes: estimated,
+    notified_at: entry.notified_at,
+    reservation_id: entry.reservation_id,
+  };
+};
+
+module.exports = { activeStatuses, transitions, estimateWait, waitlistStatus };
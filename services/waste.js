@@ -0,0 +1,124 @@
+// File: services/waste.js
+// Waste log: every entry takes the wasted stock out through the ledger and is costed when it is logged.
+const httpError = require('./httpError');
+const { lockItem, convertForItem, recordMovement, roundQuantity } = require('./stockLedger');
+const { unitCosts } = require('./costing');
+const { roundMoney } = require('./pricing');
+
+const wasteReasons = ['spoiled', 'expired', 'damaged', 'overproduction', 'prep_error', 'comped', 'returned', 'other'];
+
+const insertEntry = async (client, entry, actor = {}) => {
+  const result = await client.query(
+    `INSERT INTO waste_entries
+       (restaurant_id, item_type, inventory_id, menu_id, item_name, quantity, unit, entered_quantity, entered_unit,
+        reason_code, notes, cost, order_id, employee_id, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+    [
+      entry.restaurant_id, entry.item_type, entry.inventory_id || null, entry.menu_id || null, entry.item_name,
+      entry.quantity, entry.unit || null, entry.entered_quantity == null ? null : entry.entered_quantity,
+      entry.entered_unit || null, entry.reason_code, entry.notes || null, entry.cost, entry.order_id || null,
+      actor.employee_id || null, actor.uid || null,
+    ]
+  );
+  return result.rows[0];
+};
+
+// Wastes `quantity` (in the item's unit) of a locked inventory item.
+// details: { reasonCode, notes, orderId, enteredQuantity, enteredUnit, actor }
+const wasteInventory = async (client, item, quantity, details = {}) => {
+  const costs = await unitCosts(client, [item.id]);
+  const unitCost = costs.get(item.id);
+  const entry = await insertEntry(client, {
+    restaurant_id: item.restaurant_id,
+    item_type: 'inventory',
+    inventory_id: item.id,
+    item_name: item.name,
+    quantity,
+    unit: item.unit,
+    entered_quantity: details.enteredQuantity,
+    entered_unit: details.enteredUnit,
+    reason_code: details.reasonCode || 'other',
+    notes: details.notes,
+    cost: unitCost == null ? null : roundMoney(quantity * unitCost),
+    order_id: details.orderId,
+  }, details.actor);
+  const movement = await recordMovement(client, item.id, 'wasted', -quantity, {
+    reason: `Waste: ${entry.reason_code}`,
+    waste_entry_id: entry.id,
+    order_id: details.orderId,
+    entered_quantity: details.enteredQuantity,
+    entered_unit: details.enteredUnit,
+    actor: details.actor,
+  });
+  return { entry, movements: [movement] };
+};
+
+// Wastes `portions` of a menu item: each ingredient of its recipe comes out of stock. Dishes without a
+// recipe are still logged, with no stock taken and no cost.
+const wasteMenuItem = async (client, menuItem, portions, details = {}) => {
+  const recipe = await client.query(
+    'SELECT inventory_id, quantity FROM recipe_items WHERE menu_id = $1 ORDER BY inventory_id',
+    [menuItem.id]
+  );
+  const costs = await unitCosts(client, recipe.rows.map(r => r.inventory_id));
+  const uncosted = recipe.rows.length === 0 || recipe.rows.some(r => costs.get(r.inventory_id) == null);
+  const cost = recipe.rows.reduce((sum, r) => sum + Number(r.quantity) * portions * (costs.get(r.inventory_id) || 0), 0);
+  const entry = await insertEntry(client, {
+    restaurant_id: menuItem.restaurant_id,
+    item_type: 'menu',
+    menu_id: menuItem.id,
+    item_name: menuItem.name,
+    quantity: portions,
+    unit: 'portion',
+    reason_code: details.reasonCode || 'other',
+    notes: details.notes,
+    cost: uncosted ? null : roundMoney(cost),
+    order_id: details.orderId,
+  }, details.actor);
+
+  const movements = [];
+  for (const ingredient of recipe.rows) {
+    await lockItem(client, ingredient.inventory_id);
+    const quantity = roundQuantity(Number(ingredient.quantity) * portions);
+    movements.push(await recordMovement(client, ingredient.inventory_id, 'wasted', -quantity, {
+      reason: `Waste: ${entry.reason_code} (${menuItem.name})`,
+      waste_entry_id: entry.id,
+      order_id: details.orderId,
+      actor: details.actor,
+    }));
+  }
+  return { entry, movements };
+};
+
+// body: { inventory_id | menu_id, quantity, unit?, reason_code, notes?, order_id? }. quantity is in `unit`
+// (default the item's own unit) for inventory items and in portions for menu items. Call inside a transaction.
+const logWaste = async (client, restaurantIds, body, actor) => {
+  const { inventory_id, menu_id, quantity, unit, reason_code, notes, order_id } = body;
+  if (!inventory_id === !menu_id) throw httpError(400, 'Either inventory_id or menu_id is required');
+  if (typeof quantity !== 'number' || !(quantity > 0)) throw httpError(400, 'quantity must be a positive number');
+  if (!wasteReasons.includes(reason_code)) {
+    throw httpError(400, `reason_code must be one of ${wasteReasons.join(', ')}`);
+  }
+  if (order_id != null) {
+    const order = await client.query(
+      'SELECT id FROM orders WHERE id = $1 AND restaurant_id = ANY($2)',
+      [order_id, restaurantIds]
+    );
+    if (order.rowCount === 0) throw httpError(404, 'Order not found');
+  }
+  const details = { reasonCode: reason_code, notes, orderId: order_id, actor };
+
+  if (inventory_id) {
+    const item = await lockItem(client, inventory_id, restaurantIds);
+    const amount = await convertForItem(client, item, quantity, unit);
+    return wasteInventory(client, item, amount, { ...details, enteredQuantity: quantity, enteredUnit: unit });
+  }
+  const menuItem = await client.query(
+    'SELECT * FROM menu WHERE id = $1 AND restaurant_id = ANY($2)',
+    [menu_id, restaurantIds]
+  );
+  if (menuItem.rowCount === 0) throw httpError(404, 'Menu item not found');
+  return wasteMenuItem(client, menuItem.rows[0], quantity, details);
+};
+
+module.exports = { wasteReasons, wasteInventory, wasteMenuItem, logWaste };